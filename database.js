@@ -1,5 +1,6 @@
 const sqlite3 = require('sqlite3').verbose();
 const { Pool } = require('pg');
+const { AsyncLocalStorage } = require('async_hooks');
 require('dotenv').config();
 
 class Database {
@@ -13,6 +14,8 @@ class Database {
         this.reconnectDelay = 1000; // Start with 1 second
         this.isConnected = false;
         this.connectionPromise = null;
+        // SQLite transaction the current async call chain runs in, if any
+        this.sqliteTxContext = new AsyncLocalStorage();
         this.init();
     }
 
@@ -83,7 +86,7 @@ class Database {
             }
         } else {
             // SQLite connection for development
-            this.db = new sqlite3.Database('saloony.db', (err) => {
+            this.db = new sqlite3.Database(process.env.SQLITE_PATH || 'saloony.db', (err) => {
                 if (err) {
                     console.error('Error opening SQLite database:', err.message);
                 } else {
@@ -210,15 +213,8 @@ class Database {
                 
                 executeQuery();
             } else {
-                // SQLite query
-                this.db.all(sql, params, (err, rows) => {
-                    if (err) {
-                        console.error('SQLite Query Error:', err.message, "SQL:", sql);
-                        reject(err);
-                    } else {
-                        resolve(rows);
-                    }
-                });
+                await this.sqliteOutsideTransaction();
+                this.sqliteAll(sql, params).then(resolve, reject);
             }
         });
     }
@@ -267,15 +263,8 @@ class Database {
                 
                 executeQuery();
             } else {
-                // SQLite query
-                this.db.get(sql, params, (err, row) => {
-                    if (err) {
-                        console.error('SQLite Get Error:', err.message, "SQL:", sql);
-                        reject(err);
-                    } else {
-                        resolve(row || null);
-                    }
-                });
+                await this.sqliteOutsideTransaction();
+                this.sqliteGet(sql, params).then(resolve, reject);
             }
         });
     }
@@ -328,22 +317,133 @@ class Database {
                 
                 executeQuery();
             } else {
-                // SQLite query
-                this.db.run(sql, params, function(err) {
-                    if (err) {
-                        console.error('SQLite Run Error:', err.message, "SQL:", sql);
-                        reject(err);
-                    } else {
-                        resolve({
-                            lastID: this.lastID,
-                            changes: this.changes
-                        });
-                    }
-                });
+                await this.sqliteOutsideTransaction();
+                this.sqliteRun(sql, params).then(resolve, reject);
             }
         });
     }
 
+    // SQLite statements on the single shared connection
+    sqliteAll(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    console.error('SQLite Query Error:', err.message, "SQL:", sql);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    sqliteGet(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) {
+                    console.error('SQLite Get Error:', err.message, "SQL:", sql);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    sqliteRun(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    console.error('SQLite Run Error:', err.message, "SQL:", sql);
+                    reject(err);
+                } else {
+                    resolve({
+                        lastID: this.lastID,
+                        changes: this.changes
+                    });
+                }
+            });
+        });
+    }
+
+    // Statements from outside a transaction wait for it to end, otherwise they would run on the
+    // shared connection inside it and be rolled back with it. The transaction's own calls go through.
+    async sqliteOutsideTransaction() {
+        while (this.sqliteOpenTx && this.sqliteTxContext.getStore() !== this.sqliteOpenTx) {
+            await this.sqliteTxQueue;
+        }
+    }
+
+    // Run callback(tx) inside a transaction. tx exposes query/get/run bound to the
+    // transaction plus lock(key), which serializes concurrent transactions on the same key.
+    // Commits when the callback resolves, rolls back and rethrows if it throws.
+    async transaction(callback) {
+        if (this.isProduction) {
+            const isConnected = await this.ensureConnection();
+            if (!isConnected) {
+                throw new Error('Database connection unavailable');
+            }
+
+            // PostgreSQL: dedicated pooled client for the whole transaction
+            const client = await this.pool.connect();
+            const tx = {
+                isProduction: true,
+                query: async (sql, params = []) => (await client.query(sql, params)).rows,
+                get: async (sql, params = []) => (await client.query(sql, params)).rows[0] || null,
+                run: async (sql, params = []) => {
+                    const result = await client.query(sql, params);
+                    return {
+                        lastID: result.rows && result.rows[0] && result.rows[0].id ? result.rows[0].id : null,
+                        changes: result.rowCount || 0,
+                        rowCount: result.rowCount || 0
+                    };
+                },
+                // Transaction-scoped advisory lock, released on COMMIT/ROLLBACK
+                lock: async (key) => {
+                    await client.query('SELECT pg_advisory_xact_lock($1)', [Number(key)]);
+                }
+            };
+            try {
+                await client.query('BEGIN');
+                const result = await callback(tx);
+                await client.query('COMMIT');
+                return result;
+            } catch (err) {
+                try { await client.query('ROLLBACK'); } catch (_) {}
+                throw err;
+            } finally {
+                client.release();
+            }
+        }
+
+        // SQLite: single connection, so queue transactions to keep them from interleaving
+        const previous = this.sqliteTxQueue || Promise.resolve();
+        let release;
+        this.sqliteTxQueue = new Promise(resolve => { release = resolve; });
+        await previous;
+        const tx = {
+            isProduction: false,
+            query: (sql, params = []) => this.sqliteAll(sql, params),
+            get: (sql, params = []) => this.sqliteGet(sql, params),
+            run: (sql, params = []) => this.sqliteRun(sql, params),
+            // Transactions are already serialized by the queue above
+            lock: async () => {}
+        };
+        this.sqliteOpenTx = tx;
+        try {
+            await this.sqliteRun('BEGIN IMMEDIATE');
+            const result = await this.sqliteTxContext.run(tx, () => callback(tx));
+            await this.sqliteRun('COMMIT');
+            return result;
+        } catch (err) {
+            try { await this.sqliteRun('ROLLBACK'); } catch (_) {}
+            throw err;
+        } finally {
+            this.sqliteOpenTx = null;
+            release();
+        }
+    }
+
     // Serialize method for SQLite compatibility
     serialize(callback) {
         if (this.isProduction) {
@@ -0,0 +1,59 @@
+// Payment providers for customer booking deposits
+// A provider is an object with:
+//   name
+//   createPayment({ amount, currency, reference, description }) -> { providerRef, checkoutUrl? }
+//   confirmPayment(providerRef, input) -> { status: 'paid' | 'failed', message? }
+//   parseWebhook(req) -> { providerRef, status: 'paid' | 'failed' } or null when not recognised
+// PAYMENT_PROVIDER selects the provider used for new payments; existing payments keep theirs.
+// Set PAYMENT_PROVIDER=mock for local development.
+
+const crypto = require('crypto');
+
+// Local provider for development and testing: nothing is charged and every payment succeeds,
+// unless the confirm request asks for { simulate: 'decline' }
+function createMockProvider() {
+    return {
+        name: 'mock',
+        async createPayment({ reference }) {
+            return { providerRef: `mock_${reference}_${crypto.randomBytes(8).toString('hex')}`, checkoutUrl: null };
+        },
+        async confirmPayment(providerRef, input = {}) {
+            if (input.simulate === 'decline') {
+                return { status: 'failed', message: 'Mock payment declined.' };
+            }
+            return { status: 'paid' };
+        },
+        parseWebhook() {
+            return null;
+        }
+    };
+}
+
+const providers = new Map();
+
+function registerPaymentProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+// There is no default provider: an unset PAYMENT_PROVIDER must not quietly confirm every payment
+// through the mock one, which is refused outright in production
+function getPaymentProvider(name = process.env.PAYMENT_PROVIDER) {
+    if (!name) {
+        throw new Error('PAYMENT_PROVIDER is not set');
+    }
+    if (name === 'mock' && process.env.NODE_ENV === 'production') {
+        throw new Error('The mock payment provider cannot be used in production');
+    }
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return provider;
+}
+
+registerPaymentProvider(createMockProvider());
+
+module.exports = {
+    getPaymentProvider,
+    registerPaymentProvider
+};
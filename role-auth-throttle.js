@@ -0,0 +1,136 @@
+// ===== Role sign-in throttling =====
+// PIN guesses are counted per device (X-Device-Id from the dashboard, else the IP) and per salon, since
+// a device id is easy to change. Failures forgotten after ROLE_AUTH_WINDOW_MINUTES; reaching a limit locks
+// PIN sign-in for that device or the whole salon for ROLE_AUTH_LOCK_MINUTES and notifies the owner.
+// Passkey sign-in is not locked: it cannot be guessed and lets staff in while the PIN is locked.
+const ROLE_AUTH_WINDOW_MINUTES = 15;
+const ROLE_AUTH_LOCK_MINUTES = 15;
+const ROLE_AUTH_DEVICE_MAX_FAILURES = 5;
+const ROLE_AUTH_SALON_MAX_FAILURES = 15;
+const ROLE_AUTH_SALON_KEY = '';
+
+// Wait imposed on a device after its nth consecutive failure: none, then 2s, 4s, 8s... up to 30s
+const roleAuthDelaySeconds = (failures) => (failures < 2 ? 0 : Math.min(2 ** (failures - 1), 30));
+
+function roleAuthDeviceKey(req) {
+    const deviceId = req.get('x-device-id');
+    return deviceId && /^[A-Za-z0-9_-]{8,64}$/.test(deviceId) ? `device:${deviceId}` : `ip:${req.ip}`;
+}
+
+const secondsUntil = (iso, now) => Math.max(1, Math.ceil((new Date(iso) - now) / 1000));
+
+// Counter rows of the salon and the device as they stand now, stale ones read as cleared
+async function loadRoleAuthCounters(runner, salonId, deviceKey, now) {
+    const nowIso = now.toISOString();
+    const windowStart = new Date(now.getTime() - ROLE_AUTH_WINDOW_MINUTES * 60000).toISOString();
+    const rows = await runner.query('SELECT * FROM role_auth_throttle WHERE salon_id = $1 AND device_key IN ($2, $3)', [salonId, ROLE_AUTH_SALON_KEY, deviceKey]);
+    const current = (key) => {
+        const row = rows.find(r => r.device_key === key);
+        const cleared = !row || !row.last_failure_at || row.last_failure_at < windowStart || (row.locked_until && row.locked_until <= nowIso);
+        return cleared ? { failures: 0, last_failure_at: null, next_attempt_at: null, locked_until: null } : { ...row, failures: Number(row.failures) || 0 };
+    };
+    return { salon: current(ROLE_AUTH_SALON_KEY), device: current(deviceKey) };
+}
+
+const saveRoleAuthCounter = (runner, salonId, deviceKey, row) => runner.run(`
+    INSERT INTO role_auth_throttle (salon_id, device_key, failures, last_failure_at, next_attempt_at, locked_until)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (salon_id, device_key) DO UPDATE SET
+        failures = $3, last_failure_at = $4, next_attempt_at = $5, locked_until = $6
+`, [salonId, deviceKey, row.failures, row.last_failure_at, row.next_attempt_at, row.locked_until]);
+
+// deps: { db, sendPushToTargets, now } where now() is the current Date (swapped out by tests).
+// Returns { beginRoleAuthAttempt, finishRoleAuthAttempt, logRoleAuthAttempt }.
+function createRoleAuthThrottle({ db, sendPushToTargets, now = () => new Date() }) {
+    // Claims a PIN attempt. It counts as a failure until finishRoleAuthAttempt reports a match, so guesses sent
+    // in parallel cannot get past the limits. -> { ok: true, locks } where locks names the counters this attempt
+    // would lock if it fails, or { ok: false, code, scope, retryAfter } when the device must wait or is locked.
+    async function beginRoleAuthAttempt(salonId, deviceKey) {
+        const at = now();
+        const nowIso = at.toISOString();
+        return db.transaction(async (tx) => {
+            // A lock key of its own (negative) so sign-ins do not wait on the salon's bookings
+            await tx.lock(-Number(salonId));
+            const { salon, device } = await loadRoleAuthCounters(tx, salonId, deviceKey, at);
+            if (salon.locked_until) return { ok: false, code: 'ROLE_AUTH_LOCKED', scope: 'salon', retryAfter: secondsUntil(salon.locked_until, at) };
+            if (device.locked_until) return { ok: false, code: 'ROLE_AUTH_LOCKED', scope: 'device', retryAfter: secondsUntil(device.locked_until, at) };
+            if (device.next_attempt_at && device.next_attempt_at > nowIso) {
+                return { ok: false, code: 'ROLE_AUTH_DELAYED', scope: 'device', retryAfter: secondsUntil(device.next_attempt_at, at) };
+            }
+            const lockUntil = new Date(at.getTime() + ROLE_AUTH_LOCK_MINUTES * 60000).toISOString();
+            const locks = [];
+            const salonFailures = salon.failures + 1;
+            if (salonFailures >= ROLE_AUTH_SALON_MAX_FAILURES) locks.push('salon');
+            await saveRoleAuthCounter(tx, salonId, ROLE_AUTH_SALON_KEY, {
+                failures: salonFailures, last_failure_at: nowIso, next_attempt_at: null,
+                locked_until: salonFailures >= ROLE_AUTH_SALON_MAX_FAILURES ? lockUntil : null
+            });
+            const deviceFailures = device.failures + 1;
+            if (deviceFailures >= ROLE_AUTH_DEVICE_MAX_FAILURES) locks.push('device');
+            await saveRoleAuthCounter(tx, salonId, deviceKey, {
+                failures: deviceFailures, last_failure_at: nowIso,
+                next_attempt_at: new Date(at.getTime() + roleAuthDelaySeconds(deviceFailures) * 1000).toISOString(),
+                locked_until: deviceFailures >= ROLE_AUTH_DEVICE_MAX_FAILURES ? lockUntil : null
+            });
+            return { ok: true, locks, failures: { salon: salonFailures, device: deviceFailures } };
+        });
+    }
+
+    // Settles a claimed attempt. A match clears the device's counter and takes the claim back from the salon's.
+    // A failure that reached a limit tells the owner. -> { retryAfter } for the device's next attempt
+    async function finishRoleAuthAttempt(salonId, deviceKey, attempt, succeeded) {
+        if (!succeeded) {
+            if (attempt.locks.length > 0) {
+                const salon = await db.get('SELECT salon_name FROM salons WHERE id = $1', [salonId]).catch(() => null);
+                await sendPushToTargets({
+                    salon_id: salonId,
+                    payload: {
+                        title: 'محاولات دخول خاطئة',
+                        body: attempt.locks.includes('salon')
+                            ? `تم إيقاف الدخول بالرقم السري في ${salon ? salon.salon_name : 'الصالون'} لمدة ${ROLE_AUTH_LOCK_MINUTES} دقيقة بعد ${attempt.failures.salon} محاولات خاطئة.`
+                            : `تم إيقاف الدخول بالرقم السري على أحد أجهزة ${salon ? salon.salon_name : 'الصالون'} لمدة ${ROLE_AUTH_LOCK_MINUTES} دقيقة بعد ${attempt.failures.device} محاولات خاطئة.`,
+                        url: '/home_salon.html',
+                        tag: `role-auth-lock-${salonId}`
+                    }
+                });
+                return { retryAfter: ROLE_AUTH_LOCK_MINUTES * 60 };
+            }
+            return { retryAfter: roleAuthDelaySeconds(attempt.failures.device) };
+        }
+        const at = now();
+        await db.transaction(async (tx) => {
+            await tx.lock(-Number(salonId));
+            const { salon } = await loadRoleAuthCounters(tx, salonId, deviceKey, at);
+            const failures = Math.max(salon.failures - 1, 0);
+            await saveRoleAuthCounter(tx, salonId, ROLE_AUTH_SALON_KEY, {
+                ...salon, failures,
+                locked_until: failures >= ROLE_AUTH_SALON_MAX_FAILURES ? salon.locked_until : null
+            });
+            await tx.run('DELETE FROM role_auth_throttle WHERE salon_id = $1 AND device_key = $2', [salonId, deviceKey]);
+        });
+        return { retryAfter: 0 };
+    }
+
+    // Trail of PIN and passkey sign-ins shown to the salon admin. outcome: success | failed | delayed | locked
+    async function logRoleAuthAttempt(req, { salonId, deviceKey, method, outcome, role = null, reason = null }) {
+        try {
+            await db.run(`
+                INSERT INTO role_auth_attempts (salon_id, device_key, ip, method, outcome, staff_role_id, staff_id, reason)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `, [salonId, deviceKey, req.ip || null, method, outcome, role ? role.id : null, role ? role.staff_id : null, reason]);
+        } catch (e) {
+            console.error('Role auth audit error:', e.message);
+        }
+    }
+
+    return { beginRoleAuthAttempt, finishRoleAuthAttempt, logRoleAuthAttempt };
+}
+
+module.exports = {
+    ROLE_AUTH_WINDOW_MINUTES,
+    ROLE_AUTH_LOCK_MINUTES,
+    ROLE_AUTH_DEVICE_MAX_FAILURES,
+    ROLE_AUTH_SALON_MAX_FAILURES,
+    roleAuthDeviceKey,
+    createRoleAuthThrottle
+};
@@ -1,7 +1,8 @@
 module.exports = function register(app, deps) {
-  const { dbAll, dbGet, dbRun, requireAuth, bookingSchema, validateBookingSlot, sendSalonEvent, sendPushToTargets } = deps;
+  const crypto = require('crypto');
+  const { db, dbAll, dbGet, dbRun, requireAuth, bookingSchema, chainBookingSchema, MAX_CHAIN_SERVICES, slotHoldSchema, rescheduleSchema, validateBookingSlot, computeAvailableSlots, computeServiceChains, planServiceChainAt, assignAvailableStaff, sumServiceDuration, resolveServicePrices, findPricingMismatch, notifyWaitlistOfFreedSlot, getSalonPolicy, recordStrike, revokeAppointmentStrikes, getActiveStrikes, evaluateBookingEligibility, resolveAppointmentActor, transitionAppointmentStatus, recordAppointmentEvent, APPOINTMENT_STATUSES, requireSalonAccess, salonIdFrom, manualBookingSchema, normalizePhoneNumber, normalizeDateTime, addMinutesToDateTime, minutesBetween, SLOT_HOLD_MINUTES, syncAppointmentInstants, salonToday, computeBookingDeposit, createDepositPayment, openDepositCheckout, priceBooking, recordPromotionRedemption, applyPackageSessions, recordPackageRedemptions, appointmentPaymentSchema, recordAppointmentSettlement, sendSalonEvent, sendPushToTargets } = deps;
 
-  app.get('/api/salon/appointments/:salon_id/:filter', async (req, res) => {
+  app.get('/api/salon/appointments/:salon_id/:filter', requireSalonAccess({ permission: 'manage_appointments' }), async (req, res) => {
     try {
       const { salon_id, filter } = req.params;
       if (!salon_id || salon_id === 'undefined' || isNaN(parseInt(salon_id))) {
@@ -12,7 +13,7 @@ module.exports = function register(app, deps) {
       let params = [salon_id];
       let orderBy = 'ASC';
       if (filter === 'today') {
-        const today = new Date().toISOString().split('T')[0];
+        const today = await salonToday(salon_id);
         whereClause = `AND DATE(a.start_time) = $2 AND a.status = 'Scheduled'`;
         params.push(today);
         orderBy = 'ASC';
@@ -20,11 +21,11 @@ module.exports = function register(app, deps) {
         whereClause = `AND (a.status = 'Completed' OR a.status = 'Absent')`;
         orderBy = 'DESC';
       } else if (filter === 'upcoming') {
-        whereClause = `AND a.start_time > $2 AND a.status = 'Scheduled'`;
+        whereClause = `AND a.start_at > $2 AND a.status = 'Scheduled'`;
         params.push(now);
         orderBy = 'ASC';
       } else if (filter === 'past') {
-        whereClause = `AND a.start_time <= $2 AND a.status <> 'Cancelled' AND a.status <> 'Completed'`;
+        whereClause = `AND a.start_at <= $2 AND a.status <> 'Cancelled' AND a.status <> 'Completed'`;
         params.push(now);
         orderBy = 'DESC';
       } else if (filter === 'cancelled') {
@@ -35,12 +36,14 @@ module.exports = function register(app, deps) {
       }
       const sql = `
         SELECT 
-          a.id, a.start_time, a.end_time, a.status, a.price,
-          u.name AS user_name, u.phone AS user_phone,
+          a.id, a.start_time, a.end_time, a.start_at, a.status, a.price, a.series_id, a.booking_source,
+          u.name AS user_name, COALESCE(u.phone, g.phone) AS user_phone,
+          CASE WHEN g.id IS NULL THEN FALSE ELSE TRUE END AS is_guest,
           s.name_ar AS service_name,
           st.name AS staff_name
         FROM appointments a
         JOIN users u ON a.user_id = u.id
+        LEFT JOIN guest_customers g ON g.user_id = a.user_id
         JOIN services s ON a.service_id = s.id
         LEFT JOIN staff st ON a.staff_id = st.id
         WHERE a.salon_id = $1 ${whereClause}
@@ -50,10 +53,12 @@ module.exports = function register(app, deps) {
       const appointmentsWithServices = await Promise.all(rows.map(async (appointment) => {
         try {
           const servicesQuery = `
-            SELECT s.name_ar, aps.price 
+            SELECT s.name_ar, aps.price, aps.staff_id, aps.start_time, aps.end_time, st.name AS staff_name
             FROM appointment_services aps
             JOIN services s ON aps.service_id = s.id
+            LEFT JOIN staff st ON aps.staff_id = st.id
             WHERE aps.appointment_id = $1
+            ORDER BY aps.start_time, aps.id
           `;
           const services = await dbAll(servicesQuery, [appointment.id]);
           return { ...appointment, all_services: services, services_names: services.map(s => s.name_ar).join(' + ') };
@@ -67,6 +72,115 @@ module.exports = function register(app, deps) {
     }
   });
 
+  // Find the customer for a salon-entered booking: a registered user with that phone,
+  // else this salon's guest record for it, else a new guest (requires a name)
+  async function resolveManualBookingCustomer(tx, salonId, phone, name) {
+    const normalized = normalizePhoneNumber(phone);
+    const registered = await tx.query("SELECT id, name FROM users WHERE user_type = 'user' AND RIGHT(REGEXP_REPLACE(phone, '[^0-9]', '', 'g'), 9) = $1", [normalized]);
+    if (registered && registered.length > 0) {
+      return { user_id: registered[0].id, name: registered[0].name, registered: true };
+    }
+    const guest = await tx.get('SELECT user_id, name FROM guest_customers WHERE salon_id = $1 AND phone = $2', [salonId, normalized]);
+    if (guest) {
+      if (name && name !== guest.name) {
+        await tx.run('UPDATE guest_customers SET name = $1 WHERE salon_id = $2 AND phone = $3', [name, salonId, normalized]);
+        await tx.run('UPDATE users SET name = $1 WHERE id = $2', [name, guest.user_id]);
+      }
+      return { user_id: guest.user_id, name: name || guest.name, registered: false };
+    }
+    if (!name) return null;
+    // No email/phone/username, so the placeholder account can never be logged into
+    const userRow = await tx.get("INSERT INTO users (name, password, user_type) VALUES ($1, $2, 'guest') RETURNING id", [name, `!guest:${crypto.randomBytes(16).toString('hex')}`]);
+    await tx.run('INSERT INTO guest_customers (salon_id, user_id, name, phone) VALUES ($1, $2, $3, $4)', [salonId, userRow.id, name, normalized]);
+    return { user_id: userRow.id, name, registered: false };
+  }
+
+  app.post('/api/salon/appointments/:salon_id/manual', requireSalonAccess({ permission: 'manage_appointments', session: 'required' }), async (req, res) => {
+    const salonId = Number(req.params.salon_id);
+    const parsed = manualBookingSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'بيانات الحجز غير صالحة.' });
+    }
+    const { customer_phone, customer_name, service_ids } = parsed.data;
+    const staff_id = parsed.data.staff_id || 0;
+    if (!normalizePhoneNumber(customer_phone)) {
+      return res.status(400).json({ success: false, message: 'رقم الهاتف غير صالح.' });
+    }
+    let duration = 0;
+    let services = null;
+    try {
+      services = await resolveServicePrices(salonId, service_ids, staff_id);
+      duration = await sumServiceDuration(salonId, service_ids, staff_id);
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+    if (!services) {
+      return res.status(400).json({ success: false, message: 'الخدمات المختارة غير متوفرة في هذا الصالون.' });
+    }
+    let price = services.reduce((sum, service) => sum + service.price, 0);
+    const start_time = normalizeDateTime(parsed.data.start_time);
+    let end_time = addMinutesToDateTime(start_time, duration);
+    let outcome;
+    try {
+      outcome = await db.transaction(async (tx) => {
+        await tx.lock(salonId);
+        const slotOptions = { serviceIds: service_ids, runner: tx };
+        const customer = await resolveManualBookingCustomer(tx, salonId, customer_phone, customer_name);
+        if (!customer) {
+          return { error: 'customer' };
+        }
+        const validationResult = await validateBookingSlot(salonId, staff_id, start_time, end_time, duration, slotOptions);
+        if (!validationResult.valid) {
+          return { validationResult };
+        }
+        let finalStaffId = staff_id;
+        let staffName = null;
+        if (finalStaffId === 0) {
+          const member = await assignAvailableStaff(salonId, start_time, end_time, slotOptions);
+          if (!member) {
+            return { validationResult: { valid: false, reason: 'no_capacity', message: 'عفواً، لا يوجد مختص متاح لإتمام هذا الحجز في هذا الوقت.' } };
+          }
+          finalStaffId = member.id;
+          staffName = member.name;
+          // The assigned member's own durations and prices apply
+          end_time = addMinutesToDateTime(start_time, member.duration);
+          services = await resolveServicePrices(salonId, service_ids, member.id, tx);
+          price = services.reduce((sum, service) => sum + service.price, 0);
+        } else {
+          const staffRow = await tx.get('SELECT name FROM staff WHERE id = $1', [finalStaffId]);
+          staffName = staffRow ? staffRow.name : null;
+        }
+        const appointmentResult = await tx.get("INSERT INTO appointments (salon_id, user_id, staff_id, service_id, start_time, end_time, status, date_booked, price, booking_source, booked_by_staff_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'salon', $10) RETURNING id", [salonId, customer.user_id, finalStaffId, services[0].id, start_time, end_time, 'Scheduled', new Date().toISOString(), price, req.salonRole.staff_id]);
+        for (const service of services) {
+          await tx.run('INSERT INTO appointment_services (appointment_id, service_id, price, duration) VALUES ($1, $2, $3, $4)', [appointmentResult.id, service.id, service.price, service.duration]);
+        }
+        await syncAppointmentInstants(tx, { appointmentId: appointmentResult.id });
+        await recordAppointmentEvent(tx, { appointmentId: appointmentResult.id, eventType: 'created', toStatus: 'Scheduled', actorType: 'salon', actorId: req.salonRole.staff_id, details: { source: 'salon', guest: !customer.registered } });
+        return { appointmentId: appointmentResult.id, customer, staffId: finalStaffId, staffName };
+      });
+    } catch {
+      return res.status(500).json({ success: false, message: 'فشل في حفظ الحجز.' });
+    }
+    if (outcome.error === 'customer') {
+      return res.status(400).json({ success: false, code: 'CUSTOMER_NAME_REQUIRED', message: 'لا يوجد عميل بهذا الرقم. يرجى إدخال اسم العميل لإنشاء عميل زائر.' });
+    }
+    if (outcome.validationResult) {
+      if (SLOT_CONFLICT_REASONS.includes(outcome.validationResult.reason)) {
+        return sendSlotTaken(res, salonId, start_time, duration, staff_id);
+      }
+      return res.status(400).json({ success: false, message: outcome.validationResult.message });
+    }
+    const { appointmentId, customer, staffId, staffName } = outcome;
+    try {
+      await sendSalonEvent(salonId, 'appointment_booked', { appointmentId, user_id: customer.user_id, customer_name: customer.name, staff_id: staffId, staff_name: staffName, start_time, end_time, services_count: services.length, price, source: 'salon' });
+      if (customer.registered) {
+        const when = new Date(start_time);
+        await sendPushToTargets({ user_id: customer.user_id, payload: { title: 'تم حجز موعد لك', body: `تم تسجيل موعد لك بتاريخ ${when.toLocaleDateString('ar-EG')} على الساعة ${when.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit', hour12: true })}`, url: '/home_user.html#appointments' } });
+      }
+    } catch {}
+    res.json({ success: true, message: 'تم تسجيل الحجز بنجاح.', appointmentId, customer: { user_id: customer.user_id, name: customer.name, registered: customer.registered }, staff_id: staffId, staff_name: staffName, start_time, end_time, price });
+  });
+
   app.get('/api/salon/:salon_id/appointments/:date', async (req, res) => {
     const { salon_id, date } = req.params;
     if (!salon_id || salon_id === 'undefined' || isNaN(parseInt(salon_id))) {
@@ -79,44 +193,169 @@ module.exports = function register(app, deps) {
       SELECT id, start_time, end_time, staff_id, status
       FROM appointments
       WHERE salon_id = $1 AND DATE(start_time) = $2
-      AND status = 'Scheduled'
+      AND status IN ('Scheduled', 'PendingPayment')
     `;
     try {
       const rows = await dbAll(sql, [salon_id, date]);
-      res.json({ success: true, appointments: rows });
+      // Multi-staff bookings are listed once per segment so each specialist is only busy for their part
+      const segments = await dbAll(`
+        SELECT aps.appointment_id, aps.staff_id, aps.start_time, aps.end_time
+        FROM appointment_services aps
+        JOIN appointments a ON a.id = aps.appointment_id
+        WHERE a.salon_id = $1 AND DATE(a.start_time) = $2 AND a.status IN ('Scheduled', 'PendingPayment') AND aps.start_time IS NOT NULL
+      `, [salon_id, date]);
+      const appointments = rows.flatMap(row => {
+        const parts = segments.filter(segment => String(segment.appointment_id) === String(row.id));
+        return parts.length ? parts.map(part => ({ ...row, staff_id: part.staff_id, start_time: part.start_time, end_time: part.end_time })) : [row];
+      });
+      res.json({ success: true, appointments });
     } catch {
       return res.status(500).json({ success: false, message: 'Database error.' });
     }
   });
 
-  app.post('/api/salon/appointment/status/:appointment_id', async (req, res) => {
+  app.get('/api/salon/:salon_id/availability', async (req, res) => {
+    const { salon_id } = req.params;
+    const { date, services, staff_id } = req.query;
+    if (!salon_id || salon_id === 'undefined' || isNaN(parseInt(salon_id))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+      return res.status(400).json({ success: false, message: 'Date is required (YYYY-MM-DD).' });
+    }
+    const serviceIds = String(services || '').split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id) && id > 0);
+    if (serviceIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'يجب اختيار خدمة واحدة على الأقل.' });
+    }
+    const staffId = staff_id === undefined || staff_id === '' ? 0 : parseInt(staff_id);
+    if (isNaN(staffId) || staffId < 0) {
+      return res.status(400).json({ success: false, message: 'Invalid staff ID.' });
+    }
+    try {
+      const duration = await sumServiceDuration(salon_id, serviceIds);
+      if (duration <= 0) {
+        return res.status(400).json({ success: false, message: 'الخدمات المختارة غير متوفرة في هذا الصالون.' });
+      }
+      const availability = await computeAvailableSlots(salon_id, String(date), duration, staffId, { serviceIds });
+      if (!availability) {
+        return res.status(404).json({ success: false, message: 'جدول الصالون غير متوفر.' });
+      }
+      if (staffId !== 0 && availability.staff.length === 0) {
+        return res.status(404).json({ success: false, message: 'Staff member not found or does not belong to this salon.' });
+      }
+      res.json({ success: true, date: String(date), duration, staff: availability.staff, any_staff: availability.any_staff });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error during availability search.' });
+    }
+  });
+
+  // Start times at which the services can be done back to back, each by its own (or any qualified) staff.
+  // staff is an optional comma list aligned with services; 0 or missing means anyone qualified.
+  app.get('/api/salon/:salon_id/availability/chain', async (req, res) => {
+    const { salon_id } = req.params;
+    const { date, services, staff } = req.query;
+    if (!salon_id || salon_id === 'undefined' || isNaN(parseInt(salon_id))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+      return res.status(400).json({ success: false, message: 'Date is required (YYYY-MM-DD).' });
+    }
+    const serviceIds = String(services || '').split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id) && id > 0);
+    if (serviceIds.length < 2) {
+      return res.status(400).json({ success: false, message: 'يجب اختيار خدمتين على الأقل.' });
+    }
+    if (serviceIds.length > MAX_CHAIN_SERVICES) {
+      return res.status(400).json({ success: false, message: `لا يمكن حجز أكثر من ${MAX_CHAIN_SERVICES} خدمات متتالية.` });
+    }
+    const staffIds = String(staff || '').split(',').map(id => parseInt(id.trim()) || 0);
+    const lines = serviceIds.map((serviceId, i) => ({ serviceId, staffId: staffIds[i] || 0 }));
+    try {
+      const offered = new Set((await dbAll('SELECT service_id FROM salon_services WHERE salon_id = $1', [salon_id])).map(row => parseInt(row.service_id)));
+      if (!serviceIds.every(serviceId => offered.has(serviceId))) {
+        return res.status(400).json({ success: false, message: 'الخدمات المختارة غير متوفرة في هذا الصالون.' });
+      }
+      const chains = await computeServiceChains(salon_id, String(date), lines);
+      if (!chains) {
+        return res.status(404).json({ success: false, message: 'جدول الصالون غير متوفر.' });
+      }
+      res.json({ success: true, date: String(date), chains });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error during availability search.' });
+    }
+  });
+
+  // HTTP status for a failed transitionAppointmentStatus result
+  const TRANSITION_ERROR_STATUS = { NOT_FOUND: 404, FORBIDDEN_TRANSITION: 403, CONFLICT: 409 };
+
+  const appointmentWrite = requireSalonAccess({ permission: 'manage_appointments', resolveSalonId: salonIdFrom('appointments', 'appointment_id') });
+
+  app.post('/api/salon/appointment/status/:appointment_id', appointmentWrite, async (req, res) => {
     const appointmentId = req.params.appointment_id;
-    const { status } = req.body;
-    if (!['Completed', 'Cancelled', 'Absent'].includes(status)) {
+    const { status, reason } = req.body;
+    if (!APPOINTMENT_STATUSES.includes(status)) {
       return res.status(400).json({ success: false, message: 'Invalid status provided.' });
     }
+    // Completing can carry what the customer paid, so the receipt is ready straight away
+    let payment = null;
+    if (status === 'Completed' && req.body.payment) {
+      const parsedPayment = appointmentPaymentSchema.safeParse(req.body.payment);
+      if (!parsedPayment.success) {
+        return res.status(400).json({ success: false, message: parsedPayment.error.issues[0]?.message || 'بيانات الدفع غير صالحة.' });
+      }
+      payment = parsedPayment.data;
+    }
     try {
-      const getAppointmentQuery = 'SELECT user_id, salon_id, status FROM appointments WHERE id = $1';
+      const getAppointmentQuery = 'SELECT user_id, salon_id, status, start_time, price FROM appointments WHERE id = $1';
       const appointment = await dbGet(getAppointmentQuery, [appointmentId]);
       if (!appointment) {
         return res.status(404).json({ success: false, message: 'Appointment not found.' });
       }
-      if (appointment.status !== 'Scheduled') {
-        return res.status(400).json({ success: false, message: `لا يمكن تغيير حالة موعد تم تحديده مسبقاً كـ "${appointment.status}"` });
+      if (payment && payment.discount > Number(appointment.price)) {
+        return res.status(400).json({ success: false, message: 'الخصم لا يمكن أن يتجاوز سعر الموعد.' });
+      }
+      const transition = await transitionAppointmentStatus({ appointmentId, toStatus: status, actorType: 'salon', actorId: req.salonRole ? req.salonRole.staff_id : null, reason });
+      if (!transition.ok) {
+        return res.status(TRANSITION_ERROR_STATUS[transition.code] || 400).json({ success: false, code: transition.code, message: transition.message });
       }
-      await dbRun('UPDATE appointments SET status = $1 WHERE id = $2', [status, appointmentId]);
       if (global.broadcastToSalon) {
         global.broadcastToSalon(appointment.salon_id, 'appointment_status_updated', { appointmentId, status, user_id: appointment.user_id });
       }
       if (global.broadcastToUser) {
         global.broadcastToUser(appointment.user_id, 'appointment_status_updated', { appointmentId, status });
       }
+      if (status === 'Cancelled') {
+        notifyWaitlistOfFreedSlot(appointment.salon_id, appointment.start_time);
+      }
+      // A corrected absence no longer counts against the customer
+      if (transition.from !== 'Scheduled' && status === 'Completed') {
+        await revokeAppointmentStrikes(appointmentId, 'no_show');
+      }
       if (status === 'Absent') {
-        await dbRun('UPDATE users SET strikes = strikes + 1 WHERE id = $1', [appointment.user_id]);
-        res.json({ success: true, message: 'تم تحديث حالة الموعد وإضافة إنذار للمستخدم' });
+        const policy = await getSalonPolicy(appointment.salon_id);
+        const newStrikes = await recordStrike({ userId: appointment.user_id, salonId: appointment.salon_id, appointmentId, reason: 'no_show', weight: policy.no_show_strike_weight });
+        res.json({ success: true, message: newStrikes !== null ? 'تم تحديث حالة الموعد وإضافة إنذار للمستخدم' : 'تم تحديث حالة الموعد إلى غائب', strikeIssued: newStrikes !== null });
       } else {
-        res.json({ success: true, message: `تم تحديث حالة الموعد إلى ${status === 'Completed' ? 'مكتمل' : 'ملغي'}` });
+        const statusLabels = { Completed: 'مكتمل', Cancelled: 'ملغي', Rejected: 'مرفوض' };
+        const settled = payment ? await recordAppointmentSettlement(appointmentId, payment) : null;
+        res.json({ success: true, message: `تم تحديث حالة الموعد إلى ${statusLabels[status] || status}`, settlement: settled && settled.ok ? settled.settlement : undefined });
+      }
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // Record or correct the payment of an appointment that is already Completed
+  app.post('/api/salon/appointment/:appointment_id/payment', appointmentWrite, async (req, res) => {
+    const parsed = appointmentPaymentSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'بيانات الدفع غير صالحة.' });
+    }
+    try {
+      const result = await recordAppointmentSettlement(req.params.appointment_id, parsed.data);
+      if (!result.ok) {
+        return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({ success: false, code: result.code, message: result.message });
       }
+      res.json({ success: true, message: 'تم تسجيل الدفع.', settlement: result.settlement });
     } catch {
       return res.status(500).json({ success: false, message: 'Database error.' });
     }
@@ -128,7 +367,7 @@ module.exports = function register(app, deps) {
     if (!authUserId || String(authUserId) !== String(user_id)) {
       return res.status(403).json({ success: false, message: 'غير مصرح لك بعرض هذه المواعيد.' });
     }
-    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    const now = new Date().toISOString();
     let whereClause = '';
     let params = [authUserId];
     let orderBy = 'DESC';
@@ -136,11 +375,11 @@ module.exports = function register(app, deps) {
       return res.status(400).json({ success: false, message: 'User ID is required and must be valid.' });
     }
     if (filter === 'upcoming') {
-      whereClause = `AND a.start_time > $2 AND a.status = 'Scheduled'`;
+      whereClause = `AND a.start_at > $2 AND a.status IN ('Scheduled', 'PendingPayment')`;
       params.push(now);
       orderBy = 'ASC';
     } else if (filter === 'past') {
-      whereClause = `AND a.start_time <= $2`;
+      whereClause = `AND a.start_at <= $2`;
       params.push(now);
       orderBy = 'DESC';
     } else {
@@ -148,14 +387,18 @@ module.exports = function register(app, deps) {
     }
     const sql = `
       SELECT 
-        a.id, a.start_time, a.end_time, a.status, a.price,
+        a.id, a.start_time, a.end_time, a.status, a.price, a.series_id,
         s.salon_name,
         serv.name_ar AS service_name,
-        st.name AS staff_name
+        st.name AS staff_name,
+        cp.id AS payment_id, cp.amount AS deposit_amount, cp.expires_at AS payment_expires_at,
+        rc.receipt_number
       FROM appointments a
       JOIN salons s ON a.salon_id = s.id
       JOIN services serv ON a.service_id = serv.id
       LEFT JOIN staff st ON a.staff_id = st.id
+      LEFT JOIN customer_payments cp ON cp.appointment_id = a.id AND cp.kind = 'deposit' AND cp.status = 'pending'
+      LEFT JOIN customer_payments rc ON rc.appointment_id = a.id AND rc.kind = 'settlement'
       WHERE a.user_id = $1 ${whereClause}
       ORDER BY a.start_time ${orderBy}
     `;
@@ -164,13 +407,16 @@ module.exports = function register(app, deps) {
       const appointmentsWithServices = await Promise.all(rows.map(async (appointment) => {
         try {
           const servicesQuery = `
-            SELECT s.name_ar, aps.price 
+            SELECT s.name_ar, aps.price, aps.staff_id, aps.start_time, aps.end_time, st.name AS staff_name
             FROM appointment_services aps
             JOIN services s ON aps.service_id = s.id
+            LEFT JOIN staff st ON aps.staff_id = st.id
             WHERE aps.appointment_id = $1
+            ORDER BY aps.start_time, aps.id
           `;
           const services = await dbAll(servicesQuery, [appointment.id]);
-          return { ...appointment, all_services: services, services_names: services.length > 0 ? services.map(s => s.name_ar).join(' + ') : appointment.service_name };
+          const receipt_url = appointment.receipt_number ? `/api/appointments/${appointment.id}/receipt` : null;
+          return { ...appointment, receipt_url, all_services: services, services_names: services.length > 0 ? services.map(s => s.name_ar).join(' + ') : appointment.service_name };
         } catch {
           return { ...appointment, all_services: [], services_names: appointment.service_name || 'خدمة غير محددة' };
         }
@@ -183,60 +429,341 @@ module.exports = function register(app, deps) {
 
   app.post('/api/appointments/cancel/:appointment_id', requireAuth, async (req, res) => {
     const appointmentId = req.params.appointment_id;
-    const minNoticeHours = 3;
     const authUserId = req.user && req.user.id;
     if (!authUserId || isNaN(parseInt(authUserId))) {
       return res.status(401).json({ success: false, message: 'يرجى تسجيل الدخول.' });
     }
     try {
-      const row = await dbGet('SELECT salon_id, start_time, status, user_id FROM appointments WHERE id = $1', [appointmentId]);
+      const row = await dbGet('SELECT salon_id, start_time, start_at, status, user_id FROM appointments WHERE id = $1', [appointmentId]);
       if (!row) {
         return res.status(404).json({ success: false, message: 'Appointment not found.' });
       }
-      if (row.status !== 'Scheduled') {
+      if (row.status !== 'Scheduled' && row.status !== 'PendingPayment') {
         return res.status(400).json({ success: false, message: 'لا يمكن إلغاء موعد حالته ليست "مؤكد".' });
       }
       if (String(row.user_id) !== String(authUserId)) {
         return res.status(403).json({ success: false, message: 'غير مصرح لك بإلغاء هذا الموعد.' });
       }
-      const appointmentTime = new Date(row.start_time).getTime();
+      // Dropping a booking whose deposit was never paid carries no strike
+      if (row.status === 'PendingPayment') {
+        const transition = await transitionAppointmentStatus({ appointmentId, toStatus: 'Cancelled', actorType: 'customer', actorId: authUserId, reason: req.body?.reason });
+        if (!transition.ok) {
+          return res.status(TRANSITION_ERROR_STATUS[transition.code] || 400).json({ success: false, code: transition.code, message: transition.message });
+        }
+        await dbRun(`UPDATE customer_payments SET status = 'cancelled' WHERE appointment_id = $1 AND status = 'pending'`, [appointmentId]);
+        notifyWaitlistOfFreedSlot(row.salon_id, row.start_time);
+        return res.json({ success: true, message: 'تم إلغاء الموعد بنجاح.' });
+      }
+      const policy = await getSalonPolicy(row.salon_id);
+      const appointmentTime = new Date(row.start_at).getTime();
+      const isToday = String(row.start_time).substring(0, 10) === await salonToday(row.salon_id);
       const nowMs = new Date().getTime();
-      const noticePeriodMs = minNoticeHours * 60 * 60 * 1000;
+      const noticePeriodMs = policy.cancel_min_notice_hours * 60 * 60 * 1000;
+      const transition = await transitionAppointmentStatus({ appointmentId, toStatus: 'Cancelled', actorType: 'customer', actorId: authUserId, reason: req.body?.reason, details: { late: appointmentTime - nowMs < noticePeriodMs } });
+      if (!transition.ok) {
+        return res.status(TRANSITION_ERROR_STATUS[transition.code] || 400).json({ success: false, code: transition.code, message: transition.message });
+      }
       if (appointmentTime - nowMs < noticePeriodMs) {
-        await dbRun('UPDATE appointments SET status = $1 WHERE id = $2', ['Cancelled', appointmentId]);
-        const strikeResult = await dbGet('UPDATE users SET strikes = strikes + 1 WHERE id = $1 RETURNING strikes', [authUserId]);
-        const newStrikes = strikeResult ? strikeResult.strikes : null;
+        const newStrikes = await recordStrike({ userId: authUserId, salonId: row.salon_id, appointmentId, reason: 'late_cancel', weight: policy.late_cancel_strike_weight });
         await sendSalonEvent(row.salon_id, 'appointment_cancelled', { appointmentId, user_id: authUserId, start_time: row.start_time, late: true, strikes: newStrikes });
         const appointmentDate = new Date(row.start_time);
-        const todayLocal = new Date(new Date().toLocaleString('en-US', { timeZone: 'Asia/Jerusalem' }));
-        if (appointmentDate.toDateString() === todayLocal.toDateString()) {
+        if (isToday) {
           await sendPushToTargets({ salon_id: row.salon_id, payload: { title: 'إلغاء موعد متأخر', body: `تم إلغاء موعد قريب بتاريخ ${appointmentDate.toLocaleDateString('ar-EG')} على الساعة ${appointmentDate.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit', hour12: true })}`, url: '/home_salon.html#appointments' } });
         }
-        return res.status(200).json({ success: true, message: `تم إلغاء الموعد. تم إضافة إنذار لحسابك${newStrikes != null ? ` (الإنذارات: ${newStrikes}/3)` : ''} لأن الإلغاء كان متأخراً.`, strikeIssued: true });
+        notifyWaitlistOfFreedSlot(row.salon_id, row.start_time);
+        if (newStrikes === null) {
+          return res.json({ success: true, message: 'تم إلغاء الموعد بنجاح.', strikeIssued: false });
+        }
+        const activeStrikes = await getActiveStrikes(authUserId, policy);
+        return res.status(200).json({ success: true, message: `تم إلغاء الموعد. تم إضافة إنذار لحسابك (الإنذارات: ${activeStrikes}/${policy.strike_threshold}) لأن الإلغاء كان متأخراً.`, strikeIssued: true, strikes: activeStrikes });
       }
-      await dbRun('UPDATE appointments SET status = $1 WHERE id = $2', ['Cancelled', appointmentId]);
       await sendSalonEvent(row.salon_id, 'appointment_cancelled', { appointmentId, user_id: authUserId, start_time: row.start_time, late: false });
       const appointmentDate2 = new Date(row.start_time);
-      const nowLocal = new Date(new Date().toLocaleString('en-US', { timeZone: 'Asia/Jerusalem' }));
-      if (appointmentDate2.toDateString() === nowLocal.toDateString()) {
+      if (isToday) {
         await sendPushToTargets({ salon_id: row.salon_id, payload: { title: 'تم إلغاء موعد', body: `تم إلغاء موعد بتاريخ ${appointmentDate2.toLocaleDateString('ar-EG')} على الساعة ${appointmentDate2.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit', hour12: true })}`, url: '/home_salon.html#appointments' } });
       }
+      notifyWaitlistOfFreedSlot(row.salon_id, row.start_time);
       res.json({ success: true, message: 'تم إلغاء الموعد بنجاح.' });
     } catch {
       return res.status(500).json({ success: false, message: 'Database error during cancellation.' });
     }
   });
 
+  app.get('/api/appointments/:appointment_id/events', requireAuth, async (req, res) => {
+    try {
+      const appointment = await dbGet('SELECT id, user_id, salon_id, status FROM appointments WHERE id = $1', [req.params.appointment_id]);
+      if (!appointment) {
+        return res.status(404).json({ success: false, message: 'Appointment not found.' });
+      }
+      const actor = await resolveAppointmentActor(req.user, appointment);
+      if (!actor) {
+        return res.status(403).json({ success: false, message: 'غير مصرح لك بعرض سجل هذا الموعد.' });
+      }
+      const rows = await dbAll('SELECT id, event_type, from_status, to_status, actor_type, actor_id, reason, details, created_at FROM appointment_events WHERE appointment_id = $1 ORDER BY created_at ASC, id ASC', [appointment.id]);
+      const events = rows.map(row => {
+        let details = null;
+        try { details = row.details ? JSON.parse(row.details) : null; } catch {}
+        return { ...row, details };
+      });
+      res.json({ success: true, status: appointment.status, events });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.post('/api/appointments/:appointment_id/reschedule', requireAuth, async (req, res) => {
+    const appointmentId = req.params.appointment_id;
+    const parsed = rescheduleSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'Invalid request.' });
+    }
+    try {
+      const appointment = await dbGet('SELECT * FROM appointments WHERE id = $1', [appointmentId]);
+      if (!appointment) {
+        return res.status(404).json({ success: false, message: 'Appointment not found.' });
+      }
+      const actor = await resolveAppointmentActor(req.user, appointment);
+      if (!actor) {
+        return res.status(403).json({ success: false, message: 'غير مصرح لك بتعديل هذا الموعد.' });
+      }
+      const notScheduled = () => res.status(400).json({ success: false, message: 'لا يمكن تعديل موعد حالته ليست "مؤكد".' });
+      const limitReached = () => res.status(400).json({ success: false, code: 'RESCHEDULE_LIMIT', message: `لقد وصلت للحد الأقصى لتعديل هذا الموعد (${policy.max_reschedules}).` });
+      if (appointment.status !== 'Scheduled') {
+        return notScheduled();
+      }
+      // The salon can always move its own bookings; customers are bound by the salon's reschedule policy
+      let policy = null;
+      if (actor === 'customer') {
+        policy = await getSalonPolicy(appointment.salon_id);
+        if (!policy.reschedule_enabled) {
+          return res.status(400).json({ success: false, code: 'RESCHEDULE_DISABLED', message: 'هذا الصالون لا يسمح بتعديل المواعيد. يرجى التواصل مع الصالون.' });
+        }
+        const noticeMs = policy.reschedule_min_notice_hours * 60 * 60 * 1000;
+        if (new Date(appointment.start_at).getTime() - Date.now() < noticeMs) {
+          return res.status(400).json({ success: false, code: 'RESCHEDULE_TOO_LATE', message: `لا يمكن تعديل الموعد قبل أقل من ${policy.reschedule_min_notice_hours} ساعات من موعده.` });
+        }
+        if ((appointment.reschedule_count || 0) >= policy.max_reschedules) {
+          return limitReached();
+        }
+      }
+
+      const duration = minutesBetween(appointment.start_time, appointment.end_time);
+      const newStart = normalizeDateTime(parsed.data.start_time);
+      let newEnd = addMinutesToDateTime(newStart, duration);
+      const requestedStaff = parsed.data.staff_id !== undefined ? parsed.data.staff_id : (appointment.staff_id || 0);
+      // A moved appointment keeps its length and price; the services only decide who may take it
+      const serviceRows = await dbAll('SELECT id, service_id, staff_id, start_time FROM appointment_services WHERE appointment_id = $1 ORDER BY start_time, id', [appointment.id]);
+      const options = { ignoreAppointmentIds: [appointment.id], serviceIds: serviceRows.map(row => row.service_id) };
+      // Multi-staff visits move as a whole and each specialist keeps their own part
+      const segmentRows = serviceRows.filter(row => row.start_time);
+      const chainLines = segmentRows.map(row => ({ serviceId: row.service_id, staffId: row.staff_id }));
+      if (segmentRows.length > 0 && parsed.data.staff_id !== undefined) {
+        return res.status(400).json({ success: false, code: 'MULTI_STAFF_APPOINTMENT', message: 'لا يمكن تغيير المختص لموعد يضم عدة مختصين. يمكن تغيير الوقت فقط.' });
+      }
+      const outcome = await db.transaction(async (tx) => {
+        await tx.lock(appointment.salon_id);
+        // A cancel or another reschedule may have landed since the checks above
+        const current = await tx.get('SELECT status, reschedule_count FROM appointments WHERE id = $1', [appointment.id]);
+        if (!current || current.status !== 'Scheduled') {
+          return { notScheduled: true };
+        }
+        if (policy && (current.reschedule_count || 0) >= policy.max_reschedules) {
+          return { limitReached: true };
+        }
+        const slotOptions = { ...options, runner: tx };
+        if (segmentRows.length > 0) {
+          const segments = await planServiceChainAt(appointment.salon_id, newStart, chainLines, slotOptions);
+          if (!segments) {
+            return { chainUnavailable: true };
+          }
+          newEnd = segments[segments.length - 1].end_time;
+          const moved = await tx.run(`UPDATE appointments SET start_time = $1, end_time = $2, reschedule_count = COALESCE(reschedule_count, 0) + 1 WHERE id = $3 AND status = 'Scheduled'`, [newStart, newEnd, appointment.id]);
+          if (!moved || !moved.changes) {
+            return { notScheduled: true };
+          }
+          for (let i = 0; i < segments.length; i++) {
+            await tx.run('UPDATE appointment_services SET start_time = $1, end_time = $2 WHERE id = $3', [segments[i].start_time, segments[i].end_time, segmentRows[i].id]);
+          }
+          await syncAppointmentInstants(tx, { appointmentId: appointment.id });
+          await tx.run('DELETE FROM reminders_sent WHERE appointment_id = $1', [appointment.id]);
+          await recordAppointmentEvent(tx, { appointmentId: appointment.id, eventType: 'rescheduled', actorType: actor, actorId: req.user.id, details: { from_start: appointment.start_time, to_start: newStart, segments: segments.length } });
+          return { staffId: appointment.staff_id };
+        }
+        const validationResult = await validateBookingSlot(appointment.salon_id, requestedStaff, newStart, newEnd, duration, slotOptions);
+        if (!validationResult.valid) {
+          return { validationResult };
+        }
+        let finalStaffId = requestedStaff;
+        if (finalStaffId === 0) {
+          const member = await assignAvailableStaff(appointment.salon_id, newStart, newEnd, slotOptions);
+          if (!member) {
+            return { validationResult: { valid: false, reason: 'no_capacity', message: 'عفواً، لا يوجد مختص متاح لإتمام هذا الحجز في هذا الوقت.' } };
+          }
+          finalStaffId = member.id;
+        }
+        // Same row, so appointment_services and the appointment id are kept
+        const moved = await tx.run(`UPDATE appointments SET start_time = $1, end_time = $2, staff_id = $3, reschedule_count = COALESCE(reschedule_count, 0) + 1 WHERE id = $4 AND status = 'Scheduled'`, [newStart, newEnd, finalStaffId, appointment.id]);
+        if (!moved || !moved.changes) {
+          return { notScheduled: true };
+        }
+        await syncAppointmentInstants(tx, { appointmentId: appointment.id });
+        // Reminders already sent were for the old time
+        await tx.run('DELETE FROM reminders_sent WHERE appointment_id = $1', [appointment.id]);
+        await recordAppointmentEvent(tx, { appointmentId: appointment.id, eventType: 'rescheduled', actorType: actor, actorId: req.user.id, details: { from_start: appointment.start_time, to_start: newStart, staff_id: finalStaffId } });
+        return { staffId: finalStaffId };
+      });
+      if (outcome.notScheduled) {
+        return notScheduled();
+      }
+      if (outcome.limitReached) {
+        return limitReached();
+      }
+      if (outcome.chainUnavailable) {
+        const chains = await computeServiceChains(appointment.salon_id, newStart.substring(0, 10), chainLines);
+        return res.status(409).json({ success: false, code: 'SLOT_TAKEN', message: 'عذراً، لا يمكن ترتيب خدمات هذا الموعد بشكل متتالٍ في هذا الوقت. يرجى اختيار وقت آخر.', alternatives: (chains || []).map(chain => chain.start_time) });
+      }
+      if (outcome.validationResult) {
+        if (SLOT_CONFLICT_REASONS.includes(outcome.validationResult.reason)) {
+          return sendSlotTaken(res, appointment.salon_id, newStart, duration, requestedStaff);
+        }
+        return res.status(400).json({ success: false, message: outcome.validationResult.message });
+      }
+
+      const staffRow = await dbGet('SELECT name FROM staff WHERE id = $1', [outcome.staffId]);
+      const eventPayload = { appointmentId: appointment.id, user_id: appointment.user_id, staff_id: outcome.staffId, staff_name: staffRow ? staffRow.name : null, old_start_time: appointment.start_time, start_time: newStart, end_time: newEnd, by: actor };
+      try {
+        await sendSalonEvent(appointment.salon_id, 'appointment_rescheduled', eventPayload);
+        if (global.broadcastToUser) {
+          global.broadcastToUser(appointment.user_id, 'appointment_rescheduled', eventPayload);
+        }
+        const when = new Date(newStart);
+        const whenText = `${when.toLocaleDateString('ar-EG')} على الساعة ${when.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit', hour12: true })}`;
+        await sendPushToTargets({ salon_id: appointment.salon_id, payload: { title: 'تعديل موعد', body: `تم نقل موعد إلى ${whenText}`, url: '/home_salon.html#appointments' } });
+        await sendPushToTargets({ user_id: appointment.user_id, payload: { title: 'تم تعديل موعدك', body: `موعدك الجديد ${whenText}`, url: '/home_user.html#appointments' } });
+      } catch {}
+      notifyWaitlistOfFreedSlot(appointment.salon_id, appointment.start_time);
+      res.json({ success: true, message: 'تم تعديل موعدك بنجاح.', appointmentId: appointment.id, start_time: newStart, end_time: newEnd, staff_id: outcome.staffId });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error during reschedule.' });
+    }
+  });
+
+  // Reasons from validateBookingSlot that mean someone else got the slot first
+  const SLOT_CONFLICT_REASONS = ['staff_busy', 'no_capacity'];
+
+  // Slot suggestions for the same day, returned alongside a 409 so the client can re-render without another round trip
+  async function findAlternativeSlots(salonId, startTime, duration, staffId) {
+    try {
+      const availability = await computeAvailableSlots(salonId, String(startTime).substring(0, 10), duration, staffId || 0);
+      if (!availability) return [];
+      if (staffId) return availability.staff[0] ? availability.staff[0].slots : [];
+      return availability.any_staff;
+    } catch {
+      return [];
+    }
+  }
+
+  async function sendSlotTaken(res, salonId, startTime, duration, staffId) {
+    const alternatives = await findAlternativeSlots(salonId, startTime, duration, staffId);
+    return res.status(409).json({ success: false, code: 'SLOT_TAKEN', message: 'عذراً، تم حجز هذا الموعد للتو. يرجى اختيار وقت آخر.', alternatives });
+  }
+
+  // Bookings with a deposit stay PendingPayment until it is paid through /api/payments/:payment_id/confirm
+  async function sendDepositRequired(res, payment, booking) {
+    const checkout = await openDepositCheckout(payment);
+    if (!checkout) {
+      return res.status(502).json({ success: false, code: 'PAYMENT_UNAVAILABLE', message: 'تعذر بدء عملية الدفع. يرجى المحاولة لاحقاً.' });
+    }
+    const minutesLeft = Math.max(1, Math.round((new Date(checkout.expires_at).getTime() - Date.now()) / 60000));
+    res.json({ success: true, requires_payment: true, message: `تم حجز الموعد مبدئياً. يرجى دفع العربون (${checkout.amount} ₪) خلال ${minutesLeft} دقيقة لتأكيده.`, ...booking, payment: checkout });
+  }
+
+  app.post('/api/appointment/hold', requireAuth, async (req, res) => {
+    const parsed = slotHoldSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'بيانات الحجز غير صالحة.' });
+    }
+    const { salon_id, service_id, services } = parsed.data;
+    const start_time = normalizeDateTime(parsed.data.start_time);
+    const end_time = normalizeDateTime(parsed.data.end_time);
+    const staff_id = parsed.data.staff_id || 0;
+    const user_id = req.user?.id;
+    try {
+      const eligibility = await evaluateBookingEligibility(user_id, salon_id);
+      if (!eligibility.allowed) {
+        return res.status(403).json({ success: false, code: eligibility.code, message: eligibility.message, strikes: eligibility.strikes });
+      }
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+    const serviceIds = services && services.length > 0 ? services.map(service => service.id) : (service_id ? [service_id] : []);
+    if (serviceIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'يجب اختيار خدمة واحدة على الأقل.' });
+    }
+    let totalServiceDuration = 0;
+    try {
+      // The chosen staff member's own durations, as /api/appointment/book will check them
+      totalServiceDuration = await sumServiceDuration(salon_id, serviceIds, staff_id);
+      // A customer keeps at most one hold per salon; picking a new time releases the previous one
+      await dbRun('DELETE FROM slot_holds WHERE salon_id = $1 AND user_id = $2', [salon_id, user_id]);
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+    try {
+      const outcome = await db.transaction(async (tx) => {
+        await tx.lock(salon_id);
+        const validationResult = await validateBookingSlot(salon_id, staff_id, start_time, end_time, totalServiceDuration, { serviceIds, runner: tx });
+        if (!validationResult.valid) {
+          return { validationResult };
+        }
+        const hold_token = crypto.randomBytes(24).toString('hex');
+        const expires_at = new Date(Date.now() + SLOT_HOLD_MINUTES * 60 * 1000).toISOString();
+        await tx.run('INSERT INTO slot_holds (hold_token, salon_id, user_id, staff_id, start_time, end_time, expires_at) VALUES ($1, $2, $3, $4, $5, $6, $7)', [hold_token, salon_id, user_id, staff_id === 0 ? null : staff_id, start_time, end_time, expires_at]);
+        return { hold_token, expires_at };
+      });
+      if (outcome.validationResult) {
+        if (SLOT_CONFLICT_REASONS.includes(outcome.validationResult.reason)) {
+          return sendSlotTaken(res, salon_id, start_time, totalServiceDuration, staff_id);
+        }
+        return res.status(400).json({ success: false, message: outcome.validationResult.message });
+      }
+      res.json({ success: true, hold_token: outcome.hold_token, expires_at: outcome.expires_at, hold_minutes: SLOT_HOLD_MINUTES });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.delete('/api/appointment/hold/:hold_token', requireAuth, async (req, res) => {
+    try {
+      await dbRun('DELETE FROM slot_holds WHERE hold_token = $1 AND user_id = $2', [req.params.hold_token, req.user?.id]);
+      res.json({ success: true });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
   app.post('/api/appointment/book', requireAuth, async (req, res) => {
     const parsed = bookingSchema.safeParse(req.body);
     if (!parsed.success) {
       return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'بيانات الحجز غير صالحة.' });
     }
-    const { salon_id, staff_id, service_id, services, start_time, end_time, price } = parsed.data;
+    const { salon_id, staff_id, service_id, services, price, hold_token, promo_code, customer_package_id } = parsed.data;
+    const start_time = parsed.data.start_time ? normalizeDateTime(parsed.data.start_time) : parsed.data.start_time;
     const user_id = req.user?.id;
-    if (!salon_id || !user_id || !start_time || !end_time || price === undefined) {
+    if (!salon_id || !user_id || !start_time) {
       return res.status(400).json({ success: false, message: 'بيانات الحجز غير كاملة.' });
     }
+    let eligibility;
+    let policy;
+    try {
+      eligibility = await evaluateBookingEligibility(user_id, salon_id);
+      if (!eligibility.allowed) {
+        return res.status(403).json({ success: false, code: eligibility.code, message: eligibility.message, strikes: eligibility.strikes });
+      }
+      policy = await getSalonPolicy(salon_id);
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
     let servicesToBook = [];
     if (services && Array.isArray(services) && services.length > 0) {
       servicesToBook = services;
@@ -253,77 +780,292 @@ module.exports = function register(app, deps) {
     if (servicesToBook.length === 0) {
       return res.status(400).json({ success: false, message: 'يجب اختيار خدمة واحدة على الأقل.' });
     }
-    let totalServiceDuration = 0;
+    const serviceIds = servicesToBook.map(service => service.id);
+    // Prices and durations come from the salon's list for the chosen staff member (the salon's own
+    // list for "anyone"); a booking posted with other figures is refused rather than stored
+    let quoted;
     try {
-      for (const service of servicesToBook) {
-        const serviceDetails = await dbGet('SELECT duration FROM salon_services WHERE salon_id = $1 AND service_id = $2', [salon_id, service.id]);
-        if (serviceDetails && serviceDetails.duration) {
-          totalServiceDuration += serviceDetails.duration;
-        }
-      }
+      quoted = await resolveServicePrices(salon_id, serviceIds, staff_id);
     } catch {
       return res.status(400).json({ success: false, message: 'خطأ في حساب مدة الخدمات.' });
     }
-    const validationResult = await validateBookingSlot(salon_id, staff_id, start_time, end_time, totalServiceDuration);
-    if (!validationResult.valid) {
-      return res.status(400).json({ success: false, message: validationResult.message });
+    const totalServiceDuration = quoted ? quoted.reduce((sum, service) => sum + service.duration, 0) : 0;
+    if (totalServiceDuration <= 0) {
+      return res.status(400).json({ success: false, message: 'الخدمات المختارة غير متوفرة في هذا الصالون.' });
+    }
+    const mismatch = findPricingMismatch(quoted, { services: servicesToBook, price, startTime: start_time, endTime: parsed.data.end_time });
+    if (mismatch) {
+      return res.status(409).json({ success: false, code: 'PRICE_MISMATCH', message: 'تغيرت أسعار أو مدة الخدمات المختارة. يرجى مراجعة الحجز والمحاولة مجدداً.', ...mismatch });
     }
+    let end_time = addMinutesToDateTime(start_time, totalServiceDuration);
     const mainServiceId = servicesToBook[0].id;
-    let finalStaffId = staff_id;
-    let assignedStaffName = null;
-    if (finalStaffId === 0) {
+    // Only the customer's own hold may be skipped when checking the slot
+    let ownHoldToken = null;
+    if (hold_token) {
       try {
-        const allStaff = await dbAll('SELECT id, name FROM staff WHERE salon_id = $1', [salon_id]);
-        const newApptStart = new Date(start_time).getTime();
-        const newApptEnd = new Date(end_time).getTime();
-        let foundAvailableStaff = null;
-        for (const staffMember of allStaff) {
-          const staffAppointments = await dbAll('SELECT start_time, end_time FROM appointments WHERE salon_id = $1 AND staff_id = $2 AND status = \"Scheduled\"', [salon_id, staffMember.id]);
-          let isAvailable = true;
-          for (const appt of staffAppointments) {
-            const existingApptStart = new Date(appt.start_time).getTime();
-            const existingApptEnd = new Date(appt.end_time).getTime();
-            if (newApptStart < existingApptEnd && newApptEnd > existingApptStart) {
-              isAvailable = false;
-              break;
-            }
-          }
-          if (isAvailable) { foundAvailableStaff = staffMember; break; }
+        const hold = await dbGet('SELECT user_id FROM slot_holds WHERE hold_token = $1', [hold_token]);
+        if (hold && String(hold.user_id) === String(user_id)) ownHoldToken = hold_token;
+      } catch {}
+    }
+    let outcome;
+    try {
+      // Validation, staff assignment and insert run under a per-salon lock so two customers
+      // confirming the same slot are serialized and the second one sees the first booking
+      outcome = await db.transaction(async (tx) => {
+        await tx.lock(salon_id);
+        const slotOptions = { ignoreHoldToken: ownHoldToken, serviceIds, runner: tx };
+        const validationResult = await validateBookingSlot(salon_id, staff_id, start_time, end_time, totalServiceDuration, slotOptions);
+        if (!validationResult.valid) {
+          return { validationResult };
         }
-        if (foundAvailableStaff) { finalStaffId = foundAvailableStaff.id; assignedStaffName = foundAvailableStaff.name; }
-        else { return res.status(400).json({ success: false, message: 'عفواً، لا يوجد مختص متاح لإتمام هذا الحجز في هذا الوقت.' }); }
-      } catch {
-        return res.status(500).json({ success: false, message: 'خطأ في قاعدة البيانات أثناء تحديد المختص.' });
-      }
-    } else {
-      if (finalStaffId !== null) {
-        try {
-          const staffResult = await dbGet('SELECT name FROM staff WHERE id = $1', [finalStaffId]);
+        let finalStaffId = staff_id;
+        let assignedStaffName = null;
+        if (finalStaffId === 0) {
+          const foundAvailableStaff = await assignAvailableStaff(salon_id, start_time, end_time, slotOptions);
+          if (!foundAvailableStaff) {
+            return { validationResult: { valid: false, reason: 'no_capacity', message: 'عفواً، لا يوجد مختص متاح لإتمام هذا الحجز في هذا الوقت.' } };
+          }
+          finalStaffId = foundAvailableStaff.id;
+          assignedStaffName = foundAvailableStaff.name;
+          end_time = addMinutesToDateTime(start_time, foundAvailableStaff.duration);
+        } else if (finalStaffId !== null) {
+          const staffResult = await tx.get('SELECT name FROM staff WHERE id = $1', [finalStaffId]);
           assignedStaffName = staffResult ? staffResult.name : 'غير محدد';
-        } catch {
-          assignedStaffName = 'غير محدد';
         }
+        const staffIdForDB = finalStaffId === 0 ? null : finalStaffId;
+        const date_booked = new Date().toISOString();
+        // The price comes from the salon's own prices for the assigned staff member, less any promotion
+        const pricedServices = await resolveServicePrices(salon_id, serviceIds, finalStaffId || 0, tx);
+        if (!pricedServices) {
+          return { validationResult: { valid: false, reason: 'invalid_service', message: 'الخدمات المختارة غير متوفرة في هذا الصالون.' } };
+        }
+        // Services covered by the customer's package are not charged
+        const redemption = customer_package_id ? await applyPackageSessions(tx, { customerPackageId: customer_package_id, userId: user_id, salonId: salon_id, startTime: start_time, services: pricedServices }) : null;
+        if (redemption && redemption.error) {
+          return { validationResult: { valid: false, reason: 'invalid_package', message: redemption.error } };
+        }
+        const chargedServices = redemption ? redemption.services : pricedServices;
+        const pricing = await priceBooking({ salonId: salon_id, userId: user_id, startTime: start_time, services: chargedServices, promoCode: promo_code, runner: tx });
+        if (pricing.error) {
+          return { validationResult: { valid: false, reason: 'invalid_promo', message: pricing.error } };
+        }
+        const deposit = await computeBookingDeposit(salon_id, chargedServices, { prepayRequired: eligibility.requires_prepayment, policy, payable: pricing.price, runner: tx });
+        const status = deposit > 0 ? 'PendingPayment' : 'Scheduled';
+        const appointmentResult = await tx.get('INSERT INTO appointments (salon_id, user_id, staff_id, service_id, start_time, end_time, status, date_booked, price, original_price, discount_amount, promotion_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id', [salon_id, user_id, staffIdForDB, mainServiceId, start_time, end_time, status, date_booked, pricing.price, pricing.subtotal, pricing.discount, pricing.promotion ? pricing.promotion.id : null]);
+        const appointmentId = appointmentResult.id;
+        for (const service of chargedServices) {
+          await tx.run('INSERT INTO appointment_services (appointment_id, service_id, price, duration) VALUES ($1, $2, $3, $4)', [appointmentId, service.id, service.price, service.duration]);
+        }
+        await recordPromotionRedemption(tx, { appointmentId, userId: user_id, pricing });
+        await recordPackageRedemptions(tx, { appointmentId, redemption });
+        await syncAppointmentInstants(tx, { appointmentId });
+        if (ownHoldToken) {
+          await tx.run('DELETE FROM slot_holds WHERE hold_token = $1', [ownHoldToken]);
+        }
+        await recordAppointmentEvent(tx, { appointmentId, eventType: 'created', toStatus: status, actorType: 'customer', actorId: user_id, details: { source: 'online' } });
+        const payment = deposit > 0 ? await createDepositPayment(tx, { appointmentId, salonId: salon_id, userId: user_id, amount: deposit, holdMinutes: policy.deposit_hold_minutes }) : null;
+        return { appointmentId, staffIdForDB, assignedStaffName, payment, pricing, packageSessions: redemption ? redemption.covered.length : 0 };
+      });
+    } catch {
+      return res.status(500).json({ success: false, message: 'فشل في حفظ الحجز.' });
+    }
+    if (outcome.validationResult) {
+      if (SLOT_CONFLICT_REASONS.includes(outcome.validationResult.reason)) {
+        return sendSlotTaken(res, salon_id, start_time, totalServiceDuration, staff_id);
+      }
+      if (outcome.validationResult.reason === 'invalid_promo') {
+        return res.status(400).json({ success: false, code: 'INVALID_PROMO', message: outcome.validationResult.message });
       }
+      if (outcome.validationResult.reason === 'invalid_package') {
+        return res.status(400).json({ success: false, code: 'PACKAGE_UNAVAILABLE', message: outcome.validationResult.message });
+      }
+      return res.status(400).json({ success: false, message: outcome.validationResult.message });
+    }
+    const { appointmentId, staffIdForDB, assignedStaffName, pricing } = outcome;
+    const priceSummary = { price: pricing.price, original_price: pricing.subtotal, discount: pricing.discount, promotion: pricing.promotion ? pricing.promotion.title : null, package_sessions: outcome.packageSessions };
+    if (outcome.payment) {
+      return sendDepositRequired(res, outcome.payment, { appointmentId, assignedStaffName, servicesCount: servicesToBook.length, ...priceSummary });
     }
-    const staffIdForDB = finalStaffId === 0 ? null : finalStaffId;
-    const date_booked = new Date().toISOString();
-    const status = 'Scheduled';
     try {
-      const appointmentResult = await dbGet('INSERT INTO appointments (salon_id, user_id, staff_id, service_id, start_time, end_time, status, date_booked, price) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id', [salon_id, req.user.id, staffIdForDB, mainServiceId, start_time, end_time, status, date_booked, price]);
-      const appointmentId = appointmentResult.id;
-      for (const service of servicesToBook) {
-        await dbRun('INSERT INTO appointment_services (appointment_id, service_id, price) VALUES ($1, $2, $3)', [appointmentId, service.id, service.price]);
-      }
-      await sendSalonEvent(salon_id, 'appointment_booked', { appointmentId, user_id: req.user.id, staff_id: staffIdForDB, staff_name: assignedStaffName, start_time, end_time, services_count: servicesToBook.length, price });
+      await sendSalonEvent(salon_id, 'appointment_booked', { appointmentId, user_id: req.user.id, staff_id: staffIdForDB, staff_name: assignedStaffName, start_time, end_time, services_count: servicesToBook.length, price: pricing.price, discount: pricing.discount });
       const appointmentDate = new Date(start_time);
-      const nowLocal = new Date(new Date().toLocaleString('en-US', { timeZone: 'Asia/Jerusalem' }));
-      if (appointmentDate.toDateString() === nowLocal.toDateString()) {
+      if (start_time.substring(0, 10) === await salonToday(salon_id)) {
         await sendPushToTargets({ salon_id, payload: { title: 'حجز جديد', body: `لديك حجز جديد بتاريخ ${appointmentDate.toLocaleDateString('ar-EG')} على الساعة ${appointmentDate.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit', hour12: true })}`, url: '/home_salon.html#appointments' } });
       }
-      res.json({ success: true, message: 'تم حجز موعدك بنجاح!', appointmentId, assignedStaffName, servicesCount: servicesToBook.length });
+    } catch {}
+    res.json({ success: true, message: 'تم حجز موعدك بنجاح!', appointmentId, assignedStaffName, servicesCount: servicesToBook.length, ...priceSummary });
+  });
+
+  // Book several services back to back with a specialist per service. The appointment spans the whole
+  // visit; each appointment_services line records its own staff and times.
+  app.post('/api/appointment/book/chain', requireAuth, async (req, res) => {
+    const parsed = chainBookingSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'بيانات الحجز غير صالحة.' });
+    }
+    const { salon_id, services, promo_code, customer_package_id } = parsed.data;
+    const start_time = normalizeDateTime(parsed.data.start_time);
+    const user_id = req.user?.id;
+    const lines = services.map(service => ({ serviceId: service.id, staffId: service.staff_id || 0 }));
+    let eligibility;
+    let policy;
+    try {
+      eligibility = await evaluateBookingEligibility(user_id, salon_id);
+      if (!eligibility.allowed) {
+        return res.status(403).json({ success: false, code: eligibility.code, message: eligibility.message, strikes: eligibility.strikes });
+      }
+      policy = await getSalonPolicy(salon_id);
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+    let outcome;
+    try {
+      outcome = await db.transaction(async (tx) => {
+        await tx.lock(salon_id);
+        const segments = await planServiceChainAt(salon_id, start_time, lines, { runner: tx });
+        if (!segments) {
+          return { unavailable: true };
+        }
+        for (const segment of segments) {
+          const [priced] = (await resolveServicePrices(salon_id, [segment.service_id], segment.staff_id, tx)) || [];
+          if (!priced) return { invalidService: true };
+          segment.price = priced.price;
+          segment.duration = priced.duration;
+        }
+        let pricedServices = segments.map(segment => ({ id: segment.service_id, price: segment.price }));
+        const redemption = customer_package_id ? await applyPackageSessions(tx, { customerPackageId: customer_package_id, userId: user_id, salonId: salon_id, startTime: start_time, services: pricedServices }) : null;
+        if (redemption && redemption.error) {
+          return { packageError: redemption.error };
+        }
+        if (redemption) {
+          pricedServices = redemption.services;
+          segments.forEach((segment, index) => { segment.price = pricedServices[index].price; });
+        }
+        const pricing = await priceBooking({ salonId: salon_id, userId: user_id, startTime: start_time, services: pricedServices, promoCode: promo_code, runner: tx });
+        if (pricing.error) {
+          return { promoError: pricing.error };
+        }
+        const price = pricing.price;
+        const end_time = segments[segments.length - 1].end_time;
+        const deposit = await computeBookingDeposit(salon_id, pricedServices, { prepayRequired: eligibility.requires_prepayment, policy, payable: price, runner: tx });
+        const status = deposit > 0 ? 'PendingPayment' : 'Scheduled';
+        const appointmentResult = await tx.get('INSERT INTO appointments (salon_id, user_id, staff_id, service_id, start_time, end_time, status, date_booked, price, original_price, discount_amount, promotion_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id', [salon_id, user_id, segments[0].staff_id, segments[0].service_id, start_time, end_time, status, new Date().toISOString(), price, pricing.subtotal, pricing.discount, pricing.promotion ? pricing.promotion.id : null]);
+        await recordPromotionRedemption(tx, { appointmentId: appointmentResult.id, userId: user_id, pricing });
+        await recordPackageRedemptions(tx, { appointmentId: appointmentResult.id, redemption });
+        for (const segment of segments) {
+          await tx.run('INSERT INTO appointment_services (appointment_id, service_id, price, staff_id, start_time, end_time, duration) VALUES ($1, $2, $3, $4, $5, $6, $7)', [appointmentResult.id, segment.service_id, segment.price, segment.staff_id, segment.start_time, segment.end_time, segment.duration]);
+        }
+        await syncAppointmentInstants(tx, { appointmentId: appointmentResult.id });
+        await recordAppointmentEvent(tx, { appointmentId: appointmentResult.id, eventType: 'created', toStatus: status, actorType: 'customer', actorId: user_id, details: { source: 'online', segments: segments.length } });
+        const payment = deposit > 0 ? await createDepositPayment(tx, { appointmentId: appointmentResult.id, salonId: salon_id, userId: user_id, amount: deposit, holdMinutes: policy.deposit_hold_minutes }) : null;
+        return { appointmentId: appointmentResult.id, segments, price, end_time, payment, discount: pricing.discount };
+      });
     } catch {
       return res.status(500).json({ success: false, message: 'فشل في حفظ الحجز.' });
     }
+    if (outcome.invalidService) {
+      return res.status(400).json({ success: false, message: 'الخدمات المختارة غير متوفرة في هذا الصالون.' });
+    }
+    if (outcome.promoError) {
+      return res.status(400).json({ success: false, code: 'INVALID_PROMO', message: outcome.promoError });
+    }
+    if (outcome.packageError) {
+      return res.status(400).json({ success: false, code: 'PACKAGE_UNAVAILABLE', message: outcome.packageError });
+    }
+    if (outcome.unavailable) {
+      let alternatives = [];
+      try {
+        alternatives = (await computeServiceChains(salon_id, start_time.substring(0, 10), lines) || []).map(chain => chain.start_time);
+      } catch {}
+      return res.status(409).json({ success: false, code: 'SLOT_TAKEN', message: 'عذراً، لا يمكن ترتيب هذه الخدمات بشكل متتالٍ في هذا الوقت. يرجى اختيار وقت آخر.', alternatives });
+    }
+    const { appointmentId, segments, price, end_time, discount } = outcome;
+    if (outcome.payment) {
+      return sendDepositRequired(res, outcome.payment, { appointmentId, start_time, end_time, price, discount, segments });
+    }
+    try {
+      await sendSalonEvent(salon_id, 'appointment_booked', { appointmentId, user_id, staff_id: segments[0].staff_id, staff_name: segments[0].staff_name, start_time, end_time, services_count: segments.length, price, discount, segments });
+    } catch {}
+    res.json({ success: true, message: 'تم حجز موعدك بنجاح!', appointmentId, start_time, end_time, price, discount, segments });
+  });
+
+  const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+  // Printable HTML receipt of a settled appointment for its customer or salon; print to save as PDF
+  app.get('/api/appointments/:appointment_id/receipt', requireAuth, async (req, res) => {
+    try {
+      const appt = await dbGet(`
+        SELECT a.id, a.salon_id, a.user_id, a.start_time, a.price, a.discount_amount, s.salon_name, s.address, s.city, u.name AS user_name, st.name AS staff_name
+        FROM appointments a
+        JOIN salons s ON s.id = a.salon_id
+        JOIN users u ON u.id = a.user_id
+        LEFT JOIN staff st ON st.id = a.staff_id
+        WHERE a.id = $1
+      `, [req.params.appointment_id]);
+      if (!appt) {
+        return res.status(404).send('Appointment not found');
+      }
+      if (!(await resolveAppointmentActor(req.user, appt))) {
+        return res.status(403).send('Forbidden');
+      }
+      const settlement = await dbGet(`SELECT * FROM customer_payments WHERE appointment_id = $1 AND kind = 'settlement'`, [appt.id]);
+      if (!settlement) {
+        return res.status(404).send('No receipt for this appointment');
+      }
+      const deposit = await dbGet(`SELECT COALESCE(SUM(amount), 0) AS total FROM customer_payments WHERE appointment_id = $1 AND kind = 'deposit' AND status = 'paid'`, [appt.id]);
+      const lines = await dbAll(`
+        SELECT s.name_ar, aps.price,
+               (SELECT COUNT(*) FROM package_redemptions r WHERE r.appointment_id = aps.appointment_id AND r.service_id = aps.service_id) AS from_package
+        FROM appointment_services aps
+        JOIN services s ON s.id = aps.service_id
+        WHERE aps.appointment_id = $1 ORDER BY aps.id
+      `, [appt.id]);
+      const money = (value) => `${(Number(value) || 0).toFixed(2)} ₪`;
+      const depositPaid = Number(deposit ? deposit.total : 0);
+      const totalPaid = depositPaid + Number(settlement.amount) + Number(settlement.tip || 0);
+      const methodLabels = { cash: 'نقداً', card: 'بطاقة' };
+      const rows = [
+        ...lines.map(line => [escapeHtml(line.name_ar), Number(line.from_package) > 0 ? 'من الباقة' : money(line.price)]),
+        ...(Number(appt.discount_amount) > 0 ? [['خصم العرض', `- ${money(appt.discount_amount)}`]] : []),
+        ['المجموع', money(appt.price)],
+        ...(Number(settlement.discount) > 0 ? [['الخصم', `- ${money(settlement.discount)}`]] : []),
+        ...(depositPaid > 0 ? [['العربون المدفوع مسبقاً', money(depositPaid)]] : []),
+        [`المدفوع في الصالون (${methodLabels[settlement.method] || escapeHtml(settlement.method || '')})`, money(settlement.amount)],
+        ...(Number(settlement.tip) > 0 ? [['البقشيش', money(settlement.tip)]] : []),
+        ['إجمالي المدفوع', money(totalPaid)]
+      ];
+      const html = `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head>
+<meta charset="utf-8">
+<title>إيصال ${escapeHtml(settlement.receipt_number)}</title>
+<style>
+  body { font-family: Tahoma, Arial, sans-serif; max-width: 480px; margin: 24px auto; color: #222; }
+  h1 { font-size: 20px; margin-bottom: 4px; }
+  .muted { color: #666; font-size: 13px; margin: 2px 0; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+  td { padding: 6px 0; border-bottom: 1px solid #eee; }
+  td:last-child { text-align: left; white-space: nowrap; }
+  tr:last-child td { font-weight: bold; border-bottom: none; }
+  @media print { .no-print { display: none; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(appt.salon_name)}</h1>
+<p class="muted">${escapeHtml([appt.address, appt.city].filter(Boolean).join('، '))}</p>
+<p class="muted">رقم الإيصال: ${escapeHtml(settlement.receipt_number)}</p>
+<p class="muted">الموعد: ${escapeHtml(String(appt.start_time).substring(0, 16))}${appt.staff_name ? ` - مع ${escapeHtml(appt.staff_name)}` : ''}</p>
+<p class="muted">العميل: ${escapeHtml(appt.user_name || '')}</p>
+<table>${rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}</table>
+${settlement.note ? `<p class="muted">${escapeHtml(settlement.note)}</p>` : ''}
+<p class="no-print"><button onclick="window.print()">طباعة / حفظ PDF</button></p>
+</body>
+</html>`;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.status(200).send(html);
+    } catch (e) {
+      return res.status(500).send('Failed to generate receipt');
+    }
   });
 
   app.get('/api/appointments/:appointment_id/ics', requireAuth, async (req, res) => {
@@ -333,7 +1075,7 @@ module.exports = function register(app, deps) {
         return res.status(400).send('Invalid appointment id');
       }
       const appt = await dbGet(
-        `SELECT a.id, a.salon_id, a.user_id, a.start_time, a.end_time, a.price,
+        `SELECT a.id, a.salon_id, a.user_id, a.start_time, a.end_time, a.start_at, a.end_at, a.price,
                 s.salon_name, s.address, s.city
          FROM appointments a
          JOIN salons s ON s.id = a.salon_id
@@ -347,8 +1089,9 @@ module.exports = function register(app, deps) {
       if (requester !== appt.user_id && req.user?.role !== 'admin') {
         return res.status(403).send('Forbidden');
       }
-      const start = new Date(appt.start_time);
-      const end = new Date(appt.end_time);
+      // DTSTART/DTEND are written in UTC, so use the stored instants rather than the salon wall-clock times
+      const start = new Date(appt.start_at);
+      const end = new Date(appt.end_at);
       const pad = (n) => String(n).padStart(2, '0');
       const fmt = (d) => `${d.getUTCFullYear()}${pad(d.getUTCMonth()+1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
       const dtstamp = fmt(new Date());
@@ -0,0 +1,175 @@
+module.exports = function register(app, deps) {
+  const { dbAll, dbGet, dbRun, requireAdmin, requireSalonAccess, salonIdFrom, calendarPeriodSchema, offerWaitlistSlots, salonToday, APPOINTMENT_INACTIVE_STATUSES } = deps;
+
+  const inactiveStatuses = APPOINTMENT_INACTIVE_STATUSES.map(status => `'${status}'`).join(', ');
+
+  // Lifting a closure or changing hours can free slots for waitlisted customers in the range
+  async function reofferWaitlist(salonIds, startDate, endDate) {
+    for (const salonId of salonIds) {
+      const today = await salonToday(salonId);
+      const waitingDays = await dbAll(`
+        SELECT DISTINCT date FROM waitlist_entries
+        WHERE salon_id = $1 AND status = 'waiting' AND date >= $2 AND date >= $3 AND date <= $4
+      `, [salonId, today, startDate, endDate]);
+      for (const { date } of waitingDays) {
+        await offerWaitlistSlots(salonId, date);
+      }
+    }
+  }
+
+  app.get('/api/salon/calendar/:salon_id', requireSalonAccess({ permission: 'manage_schedule' }), async (req, res) => {
+    const salonId = req.params.salon_id;
+    if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    try {
+      const today = await salonToday(salonId);
+      const periods = await dbAll(`
+        SELECT id, start_date, end_date, period_type, opening_time, closing_time, reason
+        FROM salon_calendar_periods
+        WHERE salon_id = $1 AND end_date >= $2
+        ORDER BY start_date ASC
+      `, [salonId, today]);
+      const holidays = await dbAll(`
+        SELECT h.id, h.start_date, h.end_date, h.period_type, h.opening_time, h.closing_time, h.reason,
+               CASE WHEN o.salon_id IS NULL THEN 0 ELSE 1 END AS opted_in
+        FROM platform_holidays h
+        LEFT JOIN salon_holiday_optins o ON o.holiday_id = h.id AND o.salon_id = $1
+        WHERE h.end_date >= $2
+        ORDER BY h.start_date ASC
+      `, [salonId, today]);
+      res.json({ success: true, periods, holidays: holidays.map(holiday => ({ ...holiday, opted_in: Number(holiday.opted_in) === 1 })) });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.post('/api/salon/calendar/:salon_id', requireSalonAccess({ permission: 'manage_schedule' }), async (req, res) => {
+    const salonId = req.params.salon_id;
+    if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    const parsed = calendarPeriodSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'بيانات الفترة غير صالحة.' });
+    }
+    const { start_date, end_date, period_type, opening_time, closing_time, reason } = parsed.data;
+    try {
+      const result = await dbGet(`
+        INSERT INTO salon_calendar_periods (salon_id, start_date, end_date, period_type, opening_time, closing_time, reason)
+        VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id
+      `, [salonId, start_date, end_date, period_type, period_type === 'hours' ? opening_time : null, period_type === 'hours' ? closing_time : null, reason]);
+      // Existing bookings are kept; the salon is told how many fall inside the period so it can contact customers
+      const affected = await dbGet(`
+        SELECT COUNT(*) AS count FROM appointments
+        WHERE salon_id = $1 AND DATE(start_time) >= $2 AND DATE(start_time) <= $3 AND status NOT IN (${inactiveStatuses})
+      `, [salonId, start_date, end_date]);
+      res.json({ success: true, periodId: result.id, affected_appointments: Number(affected ? affected.count : 0) });
+      if (period_type === 'hours') {
+        try { await reofferWaitlist([salonId], start_date, end_date); } catch {}
+      }
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.delete('/api/salon/calendar/period/:period_id', requireSalonAccess({ permission: 'manage_schedule', resolveSalonId: salonIdFrom('salon_calendar_periods', 'period_id') }), async (req, res) => {
+    try {
+      const period = await dbGet('SELECT * FROM salon_calendar_periods WHERE id = $1', [req.params.period_id]);
+      if (!period) {
+        return res.status(404).json({ success: false, message: 'Period not found.' });
+      }
+      await dbRun('DELETE FROM salon_calendar_periods WHERE id = $1', [period.id]);
+      res.json({ success: true });
+      try { await reofferWaitlist([period.salon_id], period.start_date, period.end_date); } catch {}
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.post('/api/salon/calendar/:salon_id/holidays/:holiday_id', requireSalonAccess({ permission: 'manage_schedule' }), async (req, res) => {
+    const salonId = req.params.salon_id;
+    if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    try {
+      const holiday = await dbGet('SELECT * FROM platform_holidays WHERE id = $1', [req.params.holiday_id]);
+      if (!holiday) {
+        return res.status(404).json({ success: false, message: 'Holiday not found.' });
+      }
+      await dbRun(`
+        INSERT INTO salon_holiday_optins (salon_id, holiday_id) VALUES ($1, $2)
+        ON CONFLICT (salon_id, holiday_id) DO NOTHING
+      `, [salonId, holiday.id]);
+      res.json({ success: true, message: 'تم تطبيق العطلة على جدول الصالون.' });
+      if (holiday.period_type === 'hours') {
+        try { await reofferWaitlist([salonId], holiday.start_date, holiday.end_date); } catch {}
+      }
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.delete('/api/salon/calendar/:salon_id/holidays/:holiday_id', requireSalonAccess({ permission: 'manage_schedule' }), async (req, res) => {
+    const salonId = req.params.salon_id;
+    if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    try {
+      const holiday = await dbGet('SELECT * FROM platform_holidays WHERE id = $1', [req.params.holiday_id]);
+      await dbRun('DELETE FROM salon_holiday_optins WHERE salon_id = $1 AND holiday_id = $2', [salonId, req.params.holiday_id]);
+      res.json({ success: true, message: 'تم إلغاء تطبيق العطلة على جدول الصالون.' });
+      if (holiday) {
+        try { await reofferWaitlist([salonId], holiday.start_date, holiday.end_date); } catch {}
+      }
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.get('/api/admin/holidays', requireAdmin, async (req, res) => {
+    try {
+      const holidays = await dbAll(`
+        SELECT h.*, (SELECT COUNT(*) FROM salon_holiday_optins o WHERE o.holiday_id = h.id) AS salons_count
+        FROM platform_holidays h
+        ORDER BY h.start_date DESC
+      `);
+      res.json({ success: true, holidays });
+    } catch {
+      res.status(500).json({ success: false });
+    }
+  });
+
+  app.post('/api/admin/holidays', requireAdmin, async (req, res) => {
+    const parsed = calendarPeriodSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'بيانات العطلة غير صالحة.' });
+    }
+    const { start_date, end_date, period_type, opening_time, closing_time, reason } = parsed.data;
+    try {
+      const result = await dbGet(`
+        INSERT INTO platform_holidays (start_date, end_date, period_type, opening_time, closing_time, reason)
+        VALUES ($1, $2, $3, $4, $5, $6) RETURNING id
+      `, [start_date, end_date, period_type, period_type === 'hours' ? opening_time : null, period_type === 'hours' ? closing_time : null, reason]);
+      res.json({ success: true, holidayId: result.id });
+    } catch {
+      res.status(500).json({ success: false, message: 'فشل حفظ العطلة.' });
+    }
+  });
+
+  app.delete('/api/admin/holidays/:id', requireAdmin, async (req, res) => {
+    try {
+      const holiday = await dbGet('SELECT * FROM platform_holidays WHERE id = $1', [req.params.id]);
+      if (!holiday) {
+        return res.status(404).json({ success: false, message: 'العطلة غير موجودة.' });
+      }
+      const optedIn = await dbAll('SELECT salon_id FROM salon_holiday_optins WHERE holiday_id = $1', [holiday.id]);
+      await dbRun('DELETE FROM salon_holiday_optins WHERE holiday_id = $1', [holiday.id]);
+      await dbRun('DELETE FROM platform_holidays WHERE id = $1', [holiday.id]);
+      res.json({ success: true });
+      try { await reofferWaitlist(optedIn.map(row => row.salon_id), holiday.start_date, holiday.end_date); } catch {}
+    } catch {
+      res.status(500).json({ success: false, message: 'فشل حذف العطلة.' });
+    }
+  });
+};
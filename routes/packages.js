@@ -0,0 +1,212 @@
+module.exports = function register(app, deps) {
+  const { dbAll, dbGet, dbRun, requireAuth, requireSalonAccess, salonIdFrom, packageSchema, packageSaleSchema, loadCustomerPackages, packageExpiryDate, settlePackagePurchase, getPaymentProvider, normalizePhoneNumber, PAYMENT_CURRENCY } = deps;
+
+  const describePackage = (row) => ({
+    ...row,
+    service_ids: JSON.parse(row.service_ids || '[]'),
+    price: Number(row.price),
+    is_active: row.is_active === true || row.is_active === 1
+  });
+
+  // Packages a customer can buy from the salon
+  app.get('/api/salons/:salon_id/packages', async (req, res) => {
+    const salonId = req.params.salon_id;
+    if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    try {
+      const packages = await dbAll('SELECT id, title, service_ids, sessions, price, validity_days, is_active FROM salon_packages WHERE salon_id = $1 AND is_active = TRUE ORDER BY price ASC', [salonId]);
+      res.json({ success: true, packages: packages.map(describePackage) });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // The salon's own list, with packages it stopped selling and how many are in use; customers get
+  // the catalogue above
+  app.get('/api/salon/packages/:salon_id', requireSalonAccess({ permission: 'manage_services' }), async (req, res) => {
+    const salonId = req.params.salon_id;
+    if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    try {
+      const packages = await dbAll(`
+        SELECT p.*,
+               (SELECT COUNT(*) FROM customer_packages cp WHERE cp.package_id = p.id AND cp.status = 'active') AS sold
+        FROM salon_packages p
+        WHERE p.salon_id = $1
+        ORDER BY p.is_active DESC, p.created_at DESC
+      `, [salonId]);
+      res.json({ success: true, packages: packages.map(row => ({ ...describePackage(row), sold: Number(row.sold) })) });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.post('/api/salon/packages/:salon_id', requireSalonAccess({ permission: 'manage_services' }), async (req, res) => {
+    const salonId = req.params.salon_id;
+    if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    const parsed = packageSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'بيانات الباقة غير صالحة.' });
+    }
+    const pkg = parsed.data;
+    const serviceIds = [...new Set(pkg.service_ids)];
+    try {
+      const offered = await dbAll('SELECT service_id FROM salon_services WHERE salon_id = $1', [salonId]);
+      const offeredIds = new Set(offered.map(row => String(row.service_id)));
+      if (!serviceIds.every(id => offeredIds.has(String(id)))) {
+        return res.status(400).json({ success: false, message: 'الخدمات المختارة غير متوفرة في هذا الصالون.' });
+      }
+      const result = await dbGet(`
+        INSERT INTO salon_packages (salon_id, title, service_ids, sessions, price, validity_days)
+        VALUES ($1, $2, $3, $4, $5, $6) RETURNING id
+      `, [salonId, pkg.title, JSON.stringify(serviceIds), pkg.sessions, pkg.price, pkg.validity_days]);
+      res.json({ success: true, message: 'تم إنشاء الباقة.', packageId: result.id });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // Packages already sold keep their sessions when the salon stops selling one
+  app.delete('/api/salon/packages/item/:package_id', requireSalonAccess({ permission: 'manage_services', resolveSalonId: salonIdFrom('salon_packages', 'package_id') }), async (req, res) => {
+    try {
+      const result = await dbRun('UPDATE salon_packages SET is_active = FALSE WHERE id = $1', [req.params.package_id]);
+      if (!result || !result.changes) {
+        return res.status(404).json({ success: false, message: 'Package not found.' });
+      }
+      res.json({ success: true, message: 'تم إيقاف بيع الباقة.' });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // Customers' balances for the salon dashboard, with who bought what and what they paid
+  app.get('/api/salon/customer-packages/:salon_id', requireSalonAccess({ permission: 'view_revenue' }), async (req, res) => {
+    const salonId = req.params.salon_id;
+    if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    try {
+      res.json({ success: true, packages: await loadCustomerPackages({ salonId }) });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // A package paid for at the counter, for a registered customer or one of the salon's guests
+  app.post('/api/salon/customer-packages/:salon_id', requireSalonAccess({ permission: 'manage_appointments', session: 'required' }), async (req, res) => {
+    const salonId = Number(req.params.salon_id);
+    const parsed = packageSaleSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'بيانات البيع غير صالحة.' });
+    }
+    const { package_id, customer_phone, method } = parsed.data;
+    const phone = normalizePhoneNumber(customer_phone);
+    if (!phone) {
+      return res.status(400).json({ success: false, message: 'رقم الهاتف غير صالح.' });
+    }
+    try {
+      const pkg = await dbGet('SELECT * FROM salon_packages WHERE id = $1 AND salon_id = $2 AND is_active = TRUE', [package_id, salonId]);
+      if (!pkg) {
+        return res.status(404).json({ success: false, message: 'الباقة غير متوفرة.' });
+      }
+      const registered = await dbAll("SELECT id FROM users WHERE user_type = 'user' AND RIGHT(REGEXP_REPLACE(phone, '[^0-9]', '', 'g'), 9) = $1", [phone]);
+      const guest = registered.length > 0 ? null : await dbGet('SELECT user_id AS id FROM guest_customers WHERE salon_id = $1 AND phone = $2', [salonId, phone]);
+      const customer = registered[0] || guest;
+      if (!customer) {
+        return res.status(404).json({ success: false, code: 'CUSTOMER_NOT_FOUND', message: 'لا يوجد عميل بهذا الرقم.' });
+      }
+      const expiresOn = await packageExpiryDate(salonId, pkg.validity_days);
+      const result = await dbGet(`
+        INSERT INTO customer_packages (package_id, salon_id, user_id, title, service_ids, sessions_total, price, validity_days, status, source, method, purchased_at, expires_on)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'active', 'salon', $9, $10, $11) RETURNING id
+      `, [pkg.id, salonId, customer.id, pkg.title, pkg.service_ids, pkg.sessions, pkg.price, pkg.validity_days, method, new Date().toISOString(), expiresOn]);
+      res.json({ success: true, message: 'تم بيع الباقة للعميل.', customerPackageId: result.id, expires_on: expiresOn });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // The customer starts buying a package online; it is active once the payment is confirmed
+  app.post('/api/packages/:package_id/purchase', requireAuth, async (req, res) => {
+    const userId = req.user?.id;
+    let pkg;
+    try {
+      pkg = await dbGet('SELECT * FROM salon_packages WHERE id = $1 AND is_active = TRUE', [req.params.package_id]);
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+    if (!pkg) {
+      return res.status(404).json({ success: false, message: 'الباقة غير متوفرة.' });
+    }
+    let provider;
+    let customerPackageId;
+    try {
+      provider = getPaymentProvider();
+      const row = await dbGet(`
+        INSERT INTO customer_packages (package_id, salon_id, user_id, title, service_ids, sessions_total, price, validity_days, status, source, provider)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending', 'online', $9) RETURNING id
+      `, [pkg.id, pkg.salon_id, userId, pkg.title, pkg.service_ids, pkg.sessions, pkg.price, pkg.validity_days, provider.name]);
+      customerPackageId = row.id;
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+    try {
+      const checkout = await provider.createPayment({ amount: Number(pkg.price), currency: PAYMENT_CURRENCY, reference: `package-${customerPackageId}`, description: pkg.title });
+      await dbRun('UPDATE customer_packages SET provider_ref = $1 WHERE id = $2', [checkout.providerRef, customerPackageId]);
+      res.json({ success: true, customer_package_id: customerPackageId, amount: Number(pkg.price), currency: PAYMENT_CURRENCY, checkout_url: checkout.checkoutUrl || null });
+    } catch {
+      await dbRun("UPDATE customer_packages SET status = 'cancelled' WHERE id = $1", [customerPackageId]).catch(() => {});
+      return res.status(502).json({ success: false, code: 'PAYMENT_UNAVAILABLE', message: 'تعذر بدء عملية الدفع. يرجى المحاولة لاحقاً.' });
+    }
+  });
+
+  app.post('/api/user/packages/:customer_package_id/confirm', requireAuth, async (req, res) => {
+    let row;
+    try {
+      row = await dbGet('SELECT * FROM customer_packages WHERE id = $1', [req.params.customer_package_id]);
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+    if (!row) {
+      return res.status(404).json({ success: false, message: 'Package not found.' });
+    }
+    if (String(row.user_id) !== String(req.user?.id)) {
+      return res.status(403).json({ success: false, message: 'غير مصرح لك بهذه العملية.' });
+    }
+    if (row.status === 'active') {
+      return res.json({ success: true, message: 'تم شراء الباقة مسبقاً.' });
+    }
+    if (row.status !== 'pending' || !row.provider_ref) {
+      return res.status(409).json({ success: false, code: 'PACKAGE_CANCELLED', message: 'تم إلغاء عملية شراء هذه الباقة.' });
+    }
+    let result;
+    try {
+      result = await getPaymentProvider(row.provider).confirmPayment(row.provider_ref, req.body || {});
+    } catch {
+      return res.status(502).json({ success: false, code: 'PAYMENT_UNAVAILABLE', message: 'تعذر الاتصال بمزود الدفع. يرجى المحاولة لاحقاً.' });
+    }
+    try {
+      const settled = await settlePackagePurchase(row.id, result.status);
+      if (!settled.ok) {
+        return res.status(settled.code === 'PAYMENT_FAILED' ? 402 : 409).json({ success: false, code: settled.code, message: settled.message });
+      }
+      res.json({ success: true, message: 'تم شراء الباقة بنجاح!', customer_package_id: row.id });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // The customer's package balances, optionally at one salon (e.g. when booking there)
+  app.get('/api/user/packages', requireAuth, async (req, res) => {
+    const salonId = req.query.salon_id && !isNaN(parseInt(req.query.salon_id)) ? parseInt(req.query.salon_id) : null;
+    try {
+      res.json({ success: true, packages: await loadCustomerPackages({ userId: req.user?.id, salonId }) });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+};
@@ -0,0 +1,84 @@
+module.exports = function register(app, deps) {
+  const { dbGet, requireAuth, getPaymentProvider, settleDepositPayment, settlePackagePurchase } = deps;
+
+  app.get('/api/payments/:payment_id', requireAuth, async (req, res) => {
+    try {
+      const payment = await dbGet('SELECT id, appointment_id, user_id, kind, amount, currency, status, provider, expires_at, paid_at FROM customer_payments WHERE id = $1', [req.params.payment_id]);
+      if (!payment) {
+        return res.status(404).json({ success: false, message: 'Payment not found.' });
+      }
+      if (String(payment.user_id) !== String(req.user?.id)) {
+        return res.status(403).json({ success: false, message: 'غير مصرح لك بعرض هذه العملية.' });
+      }
+      res.json({ success: true, payment });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // The customer pays a pending deposit; the provider decides whether it went through
+  app.post('/api/payments/:payment_id/confirm', requireAuth, async (req, res) => {
+    let payment;
+    try {
+      payment = await dbGet('SELECT * FROM customer_payments WHERE id = $1', [req.params.payment_id]);
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found.' });
+    }
+    if (String(payment.user_id) !== String(req.user?.id)) {
+      return res.status(403).json({ success: false, message: 'غير مصرح لك بهذه العملية.' });
+    }
+    if (payment.status === 'paid') {
+      return res.json({ success: true, message: 'تم دفع العربون مسبقاً.' });
+    }
+    if (payment.status !== 'pending' || payment.expires_at <= new Date().toISOString()) {
+      return res.status(409).json({ success: false, code: 'PAYMENT_EXPIRED', message: 'انتهت مهلة الدفع لهذا الحجز.' });
+    }
+    let result;
+    try {
+      result = await getPaymentProvider(payment.provider).confirmPayment(payment.provider_ref, req.body || {});
+    } catch {
+      return res.status(502).json({ success: false, code: 'PAYMENT_UNAVAILABLE', message: 'تعذر الاتصال بمزود الدفع. يرجى المحاولة لاحقاً.' });
+    }
+    try {
+      const settled = await settleDepositPayment(payment.id, result.status);
+      if (!settled.ok) {
+        return res.status(settled.code === 'PAYMENT_FAILED' ? 402 : 409).json({ success: false, code: settled.code, message: settled.message });
+      }
+      res.json({ success: true, message: 'تم دفع العربون وتأكيد موعدك بنجاح!', appointmentId: payment.appointment_id });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // Asynchronous results from providers that report payments through webhooks
+  app.post('/api/payments/webhook/:provider', async (req, res) => {
+    let event;
+    try {
+      event = getPaymentProvider(req.params.provider).parseWebhook(req);
+    } catch {
+      return res.status(404).json({ success: false });
+    }
+    if (!event) {
+      return res.status(400).json({ success: false });
+    }
+    try {
+      const payment = await dbGet('SELECT id FROM customer_payments WHERE provider = $1 AND provider_ref = $2', [req.params.provider, event.providerRef]);
+      if (payment) {
+        await settleDepositPayment(payment.id, event.status);
+        return res.json({ success: true });
+      }
+      // Online package purchases are paid through the same providers
+      const purchase = await dbGet('SELECT id FROM customer_packages WHERE provider = $1 AND provider_ref = $2', [req.params.provider, event.providerRef]);
+      if (!purchase) {
+        return res.status(404).json({ success: false });
+      }
+      await settlePackagePurchase(purchase.id, event.status);
+      res.json({ success: true });
+    } catch {
+      return res.status(500).json({ success: false });
+    }
+  });
+};
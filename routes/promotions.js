@@ -0,0 +1,102 @@
+module.exports = function register(app, deps) {
+  const { dbAll, dbGet, dbRun, requireAuth, requireSalonAccess, salonIdFrom, promotionSchema, resolveServicePrices, priceBooking, normalizeDateTime } = deps;
+
+  // The salon's own listing: it holds the promo codes, which customers only learn from the salon
+  app.get('/api/salon/promotions/:salon_id', requireSalonAccess({ permission: 'manage_services' }), async (req, res) => {
+    const salonId = req.params.salon_id;
+    if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    try {
+      const promotions = await dbAll(`
+        SELECT p.*,
+               (SELECT COUNT(*) FROM promotion_redemptions r JOIN appointments a ON a.id = r.appointment_id
+                WHERE r.promotion_id = p.id AND a.status NOT IN ('Cancelled', 'Rejected')) AS uses
+        FROM salon_promotions p
+        WHERE p.salon_id = $1
+        ORDER BY p.is_active DESC, p.created_at DESC
+      `, [salonId]);
+      res.json({
+        success: true,
+        promotions: promotions.map(promotion => ({
+          ...promotion,
+          discount_value: Number(promotion.discount_value),
+          off_peak_days: promotion.off_peak_days ? JSON.parse(promotion.off_peak_days) : null,
+          is_active: promotion.is_active === true || promotion.is_active === 1,
+          uses: Number(promotion.uses)
+        }))
+      });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.post('/api/salon/promotions/:salon_id', requireSalonAccess({ permission: 'manage_services' }), async (req, res) => {
+    const salonId = req.params.salon_id;
+    if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    const parsed = promotionSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'بيانات العرض غير صالحة.' });
+    }
+    const promotion = parsed.data;
+    const code = promotion.kind === 'code' ? promotion.code.toUpperCase() : null;
+    const offPeak = promotion.kind === 'off_peak';
+    try {
+      if (code) {
+        const existing = await dbGet('SELECT id FROM salon_promotions WHERE salon_id = $1 AND code = $2 AND is_active = TRUE', [salonId, code]);
+        if (existing) {
+          return res.status(400).json({ success: false, message: 'يوجد عرض فعال بنفس رمز الخصم.' });
+        }
+      }
+      const result = await dbGet(`
+        INSERT INTO salon_promotions (salon_id, title, kind, code, discount_type, discount_value, starts_on, ends_on, off_peak_start, off_peak_end, off_peak_days, max_uses_per_user, max_uses_total)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING id
+      `, [
+        salonId, promotion.title, promotion.kind, code, promotion.discount_type, promotion.discount_value,
+        promotion.starts_on || null, promotion.ends_on || null,
+        offPeak ? promotion.off_peak_start : null, offPeak ? promotion.off_peak_end : null,
+        offPeak && promotion.off_peak_days ? JSON.stringify(promotion.off_peak_days) : null,
+        promotion.max_uses_per_user || null, promotion.max_uses_total || null
+      ]);
+      res.json({ success: true, message: 'تم إنشاء العرض.', promotionId: result.id });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // Ending a promotion keeps it, and its redemptions, for the salon's history
+  app.delete('/api/salon/promotions/item/:promotion_id', requireSalonAccess({ permission: 'manage_services', resolveSalonId: salonIdFrom('salon_promotions', 'promotion_id') }), async (req, res) => {
+    try {
+      const result = await dbRun('UPDATE salon_promotions SET is_active = FALSE WHERE id = $1', [req.params.promotion_id]);
+      if (!result || !result.changes) {
+        return res.status(404).json({ success: false, message: 'Promotion not found.' });
+      }
+      res.json({ success: true, message: 'تم إيقاف العرض.' });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // Price preview before booking, so the customer sees the discount a code or campaign gives
+  app.post('/api/promotions/quote', requireAuth, async (req, res) => {
+    const { salon_id, service_ids, staff_id, start_time, promo_code } = req.body || {};
+    if (!salon_id || isNaN(parseInt(salon_id)) || !Array.isArray(service_ids) || service_ids.length === 0 || !start_time) {
+      return res.status(400).json({ success: false, message: 'بيانات غير كاملة.' });
+    }
+    try {
+      const services = await resolveServicePrices(salon_id, service_ids, parseInt(staff_id) || 0);
+      if (!services) {
+        return res.status(400).json({ success: false, message: 'الخدمات المختارة غير متوفرة في هذا الصالون.' });
+      }
+      const pricing = await priceBooking({ salonId: salon_id, userId: req.user?.id, startTime: normalizeDateTime(start_time), services, promoCode: promo_code || null });
+      if (pricing.error) {
+        return res.status(400).json({ success: false, code: 'INVALID_PROMO', message: pricing.error });
+      }
+      res.json({ success: true, subtotal: pricing.subtotal, discount: pricing.discount, price: pricing.price, promotion: pricing.promotion ? pricing.promotion.title : null });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+};
@@ -0,0 +1,309 @@
+module.exports = function register(app, deps) {
+  const { db, dbAll, dbGet, dbRun, requireAuth, recurringBookingSchema, seriesChangeSchema, validateBookingSlot, assignAvailableStaff, sumServiceDuration, resolveServicePrices, findPricingMismatch, computeBookingDeposit, resolveAppointmentActor, getSalonPolicy, recordStrike, evaluateBookingEligibility, transitionAppointmentStatus, recordAppointmentEvent, normalizeDateTime, addMinutesToDateTime, minutesBetween, syncAppointmentInstants, notifyWaitlistOfFreedSlot, sendSalonEvent, sendPushToTargets } = deps;
+
+  const MAX_OCCURRENCES = 52;
+
+  function seriesOccurrenceStarts(startTime, intervalWeeks, count, untilDate) {
+    const starts = [];
+    const limit = count || MAX_OCCURRENCES;
+    for (let i = 0; i < limit; i++) {
+      const occurrenceStart = addMinutesToDateTime(startTime, i * intervalWeeks * 7 * 24 * 60);
+      if (untilDate && occurrenceStart.substring(0, 10) > untilDate) break;
+      starts.push(occurrenceStart);
+    }
+    return starts;
+  }
+
+  async function loadSeriesTargets(seriesId, anchor, scope, runner = db) {
+    if (scope === 'this') return [anchor];
+    return runner.query(`
+      SELECT * FROM appointments
+      WHERE series_id = $1 AND start_time >= $2 AND status = 'Scheduled'
+      ORDER BY start_time ASC
+    `, [seriesId, anchor.start_time]);
+  }
+
+  app.post('/api/appointment/recurring', requireAuth, async (req, res) => {
+    const parsed = recurringBookingSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'بيانات الحجز غير صالحة.' });
+    }
+    const { salon_id, service_id, services, start_time, price, recurrence } = parsed.data;
+    const staff_id = parsed.data.staff_id || 0;
+    const user_id = req.user?.id;
+    try {
+      const eligibility = await evaluateBookingEligibility(user_id, salon_id);
+      if (!eligibility.allowed || eligibility.requires_prepayment) {
+        return res.status(403).json({ success: false, code: eligibility.code, message: eligibility.message, strikes: eligibility.strikes });
+      }
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+    const servicesToBook = services && services.length > 0 ? services : (service_id ? [{ id: service_id, price }] : []);
+    if (servicesToBook.length === 0) {
+      return res.status(400).json({ success: false, message: 'يجب اختيار خدمة واحدة على الأقل.' });
+    }
+    const intervalWeeks = recurrence.frequency === 'biweekly' ? 2 : 1;
+    const firstStart = normalizeDateTime(start_time);
+    const starts = seriesOccurrenceStarts(firstStart, intervalWeeks, recurrence.count, recurrence.until);
+    if (starts.length < 2) {
+      return res.status(400).json({ success: false, message: 'يجب أن تتضمن السلسلة موعدين على الأقل.' });
+    }
+    const serviceIds = servicesToBook.map(service => service.id);
+    // Each visit is priced from the salon's list, as with single bookings
+    let quoted;
+    try {
+      quoted = await resolveServicePrices(salon_id, serviceIds, staff_id);
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+    const totalServiceDuration = quoted ? quoted.reduce((sum, service) => sum + service.duration, 0) : 0;
+    if (totalServiceDuration <= 0) {
+      return res.status(400).json({ success: false, message: 'الخدمات المختارة غير متوفرة في هذا الصالون.' });
+    }
+    const mismatch = findPricingMismatch(quoted, { services: servicesToBook, price, startTime: firstStart, endTime: parsed.data.end_time });
+    if (mismatch) {
+      return res.status(409).json({ success: false, code: 'PRICE_MISMATCH', message: 'تغيرت أسعار أو مدة الخدمات المختارة. يرجى مراجعة الحجز والمحاولة مجدداً.', ...mismatch });
+    }
+    // Series have no deposit flow; where a deposit is due each visit has to be booked on its own
+    try {
+      if (await computeBookingDeposit(salon_id, quoted) > 0) {
+        return res.status(403).json({ success: false, code: 'DEPOSIT_REQUIRED', message: 'يتطلب هذا الصالون عربوناً لهذه الخدمات، لذا يجب حجز كل موعد على حدة.' });
+      }
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+    const seriesPrice = Math.round(quoted.reduce((sum, service) => sum + service.price, 0) * 100) / 100;
+    let outcome;
+    try {
+      outcome = await db.transaction(async (tx) => {
+        await tx.lock(salon_id);
+        const slotOptions = { serviceIds, runner: tx };
+        const planned = [];
+        const conflicts = [];
+        for (const occurrenceStart of starts) {
+          let occurrenceEnd = addMinutesToDateTime(occurrenceStart, totalServiceDuration);
+          const validationResult = await validateBookingSlot(salon_id, staff_id, occurrenceStart, occurrenceEnd, totalServiceDuration, slotOptions);
+          if (!validationResult.valid) {
+            conflicts.push({ start_time: occurrenceStart, reason: validationResult.reason, message: validationResult.message });
+            continue;
+          }
+          let finalStaffId = staff_id;
+          let services = quoted;
+          if (finalStaffId === 0) {
+            const member = await assignAvailableStaff(salon_id, occurrenceStart, occurrenceEnd, slotOptions);
+            if (!member) {
+              conflicts.push({ start_time: occurrenceStart, reason: 'no_capacity', message: 'عفواً، لا يوجد مختص متاح لإتمام هذا الحجز في هذا الوقت.' });
+              continue;
+            }
+            finalStaffId = member.id;
+            occurrenceEnd = addMinutesToDateTime(occurrenceStart, member.duration);
+            // The member who takes the visit may have their own prices
+            services = await resolveServicePrices(salon_id, serviceIds, member.id, tx);
+          }
+          planned.push({ start_time: occurrenceStart, end_time: occurrenceEnd, staff_id: finalStaffId, services });
+        }
+        if (planned.length === 0) {
+          return { conflicts, booked: [] };
+        }
+        const seriesRow = await tx.get(`
+          INSERT INTO appointment_series (salon_id, user_id, staff_id, service_id, frequency, interval_weeks, start_time, end_time, until_date, occurrence_count, price)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id
+        `, [salon_id, user_id, staff_id === 0 ? null : staff_id, servicesToBook[0].id, recurrence.frequency, intervalWeeks, firstStart, addMinutesToDateTime(firstStart, totalServiceDuration), recurrence.until || null, recurrence.count || null, seriesPrice]);
+        const booked = [];
+        const date_booked = new Date().toISOString();
+        for (const occurrence of planned) {
+          const occurrencePrice = Math.round(occurrence.services.reduce((sum, service) => sum + service.price, 0) * 100) / 100;
+          const appointmentResult = await tx.get('INSERT INTO appointments (salon_id, user_id, staff_id, service_id, start_time, end_time, status, date_booked, price, series_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id', [salon_id, user_id, occurrence.staff_id, servicesToBook[0].id, occurrence.start_time, occurrence.end_time, 'Scheduled', date_booked, occurrencePrice, seriesRow.id]);
+          for (const service of occurrence.services) {
+            await tx.run('INSERT INTO appointment_services (appointment_id, service_id, price, duration) VALUES ($1, $2, $3, $4)', [appointmentResult.id, service.id, service.price, service.duration]);
+          }
+          await syncAppointmentInstants(tx, { appointmentId: appointmentResult.id });
+          await recordAppointmentEvent(tx, { appointmentId: appointmentResult.id, eventType: 'created', toStatus: 'Scheduled', actorType: 'customer', actorId: user_id, details: { source: 'recurring', series_id: seriesRow.id } });
+          booked.push({ appointment_id: appointmentResult.id, start_time: occurrence.start_time, end_time: occurrence.end_time, staff_id: occurrence.staff_id, price: occurrencePrice });
+        }
+        return { seriesId: seriesRow.id, booked, conflicts };
+      });
+    } catch {
+      return res.status(500).json({ success: false, message: 'فشل في حفظ الحجز.' });
+    }
+    if (outcome.booked.length === 0) {
+      return res.status(409).json({ success: false, code: 'SERIES_CONFLICT', message: 'لا يمكن حجز أي من مواعيد السلسلة في الأوقات المطلوبة.', conflicts: outcome.conflicts });
+    }
+    try {
+      await sendSalonEvent(salon_id, 'appointment_series_booked', { series_id: outcome.seriesId, user_id, occurrences: outcome.booked.length, first_start_time: outcome.booked[0].start_time, price: seriesPrice });
+    } catch {}
+    res.json({
+      success: true,
+      message: outcome.conflicts.length > 0 ? 'تم حجز السلسلة مع تعذر بعض المواعيد.' : 'تم حجز السلسلة بنجاح!',
+      series_id: outcome.seriesId,
+      booked: outcome.booked,
+      conflicts: outcome.conflicts
+    });
+  });
+
+  app.get('/api/appointment/series/:series_id', requireAuth, async (req, res) => {
+    try {
+      const series = await dbGet('SELECT * FROM appointment_series WHERE id = $1', [req.params.series_id]);
+      if (!series) {
+        return res.status(404).json({ success: false, message: 'Series not found.' });
+      }
+      if (!(await resolveAppointmentActor(req.user, series))) {
+        return res.status(403).json({ success: false, message: 'غير مصرح لك بعرض هذه السلسلة.' });
+      }
+      const occurrences = await dbAll(`
+        SELECT a.id, a.start_time, a.end_time, a.status, a.staff_id, st.name AS staff_name
+        FROM appointments a
+        LEFT JOIN staff st ON a.staff_id = st.id
+        WHERE a.series_id = $1
+        ORDER BY a.start_time ASC
+      `, [series.id]);
+      res.json({ success: true, series, occurrences });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.post('/api/appointment/series/:series_id/cancel', requireAuth, async (req, res) => {
+    const parsed = seriesChangeSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'Invalid request.' });
+    }
+    const { appointment_id, scope } = parsed.data;
+    try {
+      const series = await dbGet('SELECT * FROM appointment_series WHERE id = $1', [req.params.series_id]);
+      if (!series) {
+        return res.status(404).json({ success: false, message: 'Series not found.' });
+      }
+      const actor = await resolveAppointmentActor(req.user, series);
+      if (!actor) {
+        return res.status(403).json({ success: false, message: 'غير مصرح لك بإلغاء هذه المواعيد.' });
+      }
+      const anchor = await dbGet('SELECT * FROM appointments WHERE id = $1 AND series_id = $2', [appointment_id, series.id]);
+      if (!anchor) {
+        return res.status(404).json({ success: false, message: 'Appointment not found.' });
+      }
+      if (anchor.status !== 'Scheduled') {
+        return res.status(400).json({ success: false, message: 'لا يمكن إلغاء موعد حالته ليست "مؤكد".' });
+      }
+      // The occurrences and the series row change together, so a failure leaves the series as it was
+      const cancelled = await db.transaction(async (tx) => {
+        await tx.lock(series.salon_id);
+        const targets = await loadSeriesTargets(series.id, anchor, scope, tx);
+        const done = [];
+        for (const target of targets) {
+          const transition = await transitionAppointmentStatus({ appointmentId: target.id, toStatus: 'Cancelled', actorType: actor, actorId: req.user.id, reason: req.body?.reason, details: { series_id: series.id, scope }, runner: tx });
+          if (!transition.ok) continue;
+          done.push(target);
+        }
+        if (scope === 'following') {
+          const earlier = await tx.get('SELECT id FROM appointments WHERE series_id = $1 AND start_time < $2 LIMIT 1', [series.id, anchor.start_time]);
+          if (earlier) {
+            const untilDate = addMinutesToDateTime(anchor.start_time, -24 * 60).substring(0, 10);
+            await tx.run('UPDATE appointment_series SET until_date = $1 WHERE id = $2', [untilDate, series.id]);
+          } else {
+            await tx.run('UPDATE appointment_series SET status = $1 WHERE id = $2', ['cancelled', series.id]);
+          }
+        }
+        return done;
+      });
+      const cancelledIds = cancelled.map(target => target.id);
+      for (const target of cancelled) {
+        notifyWaitlistOfFreedSlot(series.salon_id, target.start_time);
+      }
+      // Same late-cancellation policy as single appointments: one strike when the nearest cancelled occurrence is within the notice period
+      let newStrikes = null;
+      const nearest = new Date(anchor.start_at).getTime();
+      const policy = await getSalonPolicy(series.salon_id);
+      if (actor === 'customer' && nearest - Date.now() < policy.cancel_min_notice_hours * 60 * 60 * 1000) {
+        newStrikes = await recordStrike({ userId: series.user_id, salonId: series.salon_id, appointmentId: anchor.id, reason: 'late_cancel', weight: policy.late_cancel_strike_weight });
+      }
+      await sendSalonEvent(series.salon_id, 'appointment_series_cancelled', { series_id: series.id, scope, appointment_ids: cancelledIds, user_id: series.user_id, by: actor });
+      if (actor !== 'customer') {
+        await sendPushToTargets({ user_id: series.user_id, payload: { title: 'تم إلغاء موعد', body: scope === 'this' ? 'قام الصالون بإلغاء أحد مواعيدك المتكررة.' : 'قام الصالون بإلغاء مواعيدك المتكررة القادمة.', url: '/home_user.html#appointments' } });
+      }
+      res.json({ success: true, message: 'تم إلغاء المواعيد بنجاح.', cancelled: cancelledIds, strikeIssued: newStrikes !== null, strikes: newStrikes });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error during cancellation.' });
+    }
+  });
+
+  app.post('/api/appointment/series/:series_id/reschedule', requireAuth, async (req, res) => {
+    const parsed = seriesChangeSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'Invalid request.' });
+    }
+    const { appointment_id, scope, start_time, staff_id } = parsed.data;
+    if (!start_time) {
+      return res.status(400).json({ success: false, message: 'يجب تحديد الوقت الجديد.' });
+    }
+    try {
+      const series = await dbGet('SELECT * FROM appointment_series WHERE id = $1', [req.params.series_id]);
+      if (!series) {
+        return res.status(404).json({ success: false, message: 'Series not found.' });
+      }
+      const actor = await resolveAppointmentActor(req.user, series);
+      if (!actor) {
+        return res.status(403).json({ success: false, message: 'غير مصرح لك بتعديل هذه المواعيد.' });
+      }
+      const anchor = await dbGet('SELECT * FROM appointments WHERE id = $1 AND series_id = $2', [appointment_id, series.id]);
+      if (!anchor) {
+        return res.status(404).json({ success: false, message: 'Appointment not found.' });
+      }
+      if (anchor.status !== 'Scheduled') {
+        return res.status(400).json({ success: false, message: 'لا يمكن تعديل موعد حالته ليست "مؤكد".' });
+      }
+      // Every target moves by the same whole-day shift and takes the new clock time
+      const newAnchorStart = normalizeDateTime(start_time);
+      const dayShiftMinutes = minutesBetween(`${normalizeDateTime(anchor.start_time).substring(0, 10)} 00:00:00`, `${newAnchorStart.substring(0, 10)} 00:00:00`);
+      const newClock = newAnchorStart.substring(11);
+      const targets = await loadSeriesTargets(series.id, anchor, scope);
+
+      const results = await db.transaction(async (tx) => {
+        await tx.lock(series.salon_id);
+        const outcomes = [];
+        for (const target of targets) {
+          const shiftedDate = addMinutesToDateTime(target.start_time, dayShiftMinutes).substring(0, 10);
+          const newStart = `${shiftedDate} ${newClock}`;
+          const duration = minutesBetween(target.start_time, target.end_time);
+          const newEnd = addMinutesToDateTime(newStart, duration);
+          const requestedStaff = staff_id !== undefined ? staff_id : (target.staff_id || 0);
+          const serviceRows = await tx.query('SELECT service_id FROM appointment_services WHERE appointment_id = $1', [target.id]);
+          const options = { ignoreAppointmentIds: [target.id], serviceIds: serviceRows.map(row => row.service_id), runner: tx };
+          const validationResult = await validateBookingSlot(series.salon_id, requestedStaff, newStart, newEnd, duration, options);
+          if (!validationResult.valid) {
+            outcomes.push({ appointment_id: target.id, start_time: newStart, status: 'conflict', reason: validationResult.reason, message: validationResult.message });
+            continue;
+          }
+          let finalStaffId = requestedStaff;
+          if (finalStaffId === 0) {
+            const member = await assignAvailableStaff(series.salon_id, newStart, newEnd, options);
+            if (!member) {
+              outcomes.push({ appointment_id: target.id, start_time: newStart, status: 'conflict', reason: 'no_capacity', message: 'عفواً، لا يوجد مختص متاح لإتمام هذا الحجز في هذا الوقت.' });
+              continue;
+            }
+            finalStaffId = member.id;
+          }
+          await tx.run('UPDATE appointments SET start_time = $1, end_time = $2, staff_id = $3 WHERE id = $4', [newStart, newEnd, finalStaffId, target.id]);
+          await syncAppointmentInstants(tx, { appointmentId: target.id });
+          await recordAppointmentEvent(tx, { appointmentId: target.id, eventType: 'rescheduled', actorType: actor, actorId: req.user.id, details: { from_start: target.start_time, to_start: newStart, staff_id: finalStaffId, series_id: series.id } });
+          outcomes.push({ appointment_id: target.id, start_time: newStart, end_time: newEnd, staff_id: finalStaffId, status: 'moved' });
+        }
+        return outcomes;
+      });
+
+      const moved = results.filter(r => r.status === 'moved');
+      const conflicts = results.filter(r => r.status === 'conflict');
+      if (moved.length === 0) {
+        return res.status(409).json({ success: false, code: 'SERIES_CONFLICT', message: 'تعذر نقل المواعيد إلى الوقت المطلوب.', conflicts });
+      }
+      await sendSalonEvent(series.salon_id, 'appointment_series_rescheduled', { series_id: series.id, scope, moved, user_id: series.user_id, by: actor });
+      if (actor !== 'customer') {
+        await sendPushToTargets({ user_id: series.user_id, payload: { title: 'تم تعديل موعد', body: scope === 'this' ? 'قام الصالون بتعديل وقت أحد مواعيدك المتكررة.' : 'قام الصالون بتعديل وقت مواعيدك المتكررة القادمة.', url: '/home_user.html#appointments' } });
+      }
+      res.json({ success: true, message: conflicts.length > 0 ? 'تم نقل بعض المواعيد وتعذر نقل البعض الآخر.' : 'تم تعديل المواعيد بنجاح.', moved, conflicts });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+};
@@ -1,5 +1,34 @@
 module.exports = function register(app, deps) {
-  const { db, dbAll, dbGet, dbRun, requireSalonAdminRole, addSalonClient, removeSalonClient, sendSalonEvent, bcrypt, crypto } = deps;
+  const { db, dbAll, dbGet, dbRun, requireSalonAccess, salonIdFrom, customRoleSchema, rolePermissions, SALON_PERMISSIONS, DEFAULT_STAFF_PERMISSIONS, clockInStaff, clockOutStaff, webauthn, roleAuthDeviceKey, beginRoleAuthAttempt, finishRoleAuthAttempt, logRoleAuthAttempt, addSalonClient, removeSalonClient, sendSalonEvent, bcrypt, crypto, parseReminderOffsets, offerWaitlistSlots, getSalonPolicy, salonPolicySchema, staffShiftsSchema, staffServicesSchema, isValidTimeZone, getSalonTimeZone, syncAppointmentInstants, salonToday, dayOfWeekOf, DEPOSIT_TYPES } = deps;
+
+  // Writes need the owner's account token and, once roles are in use, a staff PIN session
+  // whose role holds the permission that fits the action
+  const can = (permission) => requireSalonAccess({ permission });
+  const canForStaff = (permission) => requireSalonAccess({ permission, resolveSalonId: salonIdFrom('staff', 'staff_id') });
+
+  // Adds to each salon service the staff who perform it, with their effective price and duration.
+  // Staff without a service list have not been restricted and perform every service.
+  async function attachServiceStaff(salonId, services) {
+    const staff = await dbAll('SELECT id, name FROM staff WHERE salon_id = $1', [salonId]);
+    const skillRows = await dbAll('SELECT staff_id, service_id, price_override, duration_override FROM staff_services WHERE salon_id = $1', [salonId]);
+    const restricted = new Set(skillRows.map(row => String(row.staff_id)));
+    return services.map(service => ({
+      ...service,
+      staff: staff.flatMap(member => {
+        if (!restricted.has(String(member.id))) {
+          return [{ staff_id: member.id, staff_name: member.name, price: service.price, duration: service.duration }];
+        }
+        const skill = skillRows.find(row => String(row.staff_id) === String(member.id) && String(row.service_id) === String(service.id));
+        if (!skill) return [];
+        return [{
+          staff_id: member.id,
+          staff_name: member.name,
+          price: skill.price_override === null ? service.price : skill.price_override,
+          duration: skill.duration_override === null ? service.duration : skill.duration_override
+        }];
+      })
+    }));
+  }
 
   app.get('/api/salons/:salon_id/services', async (req, res) => {
     const salonId = req.params.salon_id;
@@ -14,7 +43,7 @@ module.exports = function register(app, deps) {
     `;
     try {
       const rows = await dbAll(sql, [salonId]);
-      res.json({ success: true, services: rows });
+      res.json({ success: true, services: await attachServiceStaff(salonId, rows) });
     } catch {
       return res.status(500).json({ success: false, message: 'Database error.' });
     }
@@ -27,19 +56,21 @@ module.exports = function register(app, deps) {
         return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
       }
       const sql = `
-        SELECT s.id, s.name_ar, s.icon, s.service_type, ss.price, ss.duration
+        SELECT s.id, s.name_ar, s.icon, s.service_type, ss.price, ss.duration,
+               ss.buffer_before, ss.buffer_after, ss.processing_offset, ss.processing_minutes,
+               ss.deposit_type, ss.deposit_value
         FROM salon_services ss
         JOIN services s ON ss.service_id = s.id
         WHERE ss.salon_id = $1
       `;
       const rows = await dbAll(sql, [salonId]);
-      res.json({ success: true, services: rows });
+      res.json({ success: true, services: await attachServiceStaff(salonId, rows) });
     } catch (err) {
       return res.status(500).json({ success: false, message: 'Database error.' });
     }
   });
 
-  app.post('/api/salon/services/:salon_id', async (req, res) => {
+  app.post('/api/salon/services/:salon_id', can('manage_services'), async (req, res) => {
     const salonId = req.params.salon_id;
     const services = req.body.services;
     if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
@@ -48,11 +79,48 @@ module.exports = function register(app, deps) {
     if (!Array.isArray(services)) {
       return res.status(400).json({ success: false, message: 'Invalid services format.' });
     }
+    // Buffers and the processing gap are optional and keep their saved values when omitted;
+    // the gap must fall strictly inside the service
+    let saved;
+    try {
+      saved = await dbAll('SELECT service_id, buffer_before, buffer_after, processing_offset, processing_minutes, deposit_type, deposit_value FROM salon_services WHERE salon_id = $1', [salonId]);
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error during service update.' });
+    }
+    const minutesField = (value, fallback) => value === undefined ? Number(fallback) || 0 : (value === null || value === '' ? 0 : Number(value));
+    for (const service of services) {
+      const previous = saved.find(row => String(row.service_id) === String(service.service_id)) || {};
+      const bufferBefore = minutesField(service.buffer_before, previous.buffer_before);
+      const bufferAfter = minutesField(service.buffer_after, previous.buffer_after);
+      const processingOffset = minutesField(service.processing_offset, previous.processing_offset);
+      const processingMinutes = minutesField(service.processing_minutes, previous.processing_minutes);
+      if (![bufferBefore, bufferAfter, processingOffset, processingMinutes].every(value => Number.isInteger(value) && value >= 0 && value <= 240)) {
+        return res.status(400).json({ success: false, message: 'أوقات التحضير والتنظيف والانتظار يجب أن تكون بالدقائق بين 0 و 240.' });
+      }
+      if (processingMinutes > 0 && (processingOffset <= 0 || processingOffset + processingMinutes >= Number(service.duration))) {
+        return res.status(400).json({ success: false, message: 'فترة الانتظار يجب أن تقع داخل مدة الخدمة.' });
+      }
+      service.buffer_before = bufferBefore;
+      service.buffer_after = bufferAfter;
+      service.processing_offset = processingMinutes > 0 ? processingOffset : 0;
+      service.processing_minutes = processingMinutes;
+      // A service deposit rule overrides the salon's; null/'' goes back to the salon policy
+      const depositType = service.deposit_type === undefined ? previous.deposit_type || null : service.deposit_type || null;
+      const depositValue = depositType ? Number(service.deposit_value === undefined ? previous.deposit_value : service.deposit_value) || 0 : null;
+      if (depositType && (!DEPOSIT_TYPES.includes(depositType) || depositValue < 0 || (depositType === 'percent' && depositValue > 100))) {
+        return res.status(400).json({ success: false, message: 'قيمة العربون غير صالحة.' });
+      }
+      service.deposit_type = depositType;
+      service.deposit_value = depositValue;
+    }
     try {
       await dbRun('DELETE FROM salon_services WHERE salon_id = $1', [salonId]);
       for (const service of services) {
         if (service.service_id && service.price !== undefined && service.price !== null && service.duration !== undefined && service.duration !== null) {
-          await dbRun('INSERT INTO salon_services (salon_id, service_id, price, duration) VALUES ($1, $2, $3, $4)', [salonId, service.service_id, service.price, service.duration]);
+          await dbRun(`
+            INSERT INTO salon_services (salon_id, service_id, price, duration, buffer_before, buffer_after, processing_offset, processing_minutes, deposit_type, deposit_value)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          `, [salonId, service.service_id, service.price, service.duration, service.buffer_before, service.buffer_after, service.processing_offset, service.processing_minutes, service.deposit_type, service.deposit_value]);
         }
       }
       res.json({ success: true, message: 'Salon services updated successfully.' });
@@ -104,7 +172,7 @@ module.exports = function register(app, deps) {
     }
     try {
       const row = await dbGet(
-        `SELECT s.id, s.salon_name, s.address, s.city, s.gender_focus, s.image_url, s.salon_phone, s.owner_name, s.owner_phone, s.user_id, u.email
+        `SELECT s.id, s.salon_name, s.address, s.city, s.gender_focus, s.image_url, s.salon_phone, s.owner_name, s.owner_phone, s.user_id, s.timezone, u.email
          FROM salons s JOIN users u ON s.user_id = u.id WHERE s.id = $1`,
         [salonId]
       );
@@ -115,14 +183,14 @@ module.exports = function register(app, deps) {
     }
   });
 
-  app.post('/api/salon/info/:salon_id', async (req, res) => {
+  app.post('/api/salon/info/:salon_id', can('edit_profile'), async (req, res) => {
     const salonId = req.params.salon_id;
     if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
       return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
     }
     try {
       const current = await dbGet(
-        'SELECT salon_name, owner_name, salon_phone, owner_phone, address, city, gender_focus, image_url FROM salons WHERE id = $1',
+        'SELECT salon_name, owner_name, salon_phone, owner_phone, address, city, gender_focus, image_url, timezone FROM salons WHERE id = $1',
         [salonId]
       );
       if (!current) return res.status(404).json({ success: false, message: 'Salon not found.' });
@@ -136,6 +204,7 @@ module.exports = function register(app, deps) {
         city,
         gender_focus,
         image_url,
+        timezone,
       } = req.body || {};
       const pick = (val, existing) => {
         if (val === undefined || val === null) return existing;
@@ -160,6 +229,10 @@ module.exports = function register(app, deps) {
       const safeImageUrl = typeof nextImageUrlRaw === 'string'
         ? nextImageUrlRaw.trim().replace(/^`|`$/g, '')
         : nextImageUrlRaw;
+      const nextTimezone = pick(timezone, current.timezone);
+      if (nextTimezone && !isValidTimeZone(nextTimezone)) {
+        return res.status(400).json({ success: false, message: 'المنطقة الزمنية غير صالحة.' });
+      }
 
       await dbRun(
         `UPDATE salons
@@ -170,8 +243,9 @@ module.exports = function register(app, deps) {
              address = $5,
              city = $6,
              gender_focus = $7,
-             image_url = $8
-         WHERE id = $9`,
+             image_url = $8,
+             timezone = $9
+         WHERE id = $10`,
         [
           nextSalonName,
           nextOwnerName,
@@ -181,9 +255,14 @@ module.exports = function register(app, deps) {
           nextCity,
           nextGenderFocus,
           safeImageUrl,
+          nextTimezone || null,
           salonId,
         ]
       );
+      // Appointment wall-clock times stay as booked; their UTC instants move with the zone
+      if (nextTimezone !== current.timezone) {
+        await syncAppointmentInstants(db, { salonId });
+      }
 
       return res.json({ success: true, message: 'Salon info updated successfully.', image_url: safeImageUrl || current.image_url });
     } catch (e) {
@@ -225,7 +304,7 @@ module.exports = function register(app, deps) {
     }
   });
 
-  app.post('/api/salon/location/:salon_id', async (req, res) => {
+  app.post('/api/salon/location/:salon_id', can('edit_profile'), async (req, res) => {
     try {
       const salonId = parseInt(req.params.salon_id);
       if (isNaN(salonId)) return res.status(400).json({ success: false, message: 'salon_id غير صالح' });
@@ -296,7 +375,7 @@ module.exports = function register(app, deps) {
     }
   });
 
-  app.post('/api/salon/social-links/:salon_id', requireSalonAdminRole, async (req, res) => {
+  app.post('/api/salon/social-links/:salon_id', requireSalonAccess({ permission: 'edit_profile', session: 'required' }), async (req, res) => {
     try {
       const salonId = Number(req.params.salon_id);
       const { platform, url } = req.body;
@@ -317,7 +396,7 @@ module.exports = function register(app, deps) {
     }
   });
 
-  app.delete('/api/salon/social-links/:salon_id', requireSalonAdminRole, async (req, res) => {
+  app.delete('/api/salon/social-links/:salon_id', requireSalonAccess({ permission: 'edit_profile', session: 'required' }), async (req, res) => {
     try {
       const salonId = Number(req.params.salon_id);
       const { platform } = req.body || {};
@@ -343,7 +422,7 @@ module.exports = function register(app, deps) {
     }
   });
 
-  app.post('/api/salon/staff/:salon_id', async (req, res) => {
+  app.post('/api/salon/staff/:salon_id', can('manage_staff'), async (req, res) => {
     const salonId = req.params.salon_id;
     const { name } = req.body;
     if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
@@ -357,9 +436,11 @@ module.exports = function register(app, deps) {
     }
   });
 
-  app.delete('/api/salon/staff/:staff_id', async (req, res) => {
+  app.delete('/api/salon/staff/:staff_id', canForStaff('manage_staff'), async (req, res) => {
     const staffId = req.params.staff_id;
     try {
+      await dbRun('DELETE FROM staff_shifts WHERE staff_id = $1', [staffId]);
+      await dbRun('DELETE FROM staff_services WHERE staff_id = $1', [staffId]);
       await dbRun('DELETE FROM staff WHERE id = $1', [staffId]);
       res.json({ success: true, message: 'Staff deleted successfully.' });
     } catch (err) {
@@ -370,6 +451,104 @@ module.exports = function register(app, deps) {
     }
   });
 
+  app.get('/api/salon/staff/:staff_id/services', async (req, res) => {
+    const staffId = req.params.staff_id;
+    if (!staffId || staffId === 'undefined' || isNaN(parseInt(staffId))) {
+      return res.status(400).json({ success: false, message: 'Staff ID is required and must be valid.' });
+    }
+    try {
+      const services = await dbAll('SELECT service_id, price_override, duration_override FROM staff_services WHERE staff_id = $1 ORDER BY service_id', [staffId]);
+      res.json({ success: true, performs_all_services: services.length === 0, services });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // Replaces the list of services a staff member performs; an empty list lifts the restriction
+  app.post('/api/salon/staff/:staff_id/services', canForStaff('manage_services'), async (req, res) => {
+    const staffId = req.params.staff_id;
+    if (!staffId || staffId === 'undefined' || isNaN(parseInt(staffId))) {
+      return res.status(400).json({ success: false, message: 'Staff ID is required and must be valid.' });
+    }
+    const parsed = staffServicesSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'Invalid services.' });
+    }
+    const { services } = parsed.data;
+    if (new Set(services.map(service => service.service_id)).size !== services.length) {
+      return res.status(400).json({ success: false, message: 'لا يمكن تكرار نفس الخدمة للموظف.' });
+    }
+    try {
+      const staff = await dbGet('SELECT id, salon_id FROM staff WHERE id = $1', [staffId]);
+      if (!staff) {
+        return res.status(404).json({ success: false, message: 'Staff member not found.' });
+      }
+      const offered = await dbAll('SELECT service_id FROM salon_services WHERE salon_id = $1', [staff.salon_id]);
+      const offeredIds = new Set(offered.map(row => String(row.service_id)));
+      if (services.some(service => !offeredIds.has(String(service.service_id)))) {
+        return res.status(400).json({ success: false, message: 'بعض الخدمات المختارة غير متوفرة في هذا الصالون.' });
+      }
+      await db.transaction(async (tx) => {
+        await tx.run('DELETE FROM staff_services WHERE staff_id = $1', [staff.id]);
+        for (const service of services) {
+          await tx.run('INSERT INTO staff_services (salon_id, staff_id, service_id, price_override, duration_override) VALUES ($1, $2, $3, $4, $5)', [staff.salon_id, staff.id, service.service_id, service.price_override ?? null, service.duration_override ?? null]);
+        }
+      });
+      res.json({ success: true, message: 'تم حفظ خدمات الموظف.', performs_all_services: services.length === 0 });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.get('/api/salon/staff/:staff_id/shifts', async (req, res) => {
+    const staffId = req.params.staff_id;
+    if (!staffId || staffId === 'undefined' || isNaN(parseInt(staffId))) {
+      return res.status(400).json({ success: false, message: 'Staff ID is required and must be valid.' });
+    }
+    try {
+      const shifts = await dbAll('SELECT id, day_index, start_time, end_time FROM staff_shifts WHERE staff_id = $1 ORDER BY day_index, start_time', [staffId]);
+      res.json({ success: true, uses_salon_hours: shifts.length === 0, shifts });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // Replaces the staff member's whole weekly template; weekdays without a shift become days off
+  app.post('/api/salon/staff/:staff_id/shifts', canForStaff('manage_schedule'), async (req, res) => {
+    const staffId = req.params.staff_id;
+    if (!staffId || staffId === 'undefined' || isNaN(parseInt(staffId))) {
+      return res.status(400).json({ success: false, message: 'Staff ID is required and must be valid.' });
+    }
+    const parsed = staffShiftsSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'Invalid shifts.' });
+    }
+    const { shifts } = parsed.data;
+    for (let day = 0; day < 7; day++) {
+      const dayShifts = shifts.filter(shift => shift.day_index === day).sort((a, b) => a.start_time.localeCompare(b.start_time));
+      for (let i = 1; i < dayShifts.length; i++) {
+        if (dayShifts[i].start_time < dayShifts[i - 1].end_time) {
+          return res.status(400).json({ success: false, message: 'لا يمكن أن تتداخل مناوبات الموظف في نفس اليوم.' });
+        }
+      }
+    }
+    try {
+      const staff = await dbGet('SELECT id, salon_id FROM staff WHERE id = $1', [staffId]);
+      if (!staff) {
+        return res.status(404).json({ success: false, message: 'Staff member not found.' });
+      }
+      await db.transaction(async (tx) => {
+        await tx.run('DELETE FROM staff_shifts WHERE staff_id = $1', [staff.id]);
+        for (const shift of shifts) {
+          await tx.run('INSERT INTO staff_shifts (salon_id, staff_id, day_index, start_time, end_time) VALUES ($1, $2, $3, $4, $5)', [staff.salon_id, staff.id, shift.day_index, shift.start_time, shift.end_time]);
+        }
+      });
+      res.json({ success: true, message: shifts.length ? 'تم حفظ مناوبات الموظف.' : 'سيعمل الموظف حسب ساعات عمل الصالون.', uses_salon_hours: shifts.length === 0 });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
   app.get('/api/salon/schedule/:salon_id', async (req, res) => {
     const salonId = req.params.salon_id;
     if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
@@ -378,6 +557,7 @@ module.exports = function register(app, deps) {
     try {
       const schedule = await dbGet('SELECT opening_time, closing_time, closed_days FROM schedules WHERE salon_id = $1', [salonId]);
       const breaks = await dbAll('SELECT id, staff_id, start_time, end_time, reason FROM breaks WHERE salon_id = $1', [salonId]);
+      const staffShifts = await dbAll('SELECT staff_id, day_index, start_time, end_time FROM staff_shifts WHERE salon_id = $1', [salonId]);
       const modificationsRaw = await dbAll('SELECT id, mod_type, mod_date, mod_day_index, start_time, end_time, closure_type, reason, staff_id FROM schedule_modifications WHERE salon_id = $1', [salonId]);
       const modifications = (modificationsRaw || []).map(m => {
         const hasTimes = !!(m.start_time && m.end_time);
@@ -388,13 +568,14 @@ module.exports = function register(app, deps) {
       if (schedule && schedule.closed_days && typeof schedule.closed_days === 'string') {
         try { schedule.closed_days = JSON.parse(schedule.closed_days); } catch {}
       }
-      res.json({ success: true, schedule, breaks, modifications });
+      const timezone = await getSalonTimeZone(salonId);
+      res.json({ success: true, schedule, breaks, modifications, staff_shifts: staffShifts, timezone });
     } catch {
       return res.status(500).json({ success: false, message: 'Database error.' });
     }
   });
 
-  app.post('/api/salon/schedule/:salon_id', async (req, res) => {
+  app.post('/api/salon/schedule/:salon_id', can('manage_schedule'), async (req, res) => {
     const salonId = req.params.salon_id;
     const { opening_time, closing_time, closed_days } = req.body;
     if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
@@ -414,7 +595,100 @@ module.exports = function register(app, deps) {
     }
   });
 
-  app.post('/api/salon/break/:salon_id', async (req, res) => {
+  app.get('/api/salon/reminders/:salon_id', can('edit_profile'), async (req, res) => {
+    const salonId = req.params.salon_id;
+    if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    try {
+      const settings = await dbGet('SELECT offsets_minutes, email_enabled FROM salon_reminder_settings WHERE salon_id = $1', [salonId]);
+      res.json({
+        success: true,
+        offsets_minutes: parseReminderOffsets(settings ? settings.offsets_minutes : null),
+        email_enabled: !!(settings && (settings.email_enabled === true || settings.email_enabled === 1))
+      });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.post('/api/salon/reminders/:salon_id', can('edit_profile'), async (req, res) => {
+    const salonId = req.params.salon_id;
+    const { offsets_minutes, email_enabled } = req.body || {};
+    if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    if (!Array.isArray(offsets_minutes)) {
+      return res.status(400).json({ success: false, message: 'offsets_minutes must be an array of minutes.' });
+    }
+    // An empty list is allowed and turns reminders off for the salon
+    const offsets = parseReminderOffsets(offsets_minutes);
+    if (offsets.length !== offsets_minutes.length) {
+      return res.status(400).json({ success: false, message: 'كل توقيت تذكير يجب أن يكون عدد دقائق صحيح بين 1 و 10080 بدون تكرار.' });
+    }
+    try {
+      await dbRun(`
+        INSERT INTO salon_reminder_settings (salon_id, offsets_minutes, email_enabled, updated_at)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+        ON CONFLICT (salon_id) DO UPDATE SET
+          offsets_minutes = $2,
+          email_enabled = $3,
+          updated_at = CURRENT_TIMESTAMP
+      `, [salonId, JSON.stringify(offsets), !!email_enabled]);
+      res.json({ success: true, message: 'تم حفظ إعدادات التذكير.', offsets_minutes: offsets, email_enabled: !!email_enabled });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.get('/api/salon/policy/:salon_id', async (req, res) => {
+    const salonId = req.params.salon_id;
+    if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    try {
+      const policy = await getSalonPolicy(salonId);
+      res.json({ success: true, policy });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.post('/api/salon/policy/:salon_id', can('edit_profile'), async (req, res) => {
+    const salonId = req.params.salon_id;
+    if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
+      return res.status(400).json({ success: false, message: 'Salon ID is required and must be valid.' });
+    }
+    const parsed = salonPolicySchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'Invalid policy.' });
+    }
+    // Only the fields sent are changed; the rest keep their salon value or platform default
+    const columns = Object.keys(parsed.data);
+    if (columns.length === 0) {
+      return res.status(400).json({ success: false, message: 'No policy fields provided.' });
+    }
+    try {
+      const merged = { ...(await getSalonPolicy(salonId)), ...parsed.data };
+      if (merged.deposit_type === 'percent' && merged.deposit_value > 100) {
+        return res.status(400).json({ success: false, message: 'نسبة العربون يجب ألا تتجاوز 100%.' });
+      }
+      const values = columns.map(column => parsed.data[column]);
+      const placeholders = columns.map((_, i) => `$${i + 2}`).join(', ');
+      const updates = columns.map(column => `${column} = EXCLUDED.${column}`).join(', ');
+      await dbRun(`
+        INSERT INTO salon_policies (salon_id, ${columns.join(', ')}, updated_at)
+        VALUES ($1, ${placeholders}, CURRENT_TIMESTAMP)
+        ON CONFLICT (salon_id) DO UPDATE SET ${updates}, updated_at = CURRENT_TIMESTAMP
+      `, [salonId, ...values]);
+      const policy = await getSalonPolicy(salonId);
+      res.json({ success: true, message: 'تم حفظ سياسة الصالون.', policy });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.post('/api/salon/break/:salon_id', can('manage_schedule'), async (req, res) => {
     const salonId = req.params.salon_id;
     const { staff_id, start_time, end_time, reason } = req.body;
     if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
@@ -428,7 +702,7 @@ module.exports = function register(app, deps) {
     }
   });
 
-  app.delete('/api/salon/break/:break_id', async (req, res) => {
+  app.delete('/api/salon/break/:break_id', requireSalonAccess({ permission: 'manage_schedule', resolveSalonId: salonIdFrom('breaks', 'break_id') }), async (req, res) => {
     const breakId = req.params.break_id;
     try {
       await dbRun('DELETE FROM breaks WHERE id = $1', [breakId]);
@@ -438,7 +712,7 @@ module.exports = function register(app, deps) {
     }
   });
 
-  app.post('/api/salon/schedule/modification/:salon_id', async (req, res) => {
+  app.post('/api/salon/schedule/modification/:salon_id', can('manage_schedule'), async (req, res) => {
     const salonId = req.params.salon_id;
     const { mod_type, mod_date, mod_day_index, start_time, end_time, closure_type, reason, staff_id } = req.body;
     if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
@@ -457,17 +731,33 @@ module.exports = function register(app, deps) {
     }
   });
 
-  app.delete('/api/salon/schedule/modification/:mod_id', async (req, res) => {
+  app.delete('/api/salon/schedule/modification/:mod_id', requireSalonAccess({ permission: 'manage_schedule', resolveSalonId: salonIdFrom('schedule_modifications', 'mod_id') }), async (req, res) => {
     const modId = req.params.mod_id;
     try {
+      const modification = await dbGet('SELECT * FROM schedule_modifications WHERE id = $1', [modId]);
       await dbRun('DELETE FROM schedule_modifications WHERE id = $1', [modId]);
       res.json({ success: true });
+      // Lifting a closure can free slots for waitlisted customers on the affected days
+      if (modification) {
+        try {
+          const today = await salonToday(modification.salon_id);
+          const waitingDays = await dbAll(`SELECT DISTINCT date FROM waitlist_entries WHERE salon_id = $1 AND status = 'waiting' AND date >= $2`, [modification.salon_id, today]);
+          for (const { date } of waitingDays) {
+            const affected = modification.mod_type === 'once'
+              ? date === modification.mod_date
+              : dayOfWeekOf(date) === Number(modification.mod_day_index);
+            if (affected) await offerWaitlistSlots(modification.salon_id, date);
+          }
+        } catch (e) {
+          console.warn('Waitlist re-offer after closure removal failed:', e.message);
+        }
+      }
     } catch {
       return res.status(500).json({ success: false, message: 'Database error.' });
     }
   });
 
-  app.get('/api/salon/payments/:salon_id', async (req, res) => {
+  app.get('/api/salon/payments/:salon_id', can('view_revenue'), async (req, res) => {
     try {
       const { salon_id } = req.params;
       const payments = await db.query(`
@@ -507,7 +797,45 @@ module.exports = function register(app, deps) {
     });
   });
 
-  app.get('/api/salon/roles/:salon_id', async (req, res) => {
+  // Recent writes to the salon's data and refused attempts, newest first
+  app.get('/api/salon/audit/:salon_id', can('manage_staff'), async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    try {
+      const entries = await dbAll(`
+        SELECT l.id, l.action, l.path, l.outcome, l.reason, l.ip, l.created_at, l.staff_id, s.name AS staff_name
+        FROM salon_audit_log l
+        LEFT JOIN staff s ON s.id = l.staff_id
+        WHERE l.salon_id = $1
+        ORDER BY l.created_at DESC, l.id DESC
+        LIMIT ${limit}
+      `, [req.salonAccess.salonId]);
+      res.json({ success: true, entries });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // Role sign-in attempts (PIN and passkey), newest first; ?outcome=failed|locked|delayed|success narrows them
+  app.get('/api/salon/roles/:salon_id/attempts', can('manage_staff'), async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const outcome = ['success', 'failed', 'delayed', 'locked'].includes(req.query.outcome) ? req.query.outcome : null;
+    try {
+      const attempts = await dbAll(`
+        SELECT a.id, a.method, a.outcome, a.reason, a.device_key, a.ip, a.created_at, a.staff_id, s.name AS staff_name
+        FROM role_auth_attempts a
+        LEFT JOIN staff s ON s.id = a.staff_id
+        WHERE a.salon_id = $1 ${outcome ? 'AND a.outcome = $2' : ''}
+        ORDER BY a.created_at DESC, a.id DESC
+        LIMIT ${limit}
+      `, outcome ? [req.salonAccess.salonId, outcome] : [req.salonAccess.salonId]);
+      res.json({ success: true, attempts });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // Owner account only: the PIN sign-in screen lists the staff roles before anyone has a role session
+  app.get('/api/salon/roles/:salon_id', requireSalonAccess({ session: 'none' }), async (req, res) => {
     try {
       const salonId = req.params.salon_id;
       if (!salonId || salonId === 'undefined' || isNaN(parseInt(salonId))) {
@@ -517,20 +845,30 @@ module.exports = function register(app, deps) {
       let staffRoles = [];
       if (roleConfig && roleConfig.roles_enabled) {
         staffRoles = await db.query(`
-                SELECT sr.*, s.name as staff_name 
+                SELECT sr.*, s.name as staff_name, cr.name as custom_role_name, cr.permissions as custom_permissions
                 FROM staff_roles sr 
                 JOIN staff s ON sr.staff_id = s.id 
+                LEFT JOIN salon_custom_roles cr ON cr.id = sr.custom_role_id AND cr.salon_id = sr.salon_id
                 WHERE sr.salon_id = $1 AND sr.is_active = TRUE
                 ORDER BY sr.role_type, s.name
             `, [salonId]);
       }
-      res.json({ success: true, config: roleConfig || { salon_id: salonId, roles_enabled: false, session_duration_hours: 24 }, staff_roles: staffRoles });
+      const customRoles = await db.query('SELECT id, name, permissions FROM salon_custom_roles WHERE salon_id = $1 ORDER BY name', [salonId]);
+      res.json({
+        success: true,
+        config: roleConfig || { salon_id: salonId, roles_enabled: false, session_duration_hours: 24 },
+        // pin_hash stays on the server: a 6-digit PIN is found from its hash in moments
+        staff_roles: staffRoles.map(({ custom_permissions, pin_hash, ...role }) => ({ ...role, permissions: rolePermissions(role.role_type, custom_permissions) })),
+        custom_roles: customRoles.map(role => ({ ...role, permissions: rolePermissions('staff', role.permissions) })),
+        permissions: SALON_PERMISSIONS,
+        default_staff_permissions: DEFAULT_STAFF_PERMISSIONS
+      });
     } catch (error) {
       res.status(500).json({ success: false, message: 'Database error.' });
     }
   });
 
-  app.post('/api/salon/roles/:salon_id/toggle', async (req, res) => {
+  app.post('/api/salon/roles/:salon_id/toggle', can('manage_staff'), async (req, res) => {
     try {
       const salonId = req.params.salon_id;
       const { enabled, session_duration_hours = 24 } = req.body;
@@ -546,6 +884,7 @@ module.exports = function register(app, deps) {
                 updated_at = CURRENT_TIMESTAMP
         `, [salonId, enabled, session_duration_hours]);
       if (!enabled) {
+        await clockOutStaff({ salonId }, 'roles_disabled');
         await db.run('DELETE FROM role_sessions WHERE salon_id = $1', [salonId]);
       }
       res.json({ success: true, message: 'Role system updated successfully.' });
@@ -554,10 +893,58 @@ module.exports = function register(app, deps) {
     }
   });
 
-  app.post('/api/salon/roles/:salon_id/staff', async (req, res) => {
+  // Custom roles: a name and a subset of SALON_PERMISSIONS; an id in the URL updates an existing one
+  const saveCustomRole = async (req, res) => {
+    const salonId = req.salonAccess.salonId;
+    const roleId = req.params.role_id ? parseInt(req.params.role_id) : null;
+    const parsed = customRoleSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'بيانات الدور غير صالحة.' });
+    }
+    const { name, permissions } = parsed.data;
+    try {
+      const sameName = await dbGet('SELECT id FROM salon_custom_roles WHERE salon_id = $1 AND name = $2', [salonId, name]);
+      if (sameName && sameName.id !== roleId) {
+        return res.status(409).json({ success: false, message: 'يوجد دور آخر بنفس الاسم.' });
+      }
+      const stored = JSON.stringify([...new Set(permissions)]);
+      if (roleId) {
+        const result = await dbRun('UPDATE salon_custom_roles SET name = $1, permissions = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 AND salon_id = $4', [name, stored, roleId, salonId]);
+        if (!result || !result.changes) {
+          return res.status(404).json({ success: false, message: 'الدور المخصص غير موجود.' });
+        }
+        return res.json({ success: true, message: 'تم تحديث الدور.', roleId });
+      }
+      const row = await dbGet('INSERT INTO salon_custom_roles (salon_id, name, permissions) VALUES ($1, $2, $3) RETURNING id', [salonId, name, stored]);
+      res.json({ success: true, message: 'تم إنشاء الدور.', roleId: row.id });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  };
+  app.post('/api/salon/roles/:salon_id/custom', can('manage_staff'), saveCustomRole);
+  app.post('/api/salon/roles/:salon_id/custom/:role_id', can('manage_staff'), saveCustomRole);
+
+  // Staff members who held the role fall back to the default staff permissions
+  app.delete('/api/salon/roles/:salon_id/custom/:role_id', can('manage_staff'), async (req, res) => {
+    const salonId = req.salonAccess.salonId;
+    try {
+      const role = await dbGet('SELECT id FROM salon_custom_roles WHERE id = $1 AND salon_id = $2', [req.params.role_id, salonId]);
+      if (!role) {
+        return res.status(404).json({ success: false, message: 'الدور المخصص غير موجود.' });
+      }
+      await dbRun('UPDATE staff_roles SET custom_role_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE salon_id = $1 AND custom_role_id = $2', [salonId, role.id]);
+      await dbRun('DELETE FROM salon_custom_roles WHERE id = $1', [role.id]);
+      res.json({ success: true, message: 'تم حذف الدور.' });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.post('/api/salon/roles/:salon_id/staff', can('manage_staff'), async (req, res) => {
     try {
       const salonId = req.params.salon_id;
-      const { staff_id, role_type, pin, biometric_enabled = false } = req.body;
+      const { staff_id, role_type, pin } = req.body;
+      const customRoleId = req.body.custom_role_id ? parseInt(req.body.custom_role_id) : null;
       if (!salonId || !staff_id || !role_type || !pin) {
         return res.status(400).json({ success: false, message: 'Salon ID, staff ID, role type, and PIN are required.' });
       }
@@ -567,6 +954,16 @@ module.exports = function register(app, deps) {
       if (pin.length !== 6) {
         return res.status(400).json({ success: false, message: 'PIN must be exactly 6 digits.' });
       }
+      // Admins hold every permission; a custom role only narrows or widens what a staff member can do
+      if (customRoleId) {
+        if (role_type !== 'staff') {
+          return res.status(400).json({ success: false, message: 'الأدوار المخصصة تُسند للموظفين فقط.' });
+        }
+        const customRole = await db.get('SELECT id FROM salon_custom_roles WHERE id = $1 AND salon_id = $2', [customRoleId, salonId]);
+        if (!customRole) {
+          return res.status(404).json({ success: false, message: 'الدور المخصص غير موجود.' });
+        }
+      }
       // Require at least one manager before adding any employee
       if (role_type === 'staff') {
         const adminCountRow = await db.get("SELECT COUNT(*) AS count FROM staff_roles WHERE salon_id = $1 AND role_type = 'admin' AND is_active = TRUE", [salonId]);
@@ -600,25 +997,28 @@ module.exports = function register(app, deps) {
       }
       const hashedPin = await bcrypt.hash(pin.toString(), 10);
       await db.run(`
-            INSERT INTO staff_roles (salon_id, staff_id, role_type, pin_hash, biometric_enabled, updated_at)
+            INSERT INTO staff_roles (salon_id, staff_id, role_type, pin_hash, custom_role_id, updated_at)
             VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
             ON CONFLICT (salon_id, staff_id) DO UPDATE SET
                 role_type = $3,
                 pin_hash = $4,
-                biometric_enabled = $5,
+                custom_role_id = $5,
                 is_active = TRUE,
                 updated_at = CURRENT_TIMESTAMP
-        `, [salonId, staff_id, role_type, hashedPin, biometric_enabled]);
+        `, [salonId, staff_id, role_type, hashedPin, customRoleId]);
       res.json({ success: true, message: 'Staff role added successfully.' });
     } catch (error) {
       res.status(500).json({ success: false, message: 'Database error.' });
     }
   });
 
-  app.delete('/api/salon/roles/:salon_id/staff/:staff_id', async (req, res) => {
+  app.delete('/api/salon/roles/:salon_id/staff/:staff_id', can('manage_staff'), async (req, res) => {
     try {
       const { salon_id, staff_id } = req.params;
-      await db.run('UPDATE staff_roles SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP WHERE salon_id = $1 AND staff_id = $2', [salon_id, staff_id]);
+      await clockOutStaff({ salonId: salon_id, staffId: staff_id }, 'role_removed');
+      // Passkeys go with the role so adding it back later needs a fresh registration
+      await db.run('DELETE FROM staff_role_passkeys WHERE staff_role_id IN (SELECT id FROM staff_roles WHERE salon_id = $1 AND staff_id = $2)', [salon_id, staff_id]);
+      await db.run('UPDATE staff_roles SET is_active = FALSE, biometric_enabled = FALSE, updated_at = CURRENT_TIMESTAMP WHERE salon_id = $1 AND staff_id = $2', [salon_id, staff_id]);
       await db.run(`
             DELETE FROM role_sessions 
             WHERE staff_role_id IN (
@@ -631,10 +1031,24 @@ module.exports = function register(app, deps) {
     }
   });
 
-  app.post('/api/salon/roles/:salon_id/auth', async (req, res) => {
+  // Session for a staff role that proved itself with its PIN or a passkey; `role` is a staff_roles row
+  // with staff_name and custom_permissions. Signing in can start the staff member's shift, which then
+  // lasts as long as this session.
+  const openRoleSession = async (salonId, roleConfig, role, clockIn) => {
+    const sessionToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date();
+    expiresAt.setHours(expiresAt.getHours() + roleConfig.session_duration_hours);
+    const session = await db.get('INSERT INTO role_sessions (salon_id, staff_role_id, session_token, expires_at) VALUES ($1, $2, $3, $4) RETURNING id', [salonId, role.id, sessionToken, expiresAt.toISOString()]);
+    const shift = clockIn
+      ? await clockInStaff({ salonId, staffId: role.staff_id, staffRoleId: role.id, roleSessionId: session.id })
+      : null;
+    return { session_token: sessionToken, shift, role_type: role.role_type, permissions: rolePermissions(role.role_type, role.custom_permissions), staff_id: role.staff_id, staff_name: role.staff_name, expires_at: expiresAt.toISOString() };
+  };
+
+  app.post('/api/salon/roles/:salon_id/auth', requireSalonAccess({ session: 'none' }), async (req, res) => {
     try {
       const salonId = req.params.salon_id;
-      const { pin, staff_id, biometric } = req.body;
+      const { pin } = req.body;
       if (!salonId || !pin) {
         return res.status(400).json({ success: false, message: 'Salon ID and PIN are required.' });
       }
@@ -643,40 +1057,47 @@ module.exports = function register(app, deps) {
         return res.status(404).json({ success: false, message: 'Role system is not enabled for this salon.' });
       }
       const staffRoles = await db.query(`
-            SELECT sr.*, s.name as staff_name 
+            SELECT sr.*, s.name as staff_name, cr.permissions as custom_permissions
             FROM staff_roles sr 
             JOIN staff s ON sr.staff_id = s.id 
+            LEFT JOIN salon_custom_roles cr ON cr.id = sr.custom_role_id AND cr.salon_id = sr.salon_id
             WHERE sr.salon_id = $1 AND sr.is_active = TRUE
         `, [salonId]);
+      if (pin.length !== 6) {
+        return res.status(400).json({ success: false, message: 'PIN must be exactly 6 digits.' });
+      }
+      const deviceKey = roleAuthDeviceKey(req);
+      const attempt = await beginRoleAuthAttempt(req.salonAccess.salonId, deviceKey);
+      if (!attempt.ok) {
+        await logRoleAuthAttempt(req, { salonId: req.salonAccess.salonId, deviceKey, method: 'pin', outcome: attempt.code === 'ROLE_AUTH_LOCKED' ? 'locked' : 'delayed', reason: attempt.scope });
+        res.set('Retry-After', String(attempt.retryAfter));
+        return res.status(429).json({
+          success: false,
+          code: attempt.code,
+          retry_after: attempt.retryAfter,
+          message: attempt.code === 'ROLE_AUTH_LOCKED'
+            ? `تم إيقاف الدخول بالرقم السري مؤقتاً بسبب محاولات خاطئة متكررة. حاول بعد ${Math.ceil(attempt.retryAfter / 60)} دقيقة أو استخدم البصمة.`
+            : `يرجى الانتظار ${attempt.retryAfter} ثانية قبل المحاولة مرة أخرى.`
+        });
+      }
       let authenticatedRole = null;
-      if (biometric && pin === 'BIOMETRIC_AUTH' && staff_id) {
-        authenticatedRole = staffRoles.find(role => role.staff_id === parseInt(staff_id) && role.biometric_enabled);
-        if (!authenticatedRole) {
-          return res.status(401).json({ success: false, message: 'Biometric authentication not enabled for this staff member.' });
-        }
-      } else {
-        if (pin.length !== 6) {
-          return res.status(400).json({ success: false, message: 'PIN must be exactly 6 digits.' });
-        }
-        for (const role of staffRoles) {
-          const match = await bcrypt.compare(pin.toString(), role.pin_hash);
-          if (match) { authenticatedRole = role; break; }
-        }
-        if (!authenticatedRole) {
-          return res.status(401).json({ success: false, message: 'Invalid PIN.' });
-        }
+      for (const role of staffRoles) {
+        const match = await bcrypt.compare(pin.toString(), role.pin_hash);
+        if (match) { authenticatedRole = role; break; }
+      }
+      const settled = await finishRoleAuthAttempt(req.salonAccess.salonId, deviceKey, attempt, !!authenticatedRole);
+      if (!authenticatedRole) {
+        await logRoleAuthAttempt(req, { salonId: req.salonAccess.salonId, deviceKey, method: 'pin', outcome: 'failed', reason: attempt.locks.length ? `locked:${attempt.locks.join(',')}` : null });
+        return res.status(401).json({ success: false, code: 'INVALID_PIN', retry_after: settled.retryAfter, message: 'Invalid PIN.' });
       }
-      const sessionToken = crypto.randomBytes(32).toString('hex');
-      const expiresAt = new Date();
-      expiresAt.setHours(expiresAt.getHours() + roleConfig.session_duration_hours);
-      await db.run('INSERT INTO role_sessions (salon_id, staff_role_id, session_token, expires_at) VALUES ($1, $2, $3, $4)', [salonId, authenticatedRole.id, sessionToken, expiresAt.toISOString()]);
-      res.json({ success: true, session_token: sessionToken, role_type: authenticatedRole.role_type, staff_id: authenticatedRole.staff_id, staff_name: authenticatedRole.staff_name, expires_at: expiresAt.toISOString() });
+      await logRoleAuthAttempt(req, { salonId: req.salonAccess.salonId, deviceKey, method: 'pin', outcome: 'success', role: authenticatedRole });
+      res.json({ success: true, ...await openRoleSession(salonId, roleConfig, authenticatedRole, req.body.clock_in) });
     } catch (error) {
       res.status(500).json({ success: false, message: 'Authentication error.' });
     }
   });
 
-  app.post('/api/salon/roles/:salon_id/verify', async (req, res) => {
+  app.post('/api/salon/roles/:salon_id/verify', requireSalonAccess({ session: 'none' }), async (req, res) => {
     try {
       const salonId = req.params.salon_id;
       const { session_token } = req.body;
@@ -684,26 +1105,30 @@ module.exports = function register(app, deps) {
         return res.status(400).json({ success: false, message: 'Salon ID and session token are required.' });
       }
       const session = await db.get(`
-            SELECT rs.*, sr.role_type, sr.staff_id, s.name as staff_name
+            SELECT rs.*, sr.role_type, sr.staff_id, s.name as staff_name, cr.permissions as custom_permissions
             FROM role_sessions rs
             JOIN staff_roles sr ON rs.staff_role_id = sr.id
             JOIN staff s ON sr.staff_id = s.id
+            LEFT JOIN salon_custom_roles cr ON cr.id = sr.custom_role_id AND cr.salon_id = sr.salon_id
             WHERE rs.salon_id = $1 AND rs.session_token = $2 AND rs.expires_at > CURRENT_TIMESTAMP
         `, [salonId, session_token]);
       if (!session) {
         return res.status(401).json({ success: false, message: 'Invalid or expired session.' });
       }
-      res.json({ success: true, valid: true, role_type: session.role_type, staff_id: session.staff_id, staff_name: session.staff_name, expires_at: session.expires_at });
+      const shift = await db.get('SELECT id, clock_in FROM staff_time_entries WHERE role_session_id = $1 AND clock_out IS NULL', [session.id]);
+      res.json({ success: true, valid: true, shift: shift || null, role_type: session.role_type, permissions: rolePermissions(session.role_type, session.custom_permissions), staff_id: session.staff_id, staff_name: session.staff_name, expires_at: session.expires_at });
     } catch (error) {
       res.status(500).json({ success: false, message: 'Verification error.' });
     }
   });
 
-  app.post('/api/salon/roles/:salon_id/logout', async (req, res) => {
+  app.post('/api/salon/roles/:salon_id/logout', requireSalonAccess({ session: 'none' }), async (req, res) => {
     try {
       const salonId = req.params.salon_id;
       const { session_token } = req.body;
       if (session_token) {
+        const session = await db.get('SELECT id FROM role_sessions WHERE salon_id = $1 AND session_token = $2', [salonId, session_token]);
+        if (session) await clockOutStaff({ roleSessionId: session.id }, 'logout');
         await db.run('DELETE FROM role_sessions WHERE salon_id = $1 AND session_token = $2', [salonId, session_token]);
       }
       res.json({ success: true, message: 'Logged out successfully.' });
@@ -711,4 +1136,188 @@ module.exports = function register(app, deps) {
       res.status(500).json({ success: false, message: 'Logout error.' });
     }
   });
+
+  // Passkeys (WebAuthn): a staff member registers Face ID or a fingerprint on the salon's device from a
+  // session opened with their PIN, then signs in with it; the PIN keeps working as the fallback
+  const PASSKEY_CHALLENGE_MINUTES = 5;
+
+  // The relying party is the host serving the dashboard unless WEBAUTHN_RP_ID / WEBAUTHN_ORIGIN pin it
+  const relyingParty = (req) => ({ rpId: process.env.WEBAUTHN_RP_ID || req.hostname, expectedOrigin: process.env.WEBAUTHN_ORIGIN || null });
+
+  const issueChallenge = async (salonId, purpose, staffRoleId = null) => {
+    const challenge = webauthn.createChallenge();
+    const expiresAt = new Date(Date.now() + PASSKEY_CHALLENGE_MINUTES * 60000).toISOString();
+    await dbRun('INSERT INTO webauthn_challenges (salon_id, staff_role_id, purpose, challenge, expires_at) VALUES ($1, $2, $3, $4, $5)', [salonId, staffRoleId, purpose, challenge, expiresAt]);
+    return challenge;
+  };
+
+  // Uses up the challenge a credential answers; null when it is unknown, expired, used or issued to another role
+  const consumeChallenge = async (salonId, purpose, credential, staffRoleId = null) => {
+    const challenge = webauthn.clientChallenge(credential);
+    if (!challenge) return null;
+    const result = await dbRun(
+      'DELETE FROM webauthn_challenges WHERE challenge = $1 AND salon_id = $2 AND purpose = $3 AND COALESCE(staff_role_id, 0) = $4 AND expires_at > $5',
+      [challenge, salonId, purpose, staffRoleId || 0, new Date().toISOString()]
+    );
+    return result && result.changes ? challenge : null;
+  };
+
+  const syncPasskeyFlag = (staffRoleId) => dbRun('UPDATE staff_roles SET biometric_enabled = EXISTS (SELECT 1 FROM staff_role_passkeys WHERE staff_role_id = $1), updated_at = CURRENT_TIMESTAMP WHERE id = $1', [staffRoleId]);
+
+  app.post('/api/salon/roles/:salon_id/passkeys/register/options', requireSalonAccess({ session: 'required' }), async (req, res) => {
+    const salonId = req.salonAccess.salonId;
+    const { staff_role_id: staffRoleId, staff_id: staffId } = req.salonRole;
+    try {
+      const salon = await dbGet('SELECT salon_name FROM salons WHERE id = $1', [salonId]);
+      const staff = await dbGet('SELECT name FROM staff WHERE id = $1', [staffId]);
+      const existing = await dbAll('SELECT credential_id FROM staff_role_passkeys WHERE staff_role_id = $1', [staffRoleId]);
+      const { rpId } = relyingParty(req);
+      const options = webauthn.registrationOptions({
+        challenge: await issueChallenge(salonId, 'register', staffRoleId),
+        rpId,
+        rpName: salon && salon.salon_name ? salon.salon_name : 'Saloony',
+        userHandle: Buffer.from(`saloony-role-${staffRoleId}`).toString('base64url'),
+        userName: staff ? staff.name : `staff-${staffId}`,
+        displayName: staff ? staff.name : `staff-${staffId}`,
+        exclude: existing.map(row => row.credential_id)
+      });
+      res.json({ success: true, options });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.post('/api/salon/roles/:salon_id/passkeys/register', requireSalonAccess({ session: 'required' }), async (req, res) => {
+    const salonId = req.salonAccess.salonId;
+    const staffRoleId = req.salonRole.staff_role_id;
+    const { credential } = req.body || {};
+    const deviceName = typeof req.body?.device_name === 'string' ? req.body.device_name.trim().slice(0, 60) : null;
+    try {
+      const challenge = credential ? await consumeChallenge(salonId, 'register', credential, staffRoleId) : null;
+      if (!challenge) {
+        return res.status(400).json({ success: false, code: 'PASSKEY_CHALLENGE_INVALID', message: 'انتهت صلاحية الطلب. يرجى المحاولة مرة أخرى.' });
+      }
+      const verified = webauthn.verifyRegistration(credential, { challenge, ...relyingParty(req) });
+      if (!verified.ok) {
+        return res.status(400).json({ success: false, code: 'PASSKEY_REJECTED', reason: verified.reason, message: 'تعذر التحقق من البصمة.' });
+      }
+      const taken = await dbGet('SELECT id FROM staff_role_passkeys WHERE credential_id = $1', [verified.credentialId]);
+      if (taken) {
+        return res.status(409).json({ success: false, code: 'PASSKEY_EXISTS', message: 'هذه البصمة مسجلة مسبقاً.' });
+      }
+      const transports = Array.isArray(credential.response.transports) ? JSON.stringify(credential.response.transports.filter(t => typeof t === 'string')) : null;
+      const row = await dbGet(`
+        INSERT INTO staff_role_passkeys (salon_id, staff_role_id, credential_id, public_key, sign_count, transports, device_name)
+        VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id
+      `, [salonId, staffRoleId, verified.credentialId, verified.publicKey, verified.signCount, transports, deviceName || null]);
+      await syncPasskeyFlag(staffRoleId);
+      res.json({ success: true, message: 'تم تفعيل الدخول بالبصمة.', passkeyId: row.id });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // Passkeys of the signed-in staff member
+  app.get('/api/salon/roles/:salon_id/passkeys', requireSalonAccess({ session: 'required' }), async (req, res) => {
+    try {
+      const passkeys = await dbAll('SELECT id, device_name, created_at, last_used_at FROM staff_role_passkeys WHERE staff_role_id = $1 ORDER BY created_at DESC', [req.salonRole.staff_role_id]);
+      res.json({ success: true, passkeys });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // Staff members remove their own passkeys; those who manage staff can remove anyone's (e.g. a lost device)
+  app.delete('/api/salon/roles/:salon_id/passkeys/:passkey_id', requireSalonAccess({ session: 'required' }), async (req, res) => {
+    const salonId = req.salonAccess.salonId;
+    try {
+      const passkey = await dbGet('SELECT id, staff_role_id FROM staff_role_passkeys WHERE id = $1 AND salon_id = $2', [req.params.passkey_id, salonId]);
+      if (!passkey) {
+        return res.status(404).json({ success: false, message: 'Passkey not found.' });
+      }
+      if (passkey.staff_role_id !== req.salonRole.staff_role_id && !req.salonRole.permissions.includes('manage_staff')) {
+        return res.status(403).json({ success: false, code: 'PERMISSION_DENIED', message: 'ليس لديك صلاحية لهذا الإجراء.' });
+      }
+      await dbRun('DELETE FROM staff_role_passkeys WHERE id = $1', [passkey.id]);
+      await syncPasskeyFlag(passkey.staff_role_id);
+      res.json({ success: true, message: 'تم حذف البصمة.' });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.post('/api/salon/roles/:salon_id/passkeys/login/options', requireSalonAccess({ session: 'none' }), async (req, res) => {
+    const salonId = req.salonAccess.salonId;
+    try {
+      const roleConfig = await dbGet('SELECT id FROM salon_roles WHERE salon_id = $1 AND roles_enabled = TRUE', [salonId]);
+      if (!roleConfig) {
+        return res.status(404).json({ success: false, message: 'Role system is not enabled for this salon.' });
+      }
+      const passkeys = await dbAll(`
+        SELECT p.credential_id, p.transports
+        FROM staff_role_passkeys p
+        JOIN staff_roles sr ON sr.id = p.staff_role_id
+        WHERE p.salon_id = $1 AND sr.is_active = TRUE
+      `, [salonId]);
+      if (passkeys.length === 0) {
+        return res.status(404).json({ success: false, code: 'NO_PASSKEYS', message: 'لا توجد بصمات مسجلة لهذا الصالون.' });
+      }
+      const options = webauthn.authenticationOptions({
+        challenge: await issueChallenge(salonId, 'login'),
+        rpId: relyingParty(req).rpId,
+        allow: passkeys.map(row => ({ id: row.credential_id, transports: row.transports ? JSON.parse(row.transports) : null }))
+      });
+      res.json({ success: true, options });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // Opens the same role session as /auth does for a PIN
+  app.post('/api/salon/roles/:salon_id/passkeys/login', requireSalonAccess({ session: 'none' }), async (req, res) => {
+    const salonId = req.salonAccess.salonId;
+    const { credential, clock_in } = req.body || {};
+    try {
+      const roleConfig = await dbGet('SELECT * FROM salon_roles WHERE salon_id = $1 AND roles_enabled = TRUE', [salonId]);
+      if (!roleConfig) {
+        return res.status(404).json({ success: false, message: 'Role system is not enabled for this salon.' });
+      }
+      const challenge = credential ? await consumeChallenge(salonId, 'login', credential) : null;
+      if (!challenge) {
+        return res.status(400).json({ success: false, code: 'PASSKEY_CHALLENGE_INVALID', message: 'انتهت صلاحية الطلب. يرجى المحاولة مرة أخرى.' });
+      }
+      const passkey = await dbGet(`
+        SELECT p.id AS passkey_id, p.public_key, p.sign_count, sr.*, s.name as staff_name, cr.permissions as custom_permissions
+        FROM staff_role_passkeys p
+        JOIN staff_roles sr ON sr.id = p.staff_role_id
+        JOIN staff s ON sr.staff_id = s.id
+        LEFT JOIN salon_custom_roles cr ON cr.id = sr.custom_role_id AND cr.salon_id = sr.salon_id
+        WHERE p.credential_id = $1 AND p.salon_id = $2 AND sr.is_active = TRUE
+      `, [String(credential.id || ''), salonId]);
+      const deviceKey = roleAuthDeviceKey(req);
+      if (!passkey) {
+        await logRoleAuthAttempt(req, { salonId, deviceKey, method: 'passkey', outcome: 'failed', reason: 'unknown_passkey' });
+        return res.status(401).json({ success: false, code: 'PASSKEY_UNKNOWN', message: 'هذه البصمة غير مسجلة في هذا الصالون.' });
+      }
+      const verified = webauthn.verifyAuthentication(credential, { challenge, ...relyingParty(req) }, { publicKey: passkey.public_key, signCount: Number(passkey.sign_count) || 0 });
+      if (!verified.ok) {
+        await logRoleAuthAttempt(req, { salonId, deviceKey, method: 'passkey', outcome: 'failed', role: passkey, reason: verified.reason });
+        return res.status(401).json({ success: false, code: 'PASSKEY_REJECTED', reason: verified.reason, message: 'تعذر التحقق من البصمة.' });
+      }
+      // The counter only moves forward: of two sign-ins replaying the same assertion, only the first
+      // updates the row (authenticators without a counter always send 0)
+      const stored = await dbRun(
+        'UPDATE staff_role_passkeys SET sign_count = $1, last_used_at = CURRENT_TIMESTAMP WHERE id = $2 AND (sign_count < $1 OR $1 = 0)',
+        [verified.signCount, passkey.passkey_id]
+      );
+      if (!stored || !stored.changes) {
+        await logRoleAuthAttempt(req, { salonId, deviceKey, method: 'passkey', outcome: 'failed', role: passkey, reason: 'counter_regressed' });
+        return res.status(401).json({ success: false, code: 'PASSKEY_REJECTED', reason: 'counter_regressed', message: 'تعذر التحقق من البصمة.' });
+      }
+      await logRoleAuthAttempt(req, { salonId, deviceKey, method: 'passkey', outcome: 'success', role: passkey });
+      res.json({ success: true, ...await openRoleSession(salonId, roleConfig, passkey, clock_in) });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Authentication error.' });
+    }
+  });
 }
@@ -0,0 +1,84 @@
+module.exports = function register(app, deps) {
+  const { requireSalonAccess, clockInStaff, clockOutStaff, buildWeeklyTimesheet } = deps;
+
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+  // Quote a CSV value; text starting like a formula is prefixed so spreadsheets show it as text
+  const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const CSV_COLUMNS = ['الموظف', 'التاريخ', 'الدقائق المجدولة', 'دقائق العمل', 'دقائق التأخير', 'دقائق المغادرة المبكرة', 'دقائق إضافية', 'غياب', 'الورديات'];
+
+  const timesheetCsv = (timesheet) => {
+    const clock = (value) => (value ? value.substring(11, 16) : 'مفتوحة');
+    const rows = [CSV_COLUMNS];
+    for (const member of timesheet.staff) {
+      for (const day of member.days) {
+        rows.push([
+          member.staff_name, day.date, day.scheduled_minutes, day.worked_minutes, day.late_minutes,
+          day.early_leave_minutes, day.overtime_minutes, day.absent ? 'نعم' : '',
+          day.shifts.map(shift => `${clock(shift.clock_in)}-${clock(shift.clock_out)}`).join('; ')
+        ]);
+      }
+      const totals = member.totals;
+      rows.push([
+        member.staff_name, 'الإجمالي', totals.scheduled_minutes, totals.worked_minutes, totals.late_minutes,
+        totals.early_leave_minutes, totals.overtime_minutes, totals.absent_days, ''
+      ]);
+    }
+    // The BOM lets spreadsheet apps read the Arabic text as UTF-8
+    return '\ufeff' + rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+  };
+
+  // Start a shift from an open PIN session, e.g. when the staff member signed in without clocking in
+  app.post('/api/salon/timesheets/:salon_id/clock-in', requireSalonAccess({ session: 'required' }), async (req, res) => {
+    try {
+      const shift = await clockInStaff({
+        salonId: req.salonAccess.salonId,
+        staffId: req.salonRole.staff_id,
+        staffRoleId: req.salonRole.staff_role_id,
+        roleSessionId: req.salonRole.session_id
+      });
+      res.json({ success: true, message: 'تم تسجيل بدء الوردية.', shift });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // End the shift but stay signed in
+  app.post('/api/salon/timesheets/:salon_id/clock-out', requireSalonAccess({ session: 'required' }), async (req, res) => {
+    try {
+      const closed = await clockOutStaff({ salonId: req.salonAccess.salonId, staffId: req.salonRole.staff_id }, 'clock_out');
+      if (!closed) {
+        return res.status(409).json({ success: false, code: 'NO_OPEN_SHIFT', message: 'لا توجد وردية مفتوحة.' });
+      }
+      res.json({ success: true, message: 'تم تسجيل انتهاء الوردية.' });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  // Weekly timesheet per staff member: ?week=<any date of the week>&staff_id=&format=csv
+  app.get('/api/salon/timesheets/:salon_id', requireSalonAccess({ permission: 'manage_staff' }), async (req, res) => {
+    const week = req.query.week ? String(req.query.week) : null;
+    if (week && !DATE_PATTERN.test(week)) {
+      return res.status(400).json({ success: false, message: 'Week must be a date (YYYY-MM-DD).' });
+    }
+    const staffId = req.query.staff_id && !isNaN(parseInt(req.query.staff_id)) ? parseInt(req.query.staff_id) : null;
+    try {
+      const timesheet = await buildWeeklyTimesheet(req.salonAccess.salonId, week, { staffId });
+      if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="timesheet_${req.salonAccess.salonId}_${timesheet.week_start}.csv"`);
+        return res.status(200).send(timesheetCsv(timesheet));
+      }
+      res.json({ success: true, ...timesheet });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+};
@@ -0,0 +1,208 @@
+module.exports = function register(app, deps) {
+  const { db, dbAll, dbGet, dbRun, requireAuth, waitlistJoinSchema, validateBookingSlot, computeAvailableSlots, assignAvailableStaff, sumServiceDuration, resolveServicePrices, addMinutesToDateTime, syncAppointmentInstants, salonToday, closeWaitlistOffer, evaluateBookingEligibility, getSalonPolicy, computeBookingDeposit, createDepositPayment, openDepositCheckout, priceBooking, recordPromotionRedemption, recordAppointmentEvent, sendSalonEvent } = deps;
+
+  app.post('/api/waitlist', requireAuth, async (req, res) => {
+    const parsed = waitlistJoinSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.error.issues[0]?.message || 'بيانات غير صالحة.' });
+    }
+    const { salon_id, date, service_ids } = parsed.data;
+    const staff_id = parsed.data.staff_id || 0;
+    const user_id = req.user?.id;
+    try {
+      if (date < await salonToday(salon_id)) {
+        return res.status(400).json({ success: false, message: 'لا يمكن الانضمام لقائمة الانتظار ليوم مضى.' });
+      }
+      const eligibility = await evaluateBookingEligibility(user_id, salon_id);
+      if (!eligibility.allowed) {
+        return res.status(403).json({ success: false, code: eligibility.code, message: eligibility.message, strikes: eligibility.strikes });
+      }
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+    try {
+      const duration = await sumServiceDuration(salon_id, service_ids, staff_id);
+      if (duration <= 0) {
+        return res.status(400).json({ success: false, message: 'الخدمات المختارة غير متوفرة في هذا الصالون.' });
+      }
+      const existing = await dbGet(`
+        SELECT id FROM waitlist_entries
+        WHERE salon_id = $1 AND user_id = $2 AND date = $3 AND status IN ('waiting', 'offered')
+      `, [salon_id, user_id, date]);
+      if (existing) {
+        return res.status(400).json({ success: false, message: 'أنت مسجل بالفعل في قائمة الانتظار لهذا اليوم.' });
+      }
+      const availability = await computeAvailableSlots(salon_id, date, duration, staff_id, { serviceIds: service_ids });
+      if (!availability) {
+        return res.status(404).json({ success: false, message: 'جدول الصالون غير متوفر.' });
+      }
+      if (staff_id !== 0 && availability.staff.length === 0) {
+        return res.status(404).json({ success: false, message: 'Staff member not found or does not belong to this salon.' });
+      }
+      // The waitlist is for full days; if something is free the customer should just book it
+      const openSlots = staff_id ? availability.staff[0].slots : availability.any_staff;
+      if (openSlots.length > 0) {
+        return res.status(409).json({ success: false, code: 'SLOTS_AVAILABLE', message: 'توجد أوقات متاحة في هذا اليوم، يمكنك الحجز مباشرة.', slots: openSlots });
+      }
+      const entry = await dbGet(`
+        INSERT INTO waitlist_entries (salon_id, user_id, staff_id, date, service_ids, duration)
+        VALUES ($1, $2, $3, $4, $5, $6) RETURNING id
+      `, [salon_id, user_id, staff_id === 0 ? null : staff_id, date, JSON.stringify(service_ids), duration]);
+      const ahead = await dbGet(`
+        SELECT COUNT(*) AS count FROM waitlist_entries
+        WHERE salon_id = $1 AND date = $2 AND status IN ('waiting', 'offered') AND id < $3
+      `, [salon_id, date, entry.id]);
+      res.json({ success: true, message: 'تمت إضافتك إلى قائمة الانتظار. سنبلغك عند توفر موعد.', entry_id: entry.id, position: Number(ahead ? ahead.count : 0) + 1 });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.get('/api/waitlist/mine', requireAuth, async (req, res) => {
+    try {
+      const entries = await dbAll(`
+        SELECT w.id, w.salon_id, w.staff_id, w.date, w.service_ids, w.duration, w.status, w.created_at,
+               s.salon_name,
+               o.id AS offer_id, o.start_time AS offer_start_time, o.end_time AS offer_end_time, o.expires_at AS offer_expires_at
+        FROM waitlist_entries w
+        JOIN salons s ON w.salon_id = s.id
+        LEFT JOIN waitlist_offers o ON o.entry_id = w.id AND o.status = 'pending'
+        WHERE w.user_id = $1 AND w.status IN ('waiting', 'offered')
+        ORDER BY w.date ASC
+      `, [req.user?.id]);
+      res.json({ success: true, entries });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.delete('/api/waitlist/:entry_id', requireAuth, async (req, res) => {
+    try {
+      const entry = await dbGet('SELECT * FROM waitlist_entries WHERE id = $1', [req.params.entry_id]);
+      if (!entry) {
+        return res.status(404).json({ success: false, message: 'Waitlist entry not found.' });
+      }
+      if (String(entry.user_id) !== String(req.user?.id)) {
+        return res.status(403).json({ success: false, message: 'غير مصرح لك بتعديل هذا الطلب.' });
+      }
+      await dbRun(`UPDATE waitlist_entries SET status = 'cancelled' WHERE id = $1`, [entry.id]);
+      const pendingOffer = await dbGet(`SELECT * FROM waitlist_offers WHERE entry_id = $1 AND status = 'pending'`, [entry.id]);
+      if (pendingOffer) {
+        await closeWaitlistOffer(pendingOffer, 'declined');
+      }
+      res.json({ success: true, message: 'تمت إزالتك من قائمة الانتظار.' });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.post('/api/waitlist/offers/:offer_id/decline', requireAuth, async (req, res) => {
+    try {
+      const offer = await dbGet('SELECT * FROM waitlist_offers WHERE id = $1', [req.params.offer_id]);
+      if (!offer) {
+        return res.status(404).json({ success: false, message: 'Offer not found.' });
+      }
+      if (String(offer.user_id) !== String(req.user?.id)) {
+        return res.status(403).json({ success: false, message: 'غير مصرح لك بهذا العرض.' });
+      }
+      if (offer.status !== 'pending') {
+        return res.status(400).json({ success: false, message: 'هذا العرض لم يعد متاحاً.' });
+      }
+      await closeWaitlistOffer(offer, 'declined');
+      res.json({ success: true, message: 'تم رفض العرض.' });
+    } catch {
+      return res.status(500).json({ success: false, message: 'Database error.' });
+    }
+  });
+
+  app.post('/api/waitlist/offers/:offer_id/accept', requireAuth, async (req, res) => {
+    const user_id = req.user?.id;
+    let outcome;
+    try {
+      const offer = await dbGet('SELECT * FROM waitlist_offers WHERE id = $1', [req.params.offer_id]);
+      if (!offer) {
+        return res.status(404).json({ success: false, message: 'Offer not found.' });
+      }
+      if (String(offer.user_id) !== String(user_id)) {
+        return res.status(403).json({ success: false, message: 'غير مصرح لك بهذا العرض.' });
+      }
+      const eligibility = await evaluateBookingEligibility(user_id, offer.salon_id);
+      if (!eligibility.allowed) {
+        return res.status(403).json({ success: false, code: eligibility.code, message: eligibility.message, strikes: eligibility.strikes });
+      }
+      const policy = await getSalonPolicy(offer.salon_id);
+      // Booking and closing the offer happen under the salon lock, like a regular booking
+      outcome = await db.transaction(async (tx) => {
+        await tx.lock(offer.salon_id);
+        const current = await tx.get('SELECT * FROM waitlist_offers WHERE id = $1', [offer.id]);
+        if (!current || current.status !== 'pending' || current.expires_at <= new Date().toISOString()) {
+          return { error: 'expired' };
+        }
+        const entry = await tx.get('SELECT * FROM waitlist_entries WHERE id = $1', [current.entry_id]);
+        const serviceIds = JSON.parse(entry.service_ids || '[]');
+        const options = { ignoreHoldToken: current.hold_token, serviceIds, runner: tx };
+        const validationResult = await validateBookingSlot(current.salon_id, entry.staff_id || 0, current.start_time, current.end_time, entry.duration, options);
+        if (!validationResult.valid) {
+          return { error: 'invalid', message: validationResult.message };
+        }
+        let staffId = entry.staff_id;
+        let staffName = null;
+        let endTime = current.end_time;
+        if (!staffId) {
+          const member = await assignAvailableStaff(current.salon_id, current.start_time, current.end_time, options);
+          if (!member) {
+            return { error: 'invalid', message: 'عفواً، لا يوجد مختص متاح لإتمام هذا الحجز في هذا الوقت.' };
+          }
+          staffId = member.id;
+          staffName = member.name;
+          endTime = addMinutesToDateTime(current.start_time, member.duration);
+        } else {
+          const staffRow = await tx.get('SELECT name FROM staff WHERE id = $1', [staffId]);
+          staffName = staffRow ? staffRow.name : null;
+        }
+        const services = await resolveServicePrices(current.salon_id, serviceIds, staffId, tx);
+        if (!services) {
+          return { error: 'invalid', message: 'الخدمات المطلوبة لم تعد متوفرة في هذا الصالون.' };
+        }
+        // Automatic promotions (first visit, off-peak) apply to waitlist bookings too
+        const pricing = await priceBooking({ salonId: current.salon_id, userId: user_id, startTime: current.start_time, services, runner: tx });
+        const price = pricing.price;
+        const deposit = await computeBookingDeposit(current.salon_id, services, { prepayRequired: eligibility.requires_prepayment, policy, payable: price, runner: tx });
+        const status = deposit > 0 ? 'PendingPayment' : 'Scheduled';
+        const appointmentResult = await tx.get('INSERT INTO appointments (salon_id, user_id, staff_id, service_id, start_time, end_time, status, date_booked, price, original_price, discount_amount, promotion_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id', [current.salon_id, user_id, staffId, services[0].id, current.start_time, endTime, status, new Date().toISOString(), price, pricing.subtotal, pricing.discount, pricing.promotion ? pricing.promotion.id : null]);
+        await recordPromotionRedemption(tx, { appointmentId: appointmentResult.id, userId: user_id, pricing });
+        for (const service of services) {
+          await tx.run('INSERT INTO appointment_services (appointment_id, service_id, price, duration) VALUES ($1, $2, $3, $4)', [appointmentResult.id, service.id, service.price, service.duration]);
+        }
+        await syncAppointmentInstants(tx, { appointmentId: appointmentResult.id });
+        await recordAppointmentEvent(tx, { appointmentId: appointmentResult.id, eventType: 'created', toStatus: status, actorType: 'customer', actorId: user_id, details: { source: 'waitlist', offer_id: current.id } });
+        await tx.run(`UPDATE waitlist_offers SET status = 'accepted', appointment_id = $1 WHERE id = $2`, [appointmentResult.id, current.id]);
+        await tx.run(`UPDATE waitlist_entries SET status = 'booked' WHERE id = $1`, [entry.id]);
+        await tx.run('DELETE FROM slot_holds WHERE hold_token = $1', [current.hold_token]);
+        const payment = deposit > 0 ? await createDepositPayment(tx, { appointmentId: appointmentResult.id, salonId: current.salon_id, userId: user_id, amount: deposit, holdMinutes: policy.deposit_hold_minutes }) : null;
+        return { appointmentId: appointmentResult.id, offer: current, endTime, staffId, staffName, price, servicesCount: services.length, payment };
+      });
+      if (outcome.error === 'invalid') {
+        await closeWaitlistOffer(offer, 'expired');
+      }
+    } catch {
+      return res.status(500).json({ success: false, message: 'فشل في حفظ الحجز.' });
+    }
+    if (outcome.error) {
+      return res.status(409).json({ success: false, code: 'OFFER_UNAVAILABLE', message: outcome.message || 'انتهت صلاحية هذا العرض.' });
+    }
+    // The salon is told about deposit bookings once the deposit is paid
+    if (outcome.payment) {
+      const checkout = await openDepositCheckout(outcome.payment);
+      if (!checkout) {
+        return res.status(502).json({ success: false, code: 'PAYMENT_UNAVAILABLE', message: 'تعذر بدء عملية الدفع. يرجى المحاولة لاحقاً.' });
+      }
+      return res.json({ success: true, requires_payment: true, message: 'تم حجز الموعد مبدئياً. يرجى دفع العربون لتأكيده.', appointmentId: outcome.appointmentId, assignedStaffName: outcome.staffName, payment: checkout });
+    }
+    try {
+      const { offer } = outcome;
+      await sendSalonEvent(offer.salon_id, 'appointment_booked', { appointmentId: outcome.appointmentId, user_id, staff_id: outcome.staffId, staff_name: outcome.staffName, start_time: offer.start_time, end_time: outcome.endTime, services_count: outcome.servicesCount, price: outcome.price, source: 'waitlist' });
+    } catch {}
+    res.json({ success: true, message: 'تم حجز موعدك بنجاح!', appointmentId: outcome.appointmentId, assignedStaffName: outcome.staffName });
+  });
+};
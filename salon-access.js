@@ -0,0 +1,134 @@
+// ===== Salon authorization =====
+// Salon routes need the JWT of the account that owns the salon (checked by requireAuth). Once the
+// salon has turned on staff roles, they also need the PIN role session of whoever is at the device,
+// sent in the X-Salon-Session header (or as session_token in the body).
+
+// What a salon role can be allowed to do. The admin role holds every permission, staff members
+// without a custom role get DEFAULT_STAFF_PERMISSIONS.
+const SALON_PERMISSIONS = ['manage_schedule', 'manage_services', 'view_revenue', 'manage_appointments', 'manage_staff', 'edit_profile'];
+const DEFAULT_STAFF_PERMISSIONS = ['manage_schedule', 'manage_appointments'];
+
+function rolePermissions(roleType, customPermissions = null) {
+    if (roleType === 'admin') return [...SALON_PERMISSIONS];
+    if (customPermissions) {
+        try {
+            const list = JSON.parse(customPermissions);
+            if (Array.isArray(list)) return SALON_PERMISSIONS.filter(permission => list.includes(permission));
+        } catch (_) {}
+    }
+    return [...DEFAULT_STAFF_PERMISSIONS];
+}
+
+function salonSessionToken(req) {
+    return req.headers['x-salon-session'] || req.body?.session_token || null;
+}
+
+// deps: { dbGet, dbRun, requireAuth }. Returns { requireSalonAccess, salonIdFrom }.
+function createSalonAccess({ dbGet, dbRun, requireAuth }) {
+    // Resolver for routes addressed by a child record, e.g. salonIdFrom('breaks', 'break_id')
+    function salonIdFrom(table, param) {
+        return async (req) => {
+            const id = req.params[param];
+            if (!id || isNaN(parseInt(id))) return null;
+            const row = await dbGet(`SELECT salon_id FROM ${table} WHERE id = $1`, [id]);
+            return row ? row.salon_id : null;
+        };
+    }
+
+    async function auditSalonAccess(req, { salonId, outcome, reason = null }) {
+        const access = req.salonRole || {};
+        try {
+            await dbRun(`
+                INSERT INTO salon_audit_log (salon_id, user_id, staff_role_id, staff_id, action, path, outcome, reason, ip)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            `, [salonId || null, req.user?.id || null, access.staff_role_id || null, access.staff_id || null,
+                `${req.method} ${req.route ? req.route.path : req.path}`, req.originalUrl.split('?')[0], outcome, reason, req.ip || null]);
+        } catch (e) {
+            console.error('Salon audit error:', e.message);
+        }
+    }
+
+    // Guard for salon routes, run after requireAuth has set req.user.
+    //   resolveSalonId  salon the request acts on, defaults to the :salon_id param
+    //   permission      one of SALON_PERMISSIONS the role session must hold when one is checked;
+    //                   without it any active role session is enough
+    //   session         'auto' asks for a role session once the salon has active staff roles,
+    //                   'required' always does, 'none' checks ownership only (PIN sign-in itself)
+    // Sets req.salonAccess = { salonId, userId } and, when a valid role session came with the
+    // request, req.salonRole = { session_id, staff_role_id, staff_id, role_type, permissions }. Refused
+    // attempts by signed-in accounts and successful writes go to salon_audit_log.
+    function requireSalonAccess({ resolveSalonId = (req) => req.params.salon_id, permission = null, session = 'auto' } = {}) {
+        const checkAccess = async (req, res, next) => {
+            let salonId = null;
+            const deny = async (status, reason, code, message) => {
+                await auditSalonAccess(req, { salonId, outcome: 'denied', reason });
+                return res.status(status).json({ success: false, code, message });
+            };
+            try {
+                salonId = await resolveSalonId(req);
+                const salon = salonId && !isNaN(parseInt(salonId)) ? await dbGet('SELECT id, user_id FROM salons WHERE id = $1', [salonId]) : null;
+                if (!salon) {
+                    return res.status(404).json({ success: false, message: 'Salon not found.' });
+                }
+                salonId = salon.id;
+                if (String(salon.user_id) !== String(req.user.id)) {
+                    return deny(403, 'not_owner', 'SALON_FORBIDDEN', 'غير مصرح لك بتعديل بيانات هذا الصالون.');
+                }
+                req.salonAccess = { salonId: Number(salon.id), userId: req.user.id };
+
+                const token = session === 'none' ? null : salonSessionToken(req);
+                const role = token ? await dbGet(`
+                    SELECT rs.id AS session_id, rs.staff_role_id, sr.staff_id, sr.role_type, cr.permissions AS custom_permissions
+                    FROM role_sessions rs
+                    JOIN staff_roles sr ON rs.staff_role_id = sr.id
+                    LEFT JOIN salon_custom_roles cr ON cr.id = sr.custom_role_id AND cr.salon_id = sr.salon_id
+                    WHERE rs.salon_id = $1 AND rs.session_token = $2 AND rs.expires_at > CURRENT_TIMESTAMP AND sr.is_active = TRUE
+                `, [salon.id, token]) : null;
+                if (role) {
+                    req.salonRole = {
+                        session_id: role.session_id,
+                        staff_role_id: role.staff_role_id,
+                        staff_id: role.staff_id,
+                        role_type: role.role_type,
+                        permissions: rolePermissions(role.role_type, role.custom_permissions)
+                    };
+                }
+                let sessionNeeded = session === 'required';
+                if (session === 'auto') {
+                    const active = await dbGet(`
+                        SELECT COUNT(*) AS count
+                        FROM staff_roles sr
+                        JOIN salon_roles cfg ON cfg.salon_id = sr.salon_id
+                        WHERE sr.salon_id = $1 AND sr.is_active = TRUE AND cfg.roles_enabled = TRUE
+                    `, [salon.id]);
+                    sessionNeeded = Number(active && active.count) > 0;
+                }
+                if (sessionNeeded && !role) {
+                    return deny(403, token ? 'invalid_session' : 'missing_session', 'ROLE_SESSION_REQUIRED', 'هذه العملية تتطلب تسجيل دخول الموظف برقمه السري.');
+                }
+                if (sessionNeeded && permission && !req.salonRole.permissions.includes(permission)) {
+                    return deny(403, `missing_permission:${permission}`, 'PERMISSION_DENIED', 'ليست لديك صلاحية لتنفيذ هذه العملية.');
+                }
+            } catch (e) {
+                console.error('Salon access check error:', e.message);
+                return res.status(500).json({ success: false, message: 'Authorization error.' });
+            }
+            if (req.method !== 'GET') {
+                res.on('finish', () => {
+                    if (res.statusCode < 400) auditSalonAccess(req, { salonId, outcome: 'allowed' });
+                });
+            }
+            return next();
+        };
+        return (req, res, next) => requireAuth(req, res, () => checkAccess(req, res, next));
+    }
+
+    return { requireSalonAccess, salonIdFrom };
+}
+
+module.exports = {
+    SALON_PERMISSIONS,
+    DEFAULT_STAFF_PERMISSIONS,
+    rolePermissions,
+    createSalonAccess
+};
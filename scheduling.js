@@ -0,0 +1,368 @@
+// Booking time and scheduling helpers: wall-clock/UTC conversion and the slot checks that run on a
+// day context loaded by server.js (loadBookingDayContext). Nothing here reads the database itself,
+// except syncAppointmentInstants, which goes through the runner it is given.
+
+function timeToMinutes(timeStr) {
+    if (!timeStr || typeof timeStr !== 'string') return 0;
+    const [h, m] = timeStr.split(':').map(Number);
+    let minutes = (h || 0) * 60 + (m || 0);
+    
+    // Handle overnight hours (e.g., 1am = 25:00 = 1500 minutes)
+    // If hour is between 0-6, assume it's next day (add 24 hours)
+    if (h >= 0 && h <= 6) {
+        minutes += 24 * 60;
+    }
+    
+    return minutes;
+}
+
+function minutesToTime(minutes) {
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
+}
+
+// Extract the HH:MM part of a stored timestamp ('YYYY-MM-DD HH:MM:SS' or ISO); null if it has no time part
+function extractClockTime(value) {
+    if (!value || typeof value !== 'string') return null;
+    if (value.includes('T')) return value.split('T')[1].substring(0, 5);
+    if (value.includes(' ')) return value.split(' ')[1].substring(0, 5);
+    return null;
+}
+
+// Appointment times are the salon's wall-clock strings ('YYYY-MM-DD HH:MM:SS'), so date
+// arithmetic on them is done as if they were UTC and never shifts the clock time.
+function normalizeDateTime(value) {
+    const [datePart, timePart = '00:00:00'] = String(value).replace('T', ' ').replace(/Z$|\.\d+Z?$/, '').split(' ');
+    const clock = timePart.length === 5 ? `${timePart}:00` : timePart.substring(0, 8);
+    return `${datePart} ${clock}`;
+}
+
+function addMinutesToDateTime(value, minutes) {
+    const base = new Date(normalizeDateTime(value).replace(' ', 'T') + 'Z');
+    const shifted = new Date(base.getTime() + minutes * 60000);
+    return shifted.toISOString().substring(0, 19).replace('T', ' ');
+}
+
+function minutesBetween(from, to) {
+    const a = new Date(normalizeDateTime(from).replace(' ', 'T') + 'Z').getTime();
+    const b = new Date(normalizeDateTime(to).replace(' ', 'T') + 'Z').getTime();
+    return Math.round((b - a) / 60000);
+}
+
+// Salons created before per-salon zones existed are all in Palestine
+const DEFAULT_SALON_TIMEZONE = 'Asia/Jerusalem';
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return typeof timeZone === 'string' && timeZone.length > 0;
+    } catch (_) {
+        return false;
+    }
+}
+
+// Wall-clock time ('YYYY-MM-DD HH:MM:SS') of an instant in an IANA zone
+function zonedDateTime(instant, timeZone = DEFAULT_SALON_TIMEZONE) {
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    for (const { type, value } of format.formatToParts(new Date(instant))) parts[type] = value;
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+// UTC instant (ISO 8601) of a wall-clock time in an IANA zone. A time repeated when clocks go back
+// resolves to its first occurrence; a time skipped when clocks go forward is moved past the gap
+// (02:30 on a 02:00 -> 03:00 night becomes 03:30).
+function zonedTimeToUtc(value, timeZone = DEFAULT_SALON_TIMEZONE) {
+    const local = normalizeDateTime(value);
+    const asUtc = new Date(local.replace(' ', 'T') + 'Z').getTime();
+    const offsetAt = (ms) => new Date(zonedDateTime(ms, timeZone).replace(' ', 'T') + 'Z').getTime() - ms;
+    // Offsets either side of any transition near this time
+    const before = offsetAt(asUtc - 24 * 60 * 60000);
+    const after = offsetAt(asUtc + 24 * 60 * 60000);
+    const matches = [asUtc - before, asUtc - after].filter(ms => zonedDateTime(ms, timeZone) === local);
+    const instant = matches.length ? Math.min(...matches) : asUtc - before;
+    return new Date(instant).toISOString();
+}
+
+// Weekday (0 = Sunday) of a calendar date 'YYYY-MM-DD', independent of the server's zone
+function dayOfWeekOf(dateString) {
+    return new Date(`${String(dateString).substring(0, 10)}T00:00:00Z`).getUTCDay();
+}
+
+// Store start_at/end_at, the UTC instants of appointments' wall-clock times in their salon's zone.
+// filter: { appointmentId } after a booking or move, { salonId } after the salon changes zone,
+// or nothing to fill rows that have no instants yet. runner is db or a transaction.
+async function syncAppointmentInstants(runner, filter = {}) {
+    let where = 'a.start_at IS NULL';
+    let params = [];
+    if (filter.appointmentId) {
+        where = 'a.id = $1';
+        params = [filter.appointmentId];
+    } else if (filter.salonId) {
+        where = 'a.salon_id = $1';
+        params = [filter.salonId];
+    }
+    const rows = await runner.query(`
+        SELECT a.id, a.start_time, a.end_time, s.timezone
+        FROM appointments a
+        JOIN salons s ON s.id = a.salon_id
+        WHERE ${where}
+    `, params);
+    for (const row of rows) {
+        if (!row.start_time || !row.end_time) continue;
+        const timeZone = isValidTimeZone(row.timezone) ? row.timezone : DEFAULT_SALON_TIMEZONE;
+        await runner.run('UPDATE appointments SET start_at = $1, end_at = $2 WHERE id = $3', [zonedTimeToUtc(row.start_time, timeZone), zonedTimeToUtc(row.end_time, timeZone), row.id]);
+    }
+}
+
+// Intervals during which the staff member is occupied by services performed in order from startMinutes
+// to endMinutes: the first service's prep buffer and the last one's cleanup buffer extend the booking,
+// and each service's processing gap is cut out so other work can fit in it. Services without
+// buffers or gaps give the booking interval itself. skills is the staff member's entry from
+// loadStaffSkills, whose duration overrides place each later service's gap.
+function serviceBusyBlocks(serviceConfigs, serviceIds, startMinutes, endMinutes, skills = null) {
+    const configs = (serviceIds || [])
+        .filter(id => serviceConfigs.has(parseInt(id)))
+        .map(id => {
+            const skill = skills ? skills.get(parseInt(id)) : null;
+            const config = serviceConfigs.get(parseInt(id));
+            return skill && skill.duration !== null ? { ...config, duration: skill.duration } : config;
+        });
+    if (configs.length === 0) return [{ startMinutes, endMinutes }];
+    const blocks = [];
+    let blockStart = startMinutes - configs[0].bufferBefore;
+    let serviceStart = startMinutes;
+    for (const config of configs) {
+        if (config.processingMinutes > 0) {
+            const gapStart = Math.min(serviceStart + config.processingOffset, endMinutes);
+            const gapEnd = Math.min(gapStart + config.processingMinutes, endMinutes);
+            if (gapEnd > gapStart) {
+                if (gapStart > blockStart) blocks.push({ startMinutes: blockStart, endMinutes: gapStart });
+                blockStart = gapEnd;
+            }
+        }
+        serviceStart += config.duration;
+    }
+    const blockEnd = endMinutes + configs[configs.length - 1].bufferAfter;
+    if (blockEnd > blockStart) blocks.push({ startMinutes: blockStart, endMinutes: blockEnd });
+    return blocks;
+}
+
+function blocksOverlap(a, b) {
+    return a.some(x => b.some(y => x.startMinutes < y.endMinutes && x.endMinutes > y.startMinutes));
+}
+
+function blocksMinutes(blocks) {
+    return blocks.reduce((sum, block) => sum + (block.endMinutes - block.startMinutes), 0);
+}
+
+function staffCanPerform(skills, staffId, serviceIds) {
+    const offered = skills.get(parseInt(staffId));
+    if (!offered) return true;
+    return serviceIds.every(serviceId => offered.has(parseInt(serviceId)));
+}
+
+// The requested services' length when performed by this staff member: baseDuration adjusted
+// by the difference between each duration override and the salon's duration for that service
+function staffServiceDuration(ctx, staffId, baseDuration) {
+    const offered = ctx.serviceIds ? ctx.staffSkills.get(parseInt(staffId)) : null;
+    if (!offered) return baseDuration;
+    let duration = baseDuration;
+    for (const serviceId of ctx.serviceIds) {
+        const skill = offered.get(serviceId);
+        if (skill && skill.duration !== null) duration += skill.duration - (ctx.serviceDurations.get(serviceId) || 0);
+    }
+    return duration;
+}
+
+// Length of one service when performed by this staff member (context must be loaded with serviceIds)
+function staffLineDuration(ctx, staffId, serviceId) {
+    const offered = ctx.staffSkills.get(parseInt(staffId));
+    const skill = offered ? offered.get(parseInt(serviceId)) : null;
+    if (skill && skill.duration !== null) return skill.duration;
+    return ctx.serviceDurations.get(parseInt(serviceId)) || 0;
+}
+
+// Plan back-to-back segments for lines ([{ serviceId, staffId }], staffId 0 = anyone qualified)
+// starting at startMinutes. Each segment goes to a qualified, free staff member, least booked first,
+// backtracking when a later line cannot be placed. Returns [{ serviceId, staffId, staffName,
+// startMinutes, endMinutes }] or null when no chain fits.
+function planServiceChain(ctx, lines, startMinutes, now = new Date()) {
+    const plan = [];
+    // Whether the rest of the chain fits depends only on the line and its start time, never on who
+    // took the earlier lines, so each (line, time) that failed once is not tried again
+    const failed = new Set();
+    const bookedMinutes = (staffId) => blocksMinutes(ctx.appointments
+        .filter(appt => appt.staffId === parseInt(staffId))
+        .flatMap(appt => appt.blocks));
+    const placeLine = (index, at) => {
+        if (index === lines.length) return true;
+        if (failed.has(`${index}:${at}`)) return false;
+        const line = lines[index];
+        // Qualification, buffers and processing gaps are per line here, not for the whole set of services
+        const lineCtx = { ...ctx, serviceIds: [parseInt(line.serviceId)] };
+        const requested = parseInt(line.staffId) || 0;
+        const candidates = ctx.staff
+            .filter(member => (!requested || parseInt(member.id) === requested) && staffCanPerform(ctx.staffSkills, member.id, [line.serviceId]))
+            .sort((a, b) => bookedMinutes(a.id) - bookedMinutes(b.id));
+        for (const member of candidates) {
+            const duration = staffLineDuration(ctx, member.id, line.serviceId);
+            if (duration <= 0 || !checkSlotInDay(lineCtx, member.id, at, at + duration, now).valid) continue;
+            plan.push({ serviceId: parseInt(line.serviceId), staffId: parseInt(member.id), staffName: member.name, startMinutes: at, endMinutes: at + duration });
+            if (placeLine(index + 1, at + duration)) return true;
+            plan.pop();
+        }
+        failed.add(`${index}:${at}`);
+        return false;
+    };
+    return placeLine(0, startMinutes) ? plan : null;
+}
+
+// Working windows ({ startMinutes, endMinutes }) for one staff member on the context's day
+function staffWorkingWindows(ctx, staffId) {
+    const staffIdNum = parseInt(staffId) || 0;
+    if (ctx.staffDaysOff.has(staffIdNum)) return [];
+    if (ctx.staffShifts.has(staffIdNum)) return ctx.staffShifts.get(staffIdNum);
+    return [{ startMinutes: ctx.openMinutes, endMinutes: ctx.closeMinutes }];
+}
+
+// Check one candidate interval for a staff member (0 = "Any Staff") against a loaded day context.
+// Against other bookings only the staff-busy blocks count, so buffers and processing gaps of both
+// the candidate's services (ctx.serviceIds) and the existing appointments are respected.
+function checkSlotInDay(ctx, staffId, startMinutes, endMinutes, now = new Date()) {
+    const staffIdNum = parseInt(staffId) || 0;
+    const overlaps = (from, to) => startMinutes < to && endMinutes > from;
+    const busyBlocks = serviceBusyBlocks(ctx.serviceConfigs, ctx.serviceIds, startMinutes, endMinutes, ctx.staffSkills.get(staffIdNum));
+    // Prep and cleanup buffers keep the staff member busy, so they must fall within working hours too
+    const busyStart = Math.min(startMinutes, ...busyBlocks.map(block => block.startMinutes));
+    const busyEnd = Math.max(endMinutes, ...busyBlocks.map(block => block.endMinutes));
+
+    // Check date-range closures (holidays); seasonal hours can open a normally closed weekday
+    if (ctx.calendarDay && ctx.calendarDay.closed) {
+        return { valid: false, reason: 'closed', message: `الصالون مغلق في هذا اليوم (${ctx.calendarDay.reason}).` };
+    }
+
+    // Check if salon is closed on this day
+    if (ctx.closedDays.includes(ctx.dayOfWeek) && !ctx.calendarDay) {
+        return { valid: false, reason: 'closed', message: 'الصالون مغلق في هذا اليوم.' };
+    }
+
+    // Check for complete day closures
+    if (ctx.modifications.some(mod => mod.closure_type === 'full_day' && !mod.staff_id)) {
+        return { valid: false, reason: 'closed', message: 'الصالون مغلق في هذا اليوم بسبب ظروف خاصة.' };
+    }
+
+    // Check the staff member offers the requested services
+    if (ctx.serviceIds) {
+        if (staffIdNum !== 0 && !staffCanPerform(ctx.staffSkills, staffIdNum, ctx.serviceIds)) {
+            return { valid: false, reason: 'staff_unqualified', message: 'الموظف المختار لا يقدم الخدمات المطلوبة.' };
+        }
+        if (staffIdNum === 0 && ctx.staff.length > 0 && !ctx.staff.some(member => staffCanPerform(ctx.staffSkills, member.id, ctx.serviceIds))) {
+            return { valid: false, reason: 'staff_unqualified', message: 'لا يوجد موظف يقدم الخدمات المطلوبة.' };
+        }
+    }
+
+    // Check if booking is within working hours: the staff member's own shifts, or the salon's
+    // hours for "Any Staff" when the salon has no staff (otherwise each member is checked below)
+    if (staffIdNum !== 0) {
+        const windows = staffWorkingWindows(ctx, staffIdNum);
+        if (windows.length === 0) {
+            return { valid: false, reason: 'staff_off', message: 'الموظف لا يعمل في هذا اليوم.' };
+        }
+        if (!windows.some(window => busyStart >= window.startMinutes && busyEnd <= window.endMinutes)) {
+            return { valid: false, reason: 'outside_hours', message: 'الموعد خارج ساعات عمل الموظف.' };
+        }
+    } else if (ctx.staff.length === 0 && (busyStart < ctx.openMinutes || busyEnd > ctx.closeMinutes)) {
+        return { valid: false, reason: 'outside_hours', message: 'الموعد خارج ساعات العمل.' };
+    }
+
+    // Check if booking is in the past (for today in the salon's zone)
+    const salonNow = zonedDateTime(now, ctx.timeZone);
+    if (ctx.dateString === salonNow.substring(0, 10)) {
+        const nowMinutes = timeToMinutes(salonNow.substring(11, 16));
+        const minStartMinutes = Math.ceil((nowMinutes + 30) / 30) * 30;
+        if (startMinutes < minStartMinutes) {
+            return { valid: false, reason: 'past', message: 'لا يمكن حجز موعد في الماضي.' };
+        }
+    }
+
+    // Check for blocked time periods (interval closures)
+    for (const mod of ctx.modifications) {
+        if (mod.closure_type === 'interval' && mod.start_time && mod.end_time) {
+            const modStaffId = mod.staff_id || 0;
+            const staffMatch = modStaffId === 0 || parseInt(modStaffId) === staffIdNum;
+            if (staffMatch && overlaps(timeToMinutes(mod.start_time), timeToMinutes(mod.end_time))) {
+                return { valid: false, reason: 'blocked', message: 'الوقت المحدد غير متاح بسبب ظروف خاصة.' };
+            }
+        }
+    }
+
+    // Check for break conflicts
+    for (const breakItem of ctx.breaks) {
+        const breakStaffId = breakItem.staff_id || 0;
+        const staffMatch = breakStaffId === 0 || parseInt(breakStaffId) === staffIdNum;
+        if (staffMatch && overlaps(timeToMinutes(breakItem.start_time), timeToMinutes(breakItem.end_time))) {
+            return { valid: false, reason: 'break', message: 'الوقت المحدد يتعارض مع فترة استراحة.' };
+        }
+    }
+
+    // Check for direct staff conflict
+    if (staffIdNum !== 0) {
+        if (ctx.appointments.some(appt => appt.staffId === staffIdNum && blocksOverlap(busyBlocks, appt.blocks))) {
+            return { valid: false, reason: 'staff_busy', message: 'الموظف غير متاح في هذا الوقت - يوجد موعد آخر.' };
+        }
+        return { valid: true, message: 'الموعد متاح للحجز.' };
+    }
+
+    // For "Any Staff" bookings (staffId = 0), check capacity
+    const genericOverlapCount = ctx.appointments.filter(appt => appt.staffId === 0 && blocksOverlap(busyBlocks, appt.blocks)).length;
+    if (ctx.staff.length === 0) {
+        // No staff defined, check for generic conflicts only
+        if (genericOverlapCount > 0) {
+            return { valid: false, reason: 'no_capacity', message: 'الوقت المحدد غير متاح.' };
+        }
+    } else {
+        // Each member is checked for the time they take with their own duration overrides
+        const memberEnd = (member) => startMinutes + staffServiceDuration(ctx, member.id, endMinutes - startMinutes);
+        const qualified = ctx.serviceIds ? ctx.staff.filter(member => staffCanPerform(ctx.staffSkills, member.id, ctx.serviceIds)) : ctx.staff;
+        const onShift = qualified.filter(member =>
+            staffWorkingWindows(ctx, member.id).some(window => startMinutes >= window.startMinutes && memberEnd(member) <= window.endMinutes)
+        );
+        if (onShift.length === 0) {
+            return { valid: false, reason: 'outside_hours', message: 'الموعد خارج ساعات العمل.' };
+        }
+        const availableStaffCount = onShift.filter(member => checkSlotInDay(ctx, member.id, startMinutes, memberEnd(member), now).valid).length;
+        if (availableStaffCount <= genericOverlapCount) {
+            return { valid: false, reason: 'no_capacity', message: 'لا يوجد موظفين متاحين في هذا الوقت.' };
+        }
+    }
+
+    return { valid: true, message: 'الموعد متاح للحجز.' };
+}
+
+module.exports = {
+    timeToMinutes,
+    minutesToTime,
+    extractClockTime,
+    normalizeDateTime,
+    addMinutesToDateTime,
+    minutesBetween,
+    DEFAULT_SALON_TIMEZONE,
+    isValidTimeZone,
+    zonedDateTime,
+    zonedTimeToUtc,
+    dayOfWeekOf,
+    syncAppointmentInstants,
+    serviceBusyBlocks,
+    blocksOverlap,
+    blocksMinutes,
+    staffCanPerform,
+    staffServiceDuration,
+    staffLineDuration,
+    planServiceChain,
+    staffWorkingWindows,
+    checkSlotInDay
+};
@@ -17,6 +17,16 @@ const fs = require('fs'); // File system for saving uploads
 const sharp = require('sharp'); // Image optimization
 const { createClient } = require('@supabase/supabase-js'); // Supabase client
 const { aiAssistant } = require('./ai-chat-assistant'); // AI Chat Assistant Module
+const { getPaymentProvider } = require('./payment-providers'); // Customer deposit payments
+const {
+    timeToMinutes, minutesToTime, extractClockTime, normalizeDateTime, addMinutesToDateTime, minutesBetween,
+    DEFAULT_SALON_TIMEZONE, isValidTimeZone, zonedDateTime, zonedTimeToUtc, dayOfWeekOf, syncAppointmentInstants,
+    serviceBusyBlocks, blocksMinutes, staffCanPerform, staffServiceDuration,
+    planServiceChain, staffWorkingWindows, checkSlotInDay
+} = require('./scheduling'); // Booking time and slot helpers
+const { SALON_PERMISSIONS, DEFAULT_STAFF_PERMISSIONS, rolePermissions, createSalonAccess } = require('./salon-access'); // Salon route authorization
+const webauthn = require('./webauthn'); // Passkey sign-in for staff role sessions
+const { ROLE_AUTH_WINDOW_MINUTES, roleAuthDeviceKey, createRoleAuthThrottle } = require('./role-auth-throttle'); // PIN sign-in limits
 const jwt = require('jsonwebtoken'); // JWT issuance and verification
 const { z } = require('zod'); // Schema validation
 require('dotenv').config(); // Load environment variables (.env)
@@ -61,6 +71,70 @@ if (!JWT_SECRET) {
 const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
 const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 7);
 
+// Booking configuration
+const SLOT_HOLD_MINUTES = Number(process.env.SLOT_HOLD_MINUTES || 5);
+const WAITLIST_OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES || 15);
+const PAYMENT_CURRENCY = 'ILS';
+if (!process.env.PAYMENT_PROVIDER) {
+    console.warn('WARNING: No PAYMENT_PROVIDER set. Deposits and online package purchases cannot be paid until it is (PAYMENT_PROVIDER=mock for local development).');
+}
+
+// Platform defaults for salon booking policies (see salon_policies)
+const DEFAULT_SALON_POLICY = {
+    reschedule_enabled: true,
+    reschedule_min_notice_hours: 3,
+    max_reschedules: 2,
+    cancel_min_notice_hours: 3,
+    late_cancel_strike_weight: 1,
+    no_show_strike_weight: 1,
+    strike_decay_days: 0, // 0 = strikes never expire
+    strike_threshold: 3,
+    strike_action: 'block', // what happens at strike_threshold: 'block' | 'prepay' | 'none'
+    deposit_type: 'none', // deposit taken at booking: 'none' | 'fixed' (amount) | 'percent' (of the price)
+    deposit_value: 0,
+    deposit_hold_minutes: 15 // unpaid bookings are released after this long
+};
+const STRIKE_ACTIONS = ['block', 'prepay', 'none'];
+const DEPOSIT_TYPES = ['none', 'fixed', 'percent'];
+// How a customer settled a completed appointment at the salon
+const CUSTOMER_PAYMENT_METHODS = ['cash', 'card'];
+// Salon promotions: 'code' needs the customer to enter it, the others apply on their own
+const PROMOTION_KINDS = ['code', 'first_visit', 'off_peak'];
+
+// Appointment status state machine. 'No_Show' is a legacy spelling of 'Absent' kept for old rows.
+// 'PendingPayment' holds its slot until the booking's deposit is paid.
+const APPOINTMENT_STATUSES = ['PendingPayment', 'Scheduled', 'Completed', 'Cancelled', 'Absent', 'Rejected', 'No_Show'];
+// Statuses that no longer occupy their slot
+const APPOINTMENT_INACTIVE_STATUSES = ['Cancelled', 'Completed', 'Rejected', 'No_Show', 'Absent'];
+// from -> to -> { actors allowed, whether a reason is required }
+const APPOINTMENT_TRANSITIONS = {
+    PendingPayment: {
+        Scheduled: { actors: ['system'] },
+        Cancelled: { actors: ['customer', 'salon', 'admin', 'system'] }
+    },
+    Scheduled: {
+        Completed: { actors: ['salon', 'admin'] },
+        Absent: { actors: ['salon', 'admin'] },
+        Cancelled: { actors: ['customer', 'salon', 'admin', 'system'] },
+        Rejected: { actors: ['salon', 'admin'], reasonRequired: true }
+    },
+    // Corrections for disputed attendance
+    Completed: {
+        Absent: { actors: ['salon', 'admin'], reasonRequired: true }
+    },
+    Absent: {
+        Completed: { actors: ['salon', 'admin'], reasonRequired: true }
+    },
+    No_Show: {
+        Completed: { actors: ['salon', 'admin'], reasonRequired: true }
+    }
+};
+
+// Reminder configuration: default offsets (minutes before start) used when a salon has not configured its own
+const DEFAULT_REMINDER_OFFSETS = [1440, 60];
+const MAX_REMINDER_OFFSET_MINUTES = 7 * 24 * 60;
+const REMINDER_INTERVAL_MS = Number(process.env.REMINDER_INTERVAL_MS || 60 * 1000);
+
 // --- Core Data: Cities ---
 
 const CITIES = [
@@ -239,6 +313,32 @@ async function initializeDb() {
             FOREIGN KEY (service_id) REFERENCES services(id)
         )`);
 
+        // Staff-only time around and inside a service: prep before the customer arrives, cleanup after
+        // they leave, and a processing gap (e.g. colour developing) during which the staff member is free
+        const salonServiceExtraColumns = [
+            ['buffer_before', 'INTEGER DEFAULT 0'],
+            ['buffer_after', 'INTEGER DEFAULT 0'],
+            ['processing_offset', 'INTEGER DEFAULT 0'], // minutes into the service the gap starts
+            ['processing_minutes', 'INTEGER DEFAULT 0'],
+            ['deposit_type', 'TEXT'], // NULL = use the salon's deposit policy
+            ['deposit_value', 'DECIMAL(10,2)']
+        ];
+        try {
+            const ssColsRes = await db.query(`SELECT column_name FROM information_schema.columns WHERE table_name = $1 AND table_schema = $2`, ['salon_services', 'public']);
+            const ssCols = new Set((ssColsRes || []).map(r => r.column_name));
+            for (const [name, type] of salonServiceExtraColumns) {
+                if (!ssCols.has(name)) await db.run(`ALTER TABLE salon_services ADD COLUMN ${name} ${type}`);
+            }
+        } catch (e) {
+            try {
+                const ssPragma = await db.query(`PRAGMA table_info(salon_services)`);
+                const ssCols = new Set((ssPragma || []).map(r => r.name));
+                for (const [name, type] of salonServiceExtraColumns) {
+                    if (!ssCols.has(name)) await db.run(`ALTER TABLE salon_services ADD COLUMN ${name} ${type}`);
+                }
+            } catch (_) {}
+        }
+
         await db.run(`CREATE TABLE IF NOT EXISTS staff (
             id SERIAL PRIMARY KEY,
             salon_id INTEGER NOT NULL,
@@ -265,6 +365,35 @@ async function initializeDb() {
             FOREIGN KEY (staff_id) REFERENCES staff(id)
         )`);
 
+        // Which salon services each staff member performs, with optional per-staff price/duration.
+        // Staff with no rows have not been restricted and can perform every salon service.
+        await db.run(`CREATE TABLE IF NOT EXISTS staff_services (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER NOT NULL,
+            staff_id INTEGER NOT NULL,
+            service_id INTEGER NOT NULL,
+            price_override REAL,
+            duration_override INTEGER,
+            UNIQUE (staff_id, service_id),
+            FOREIGN KEY (salon_id) REFERENCES salons(id),
+            FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE CASCADE,
+            FOREIGN KEY (service_id) REFERENCES services(id)
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_staff_services_salon ON staff_services(salon_id)`);
+
+        // Weekly shift template per staff member; staff with no rows work the salon's opening hours
+        await db.run(`CREATE TABLE IF NOT EXISTS staff_shifts (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER NOT NULL,
+            staff_id INTEGER NOT NULL,
+            day_index INTEGER NOT NULL,
+            start_time TEXT NOT NULL,
+            end_time TEXT NOT NULL,
+            FOREIGN KEY (salon_id) REFERENCES salons(id),
+            FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_staff_shifts_salon_day ON staff_shifts(salon_id, day_index)`);
+
         await db.run(`CREATE TABLE IF NOT EXISTS appointments (
             id SERIAL PRIMARY KEY,
             salon_id INTEGER NOT NULL,
@@ -282,6 +411,101 @@ async function initializeDb() {
             FOREIGN KEY (service_id) REFERENCES services(id)
         )`);
 
+        // Audit history for appointments: creation, reschedules and every status transition
+        await db.run(`CREATE TABLE IF NOT EXISTS appointment_events (
+            id SERIAL PRIMARY KEY,
+            appointment_id INTEGER NOT NULL,
+            event_type TEXT NOT NULL, -- 'created' | 'status_changed' | 'rescheduled' | 'payment_recorded'
+            from_status TEXT,
+            to_status TEXT,
+            actor_type TEXT NOT NULL, -- 'customer' | 'salon' | 'admin' | 'system'
+            actor_id INTEGER,
+            reason TEXT,
+            details TEXT, -- JSON
+            created_at TEXT NOT NULL,
+            FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_appointment_events_appointment ON appointment_events(appointment_id, created_at)`);
+
+        // Walk-in / phone customers without an account. Each guest is backed by a users row
+        // (user_type 'guest', no login identifiers) so appointments keep a valid user_id.
+        await db.run(`CREATE TABLE IF NOT EXISTS guest_customers (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            phone TEXT NOT NULL, -- normalized with normalizePhoneNumber
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(salon_id, phone),
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+
+        // Standing bookings: each occurrence is a normal appointment linked to its series
+        await db.run(`CREATE TABLE IF NOT EXISTS appointment_series (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            staff_id INTEGER,
+            service_id INTEGER NOT NULL,
+            frequency TEXT NOT NULL, -- 'weekly' | 'biweekly'
+            interval_weeks INTEGER NOT NULL DEFAULT 1,
+            start_time TEXT NOT NULL,
+            end_time TEXT NOT NULL,
+            until_date TEXT,
+            occurrence_count INTEGER,
+            price DECIMAL(10,2) NOT NULL,
+            status TEXT NOT NULL DEFAULT 'active', -- 'active' | 'cancelled'
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+
+        // IANA zone the salon's wall-clock times (schedules, appointment start/end) are in
+        try {
+            const salonColsRes = await db.query(`SELECT column_name FROM information_schema.columns WHERE table_name = $1 AND table_schema = $2`, ['salons', 'public']);
+            const salonCols = new Set((salonColsRes || []).map(r => r.column_name));
+            if (!salonCols.has('timezone')) await db.run(`ALTER TABLE salons ADD COLUMN timezone TEXT DEFAULT 'Asia/Jerusalem'`);
+        } catch (e) {
+            try {
+                const salonPragma = await db.query(`PRAGMA table_info(salons)`);
+                const salonCols = new Set((salonPragma || []).map(r => r.name));
+                if (!salonCols.has('timezone')) await db.run(`ALTER TABLE salons ADD COLUMN timezone TEXT DEFAULT 'Asia/Jerusalem'`);
+            } catch (_) {}
+        }
+
+        // Columns added to appointments after the initial schema
+        const appointmentExtraColumns = [
+            ['series_id', 'INTEGER'],
+            ['reschedule_count', 'INTEGER DEFAULT 0'],
+            ['booking_source', "TEXT DEFAULT 'online'"], // 'online' | 'salon'
+            ['booked_by_staff_id', 'INTEGER'],
+            // UTC instants (ISO 8601) of start_time/end_time, which are wall-clock times in the salon's zone
+            ['start_at', 'TEXT'],
+            ['end_at', 'TEXT'],
+            // price is what the customer pays; original_price is before the promotion, if any
+            ['original_price', 'DECIMAL(10,2)'],
+            ['discount_amount', 'DECIMAL(10,2) DEFAULT 0'],
+            ['promotion_id', 'INTEGER']
+        ];
+        try {
+            const apptColsRes = await db.query(`SELECT column_name FROM information_schema.columns WHERE table_name = $1 AND table_schema = $2`, ['appointments', 'public']);
+            const apptCols = new Set((apptColsRes || []).map(r => r.column_name));
+            for (const [name, type] of appointmentExtraColumns) {
+                if (!apptCols.has(name)) await db.run(`ALTER TABLE appointments ADD COLUMN ${name} ${type}`);
+            }
+        } catch (e) {
+            try {
+                const apptPragma = await db.query(`PRAGMA table_info(appointments)`);
+                const apptCols = new Set((apptPragma || []).map(r => r.name));
+                for (const [name, type] of appointmentExtraColumns) {
+                    if (!apptCols.has(name)) await db.run(`ALTER TABLE appointments ADD COLUMN ${name} ${type}`);
+                }
+            } catch (_) {}
+        }
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_appointments_series_id ON appointments(series_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_appointments_start_at ON appointments(start_at)`);
+
         await db.run(`CREATE TABLE IF NOT EXISTS appointment_services (
             id SERIAL PRIMARY KEY,
             appointment_id INTEGER NOT NULL,
@@ -292,6 +516,31 @@ async function initializeDb() {
             UNIQUE(appointment_id, service_id)
         )`); 
 
+        // Per-line staff and times for bookings split across several specialists back to back;
+        // left empty for ordinary bookings, which use the appointment's own staff and times.
+        // price and duration are the salon's terms when booked, kept as they were after the price list changes.
+        const appointmentServiceExtraColumns = [
+            ['staff_id', 'INTEGER'],
+            ['start_time', 'TEXT'],
+            ['end_time', 'TEXT'],
+            ['duration', 'INTEGER']
+        ];
+        try {
+            const apsColsRes = await db.query(`SELECT column_name FROM information_schema.columns WHERE table_name = $1 AND table_schema = $2`, ['appointment_services', 'public']);
+            const apsCols = new Set((apsColsRes || []).map(r => r.column_name));
+            for (const [name, type] of appointmentServiceExtraColumns) {
+                if (!apsCols.has(name)) await db.run(`ALTER TABLE appointment_services ADD COLUMN ${name} ${type}`);
+            }
+        } catch (e) {
+            try {
+                const apsPragma = await db.query(`PRAGMA table_info(appointment_services)`);
+                const apsCols = new Set((apsPragma || []).map(r => r.name));
+                for (const [name, type] of appointmentServiceExtraColumns) {
+                    if (!apsCols.has(name)) await db.run(`ALTER TABLE appointment_services ADD COLUMN ${name} ${type}`);
+                }
+            } catch (_) {}
+        }
+
         // Storage: optimized images linked to salons
         await db.run(`CREATE TABLE IF NOT EXISTS salon_images (
             id SERIAL PRIMARY KEY,
@@ -331,6 +580,116 @@ async function initializeDb() {
             FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE
         )`);
         
+        // Per-salon booking policy; missing rows or NULL columns fall back to DEFAULT_SALON_POLICY
+        await db.run(`CREATE TABLE IF NOT EXISTS salon_policies (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER NOT NULL UNIQUE,
+            reschedule_enabled BOOLEAN,
+            reschedule_min_notice_hours INTEGER,
+            max_reschedules INTEGER,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE
+        )`);
+
+        // Cancellation / no-show policy columns added after salon_policies was introduced
+        const policyExtraColumns = [
+            ['cancel_min_notice_hours', 'INTEGER'],
+            ['late_cancel_strike_weight', 'INTEGER'],
+            ['no_show_strike_weight', 'INTEGER'],
+            ['strike_decay_days', 'INTEGER'],
+            ['strike_threshold', 'INTEGER'],
+            ['strike_action', 'TEXT'],
+            ['deposit_type', 'TEXT'],
+            ['deposit_value', 'DECIMAL(10,2)'],
+            ['deposit_hold_minutes', 'INTEGER']
+        ];
+        try {
+            const policyColsRes = await db.query(`SELECT column_name FROM information_schema.columns WHERE table_name = $1 AND table_schema = $2`, ['salon_policies', 'public']);
+            const policyCols = new Set((policyColsRes || []).map(r => r.column_name));
+            for (const [name, type] of policyExtraColumns) {
+                if (!policyCols.has(name)) await db.run(`ALTER TABLE salon_policies ADD COLUMN ${name} ${type}`);
+            }
+        } catch (e) {
+            try {
+                const policyPragma = await db.query(`PRAGMA table_info(salon_policies)`);
+                const policyCols = new Set((policyPragma || []).map(r => r.name));
+                for (const [name, type] of policyExtraColumns) {
+                    if (!policyCols.has(name)) await db.run(`ALTER TABLE salon_policies ADD COLUMN ${name} ${type}`);
+                }
+            } catch (_) {}
+        }
+
+        // Strike history; users.strikes stays the lifetime total, decay is evaluated from these rows
+        await db.run(`CREATE TABLE IF NOT EXISTS user_strikes (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            salon_id INTEGER,
+            appointment_id INTEGER,
+            reason TEXT NOT NULL, -- 'late_cancel' | 'no_show'
+            weight INTEGER NOT NULL DEFAULT 1,
+            created_at TEXT NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_user_strikes_user ON user_strikes(user_id, created_at)`);
+
+        // Per-salon reminder configuration; offsets_minutes is a JSON array like [1440, 60]
+        await db.run(`CREATE TABLE IF NOT EXISTS salon_reminder_settings (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER NOT NULL UNIQUE,
+            offsets_minutes TEXT NOT NULL DEFAULT '[1440,60]',
+            email_enabled BOOLEAN DEFAULT FALSE,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE
+        )`);
+        
+        // Short-lived slot leases taken while a customer confirms a booking
+        await db.run(`CREATE TABLE IF NOT EXISTS slot_holds (
+            id SERIAL PRIMARY KEY,
+            hold_token VARCHAR(64) NOT NULL UNIQUE,
+            salon_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            staff_id INTEGER,
+            start_time TEXT NOT NULL,
+            end_time TEXT NOT NULL,
+            expires_at TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_slot_holds_salon_expires ON slot_holds(salon_id, expires_at)`);
+        
+        // Waitlist for fully booked days; an offer reserves a freed slot through a slot hold
+        await db.run(`CREATE TABLE IF NOT EXISTS waitlist_entries (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            staff_id INTEGER,
+            date TEXT NOT NULL,
+            service_ids TEXT NOT NULL, -- JSON array of service ids
+            duration INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'waiting', -- 'waiting' | 'offered' | 'booked' | 'expired' | 'cancelled'
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_waitlist_entries_salon_date ON waitlist_entries(salon_id, date, status)`);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS waitlist_offers (
+            id SERIAL PRIMARY KEY,
+            entry_id INTEGER NOT NULL,
+            salon_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            staff_id INTEGER,
+            start_time TEXT NOT NULL,
+            end_time TEXT NOT NULL,
+            hold_token VARCHAR(64) NOT NULL,
+            expires_at TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'accepted' | 'declined' | 'expired'
+            appointment_id INTEGER,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (entry_id) REFERENCES waitlist_entries(id) ON DELETE CASCADE
+        )`);
+        
         await db.run(`CREATE TABLE IF NOT EXISTS favorites (
             user_id INTEGER NOT NULL,
             salon_id INTEGER NOT NULL,
@@ -356,6 +715,42 @@ async function initializeDb() {
             FOREIGN KEY (staff_id) REFERENCES staff(id)
         )`);
 
+        // Date ranges that close a salon ('closed') or replace its opening hours ('hours'),
+        // e.g. a three-day Eid closure or longer Ramadan evenings. Dates are inclusive YYYY-MM-DD.
+        await db.run(`CREATE TABLE IF NOT EXISTS salon_calendar_periods (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER NOT NULL,
+            start_date TEXT NOT NULL,
+            end_date TEXT NOT NULL,
+            period_type TEXT NOT NULL, -- 'closed' | 'hours'
+            opening_time TEXT,
+            closing_time TEXT,
+            reason TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_salon_calendar_periods_range ON salon_calendar_periods(salon_id, start_date, end_date)`);
+
+        // Platform-wide holiday calendar maintained by admins; applies only to salons that opted in
+        await db.run(`CREATE TABLE IF NOT EXISTS platform_holidays (
+            id SERIAL PRIMARY KEY,
+            start_date TEXT NOT NULL,
+            end_date TEXT NOT NULL,
+            period_type TEXT NOT NULL, -- 'closed' | 'hours'
+            opening_time TEXT,
+            closing_time TEXT,
+            reason TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await db.run(`CREATE TABLE IF NOT EXISTS salon_holiday_optins (
+            salon_id INTEGER NOT NULL,
+            holiday_id INTEGER NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (salon_id, holiday_id),
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE,
+            FOREIGN KEY (holiday_id) REFERENCES platform_holidays(id) ON DELETE CASCADE
+        )`);
+
         // Create payments table for tracking salon payments and offers
         await db.run(`CREATE TABLE IF NOT EXISTS payments (
             id SERIAL PRIMARY KEY,
@@ -375,6 +770,138 @@ async function initializeDb() {
             FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE
         )`);
 
+        // Salon-managed discounts. Dates are inclusive YYYY-MM-DD in the salon's zone; off-peak
+        // promotions apply to bookings starting inside [off_peak_start, off_peak_end) on off_peak_days.
+        await db.run(`CREATE TABLE IF NOT EXISTS salon_promotions (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            kind TEXT NOT NULL, -- PROMOTION_KINDS
+            code TEXT, -- upper-case, only for kind 'code'
+            discount_type TEXT NOT NULL, -- 'percent' | 'fixed'
+            discount_value DECIMAL(10,2) NOT NULL,
+            starts_on TEXT,
+            ends_on TEXT,
+            off_peak_start TEXT,
+            off_peak_end TEXT,
+            off_peak_days TEXT, -- JSON array of weekday indexes; NULL = every day
+            max_uses_per_user INTEGER,
+            max_uses_total INTEGER,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_salon_promotions_salon ON salon_promotions(salon_id, is_active)`);
+        await db.run(`CREATE TABLE IF NOT EXISTS promotion_redemptions (
+            id SERIAL PRIMARY KEY,
+            promotion_id INTEGER NOT NULL,
+            appointment_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            discount DECIMAL(10,2) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (promotion_id) REFERENCES salon_promotions(id) ON DELETE CASCADE,
+            FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_promotion ON promotion_redemptions(promotion_id, user_id)`);
+
+        // Prepaid packages: a salon sells N sessions of some of its services for a price, valid for
+        // validity_days from purchase. A customer's package copies the terms it was sold on.
+        await db.run(`CREATE TABLE IF NOT EXISTS salon_packages (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            service_ids TEXT NOT NULL, -- JSON array; each session is one of these services
+            sessions INTEGER NOT NULL,
+            price DECIMAL(10,2) NOT NULL,
+            validity_days INTEGER NOT NULL,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_salon_packages_salon ON salon_packages(salon_id, is_active)`);
+        await db.run(`CREATE TABLE IF NOT EXISTS customer_packages (
+            id SERIAL PRIMARY KEY,
+            package_id INTEGER NOT NULL,
+            salon_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            service_ids TEXT NOT NULL,
+            sessions_total INTEGER NOT NULL,
+            price DECIMAL(10,2) NOT NULL,
+            validity_days INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending', -- 'pending' (awaiting online payment) | 'active' | 'cancelled'
+            source TEXT NOT NULL DEFAULT 'online', -- 'online' | 'salon' (sold at the counter)
+            method TEXT, -- CUSTOMER_PAYMENT_METHODS for counter sales
+            provider TEXT,
+            provider_ref TEXT,
+            purchased_at TEXT,
+            expires_on TEXT, -- last day sessions can be booked for, in the salon's zone
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (package_id) REFERENCES salon_packages(id) ON DELETE CASCADE,
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_customer_packages_user ON customer_packages(user_id, salon_id)`);
+        // One row per session used; a cancelled or rejected booking gives its sessions back
+        await db.run(`CREATE TABLE IF NOT EXISTS package_redemptions (
+            id SERIAL PRIMARY KEY,
+            customer_package_id INTEGER NOT NULL,
+            appointment_id INTEGER NOT NULL,
+            service_id INTEGER NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (customer_package_id) REFERENCES customer_packages(id) ON DELETE CASCADE,
+            FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_package_redemptions_package ON package_redemptions(customer_package_id)`);
+
+        // Money paid by customers towards their appointments, e.g. booking deposits.
+        // (payments holds the salons' own subscription fees to the platform.)
+        await db.run(`CREATE TABLE IF NOT EXISTS customer_payments (
+            id SERIAL PRIMARY KEY,
+            appointment_id INTEGER NOT NULL,
+            salon_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            kind TEXT NOT NULL DEFAULT 'deposit',
+            amount DECIMAL(10,2) NOT NULL,
+            currency VARCHAR(3) DEFAULT 'ILS',
+            status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'paid' | 'expired' | 'cancelled' | 'refund_due'
+            provider TEXT NOT NULL,
+            provider_ref TEXT,
+            expires_at TEXT,
+            paid_at TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_customer_payments_appointment ON customer_payments(appointment_id)`);
+
+        // Settlement details recorded by the salon when an appointment is completed (kind 'settlement');
+        // amount is what was paid for the services at the salon, on top of any paid deposit
+        const customerPaymentExtraColumns = [
+            ['method', 'TEXT'], // CUSTOMER_PAYMENT_METHODS
+            ['tip', 'DECIMAL(10,2) DEFAULT 0'],
+            ['discount', 'DECIMAL(10,2) DEFAULT 0'],
+            ['note', 'TEXT'],
+            ['receipt_number', 'TEXT']
+        ];
+        try {
+            const cpColsRes = await db.query(`SELECT column_name FROM information_schema.columns WHERE table_name = $1 AND table_schema = $2`, ['customer_payments', 'public']);
+            const cpCols = new Set((cpColsRes || []).map(r => r.column_name));
+            for (const [name, type] of customerPaymentExtraColumns) {
+                if (!cpCols.has(name)) await db.run(`ALTER TABLE customer_payments ADD COLUMN ${name} ${type}`);
+            }
+        } catch (e) {
+            try {
+                const cpPragma = await db.query(`PRAGMA table_info(customer_payments)`);
+                const cpCols = new Set((cpPragma || []).map(r => r.name));
+                for (const [name, type] of customerPaymentExtraColumns) {
+                    if (!cpCols.has(name)) await db.run(`ALTER TABLE customer_payments ADD COLUMN ${name} ${type}`);
+                }
+            } catch (_) {}
+        }
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_customer_payments_status_expires ON customer_payments(status, expires_at)`);
+
         // Create indexes for payments table
         await db.run(`CREATE INDEX IF NOT EXISTS idx_payments_salon_id ON payments(salon_id)`);
         await db.run(`CREATE INDEX IF NOT EXISTS idx_payments_status ON payments(payment_status)`);
@@ -453,38 +980,164 @@ async function initializeDb() {
             FOREIGN KEY (staff_role_id) REFERENCES staff_roles(id) ON DELETE CASCADE
         )`);
 
-        // Create indexes for role system tables
-        await db.run(`CREATE INDEX IF NOT EXISTS idx_salon_roles_salon_id ON salon_roles(salon_id)`);
-        await db.run(`CREATE INDEX IF NOT EXISTS idx_staff_roles_salon_id ON staff_roles(salon_id)`);
-        await db.run(`CREATE INDEX IF NOT EXISTS idx_staff_roles_staff_id ON staff_roles(staff_id)`);
-        await db.run(`CREATE INDEX IF NOT EXISTS idx_role_sessions_token ON role_sessions(session_token)`);
-        await db.run(`CREATE INDEX IF NOT EXISTS idx_role_sessions_expires ON role_sessions(expires_at)`);
-
-        // Create AI chat messages table for analytics and conversation history
-        await db.run(`CREATE TABLE IF NOT EXISTS ai_chat_messages (
+        // Roles a salon defines from the permission set (SALON_PERMISSIONS); permissions is a JSON array
+        await db.run(`CREATE TABLE IF NOT EXISTS salon_custom_roles (
             id SERIAL PRIMARY KEY,
-            user_id VARCHAR(50),
-            user_message TEXT NOT NULL,
-            ai_response TEXT NOT NULL,
-            language_detected VARCHAR(10) DEFAULT 'auto',
-            session_id TEXT,
-            response_time_ms INTEGER,
+            salon_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            permissions TEXT NOT NULL,
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE,
+            UNIQUE(salon_id, name)
         )`);
 
-        // Create AI Analytics Tables (Optimized for Performance)
-        await db.run(`CREATE TABLE IF NOT EXISTS ai_token_usage (
-            id SERIAL PRIMARY KEY,
-            user_id VARCHAR(50),
-            model VARCHAR(20) DEFAULT 'deepseek-chat',
-            input_tokens SMALLINT DEFAULT 0,
-            output_tokens SMALLINT DEFAULT 0,
-            total_tokens SMALLINT DEFAULT 0,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )`);
+        // Staff members holding a custom role take its permissions instead of the staff defaults
+        const staffRoleExtraColumns = [
+            ['custom_role_id', 'INTEGER']
+        ];
+        try {
+            const srColsRes = await db.query(`SELECT column_name FROM information_schema.columns WHERE table_name = $1 AND table_schema = $2`, ['staff_roles', 'public']);
+            const srCols = new Set((srColsRes || []).map(r => r.column_name));
+            for (const [name, type] of staffRoleExtraColumns) {
+                if (!srCols.has(name)) await db.run(`ALTER TABLE staff_roles ADD COLUMN ${name} ${type}`);
+            }
+        } catch (e) {
+            try {
+                const srPragma = await db.query(`PRAGMA table_info(staff_roles)`);
+                const srCols = new Set((srPragma || []).map(r => r.name));
+                for (const [name, type] of staffRoleExtraColumns) {
+                    if (!srCols.has(name)) await db.run(`ALTER TABLE staff_roles ADD COLUMN ${name} ${type}`);
+                }
+            } catch (_) {}
+        }
 
-        await db.run(`CREATE TABLE IF NOT EXISTS conversation_analytics (
+        // Clocked shifts of staff members, opened and closed through their PIN role sessions.
+        // clock_in/clock_out are UTC ISO strings; role_session_id has no foreign key as sessions are purged.
+        await db.run(`CREATE TABLE IF NOT EXISTS staff_time_entries (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER NOT NULL,
+            staff_id INTEGER NOT NULL,
+            staff_role_id INTEGER,
+            role_session_id INTEGER,
+            clock_in TEXT NOT NULL,
+            clock_out TEXT,
+            end_reason VARCHAR(20),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE,
+            FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_staff_time_entries_salon ON staff_time_entries(salon_id, clock_in)`);
+
+        // Passkeys (WebAuthn credentials) that unlock a staff role session instead of the PIN.
+        // credential_id is base64url, public_key a JWK; staff_roles.biometric_enabled mirrors whether any exist.
+        await db.run(`CREATE TABLE IF NOT EXISTS staff_role_passkeys (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER NOT NULL,
+            staff_role_id INTEGER NOT NULL,
+            credential_id TEXT NOT NULL UNIQUE,
+            public_key TEXT NOT NULL,
+            sign_count BIGINT DEFAULT 0,
+            transports TEXT,
+            device_name VARCHAR(60),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_used_at TIMESTAMP,
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE,
+            FOREIGN KEY (staff_role_id) REFERENCES staff_roles(id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_staff_role_passkeys_role ON staff_role_passkeys(staff_role_id)`);
+
+        // PIN sign-in failure counters per salon (device_key '') and per device; see beginRoleAuthAttempt.
+        // Times are UTC ISO strings.
+        await db.run(`CREATE TABLE IF NOT EXISTS role_auth_throttle (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER NOT NULL,
+            device_key VARCHAR(100) NOT NULL,
+            failures INTEGER DEFAULT 0,
+            last_failure_at TEXT,
+            next_attempt_at TEXT,
+            locked_until TEXT,
+            UNIQUE(salon_id, device_key),
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE
+        )`);
+
+        // Every role sign-in attempt, with the PIN or a passkey, for the salon admin to review
+        await db.run(`CREATE TABLE IF NOT EXISTS role_auth_attempts (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER NOT NULL,
+            device_key VARCHAR(100),
+            ip VARCHAR(64),
+            method VARCHAR(20) NOT NULL,
+            outcome VARCHAR(20) NOT NULL,
+            staff_role_id INTEGER,
+            staff_id INTEGER,
+            reason VARCHAR(60),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_role_auth_attempts_salon ON role_auth_attempts(salon_id, created_at)`);
+
+        // Single-use challenges of passkey registrations ('register', tied to a role) and sign-ins ('login')
+        await db.run(`CREATE TABLE IF NOT EXISTS webauthn_challenges (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER NOT NULL,
+            staff_role_id INTEGER,
+            purpose VARCHAR(20) NOT NULL,
+            challenge VARCHAR(100) NOT NULL UNIQUE,
+            expires_at TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (salon_id) REFERENCES salons(id) ON DELETE CASCADE
+        )`);
+
+        // Create indexes for role system tables
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_salon_roles_salon_id ON salon_roles(salon_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_staff_roles_salon_id ON staff_roles(salon_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_staff_roles_staff_id ON staff_roles(staff_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_role_sessions_token ON role_sessions(session_token)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_role_sessions_expires ON role_sessions(expires_at)`);
+
+        // Trail of writes to salon data: who made them, and the attempts that were refused.
+        // No foreign key on salon_id so attempts against unknown salons are kept too.
+        await db.run(`CREATE TABLE IF NOT EXISTS salon_audit_log (
+            id SERIAL PRIMARY KEY,
+            salon_id INTEGER,
+            user_id INTEGER,
+            staff_role_id INTEGER,
+            staff_id INTEGER,
+            action TEXT NOT NULL,
+            path TEXT,
+            outcome VARCHAR(10) NOT NULL,
+            reason TEXT,
+            ip TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_salon_audit_log_salon ON salon_audit_log(salon_id, created_at)`);
+
+        // Create AI chat messages table for analytics and conversation history
+        await db.run(`CREATE TABLE IF NOT EXISTS ai_chat_messages (
+            id SERIAL PRIMARY KEY,
+            user_id VARCHAR(50),
+            user_message TEXT NOT NULL,
+            ai_response TEXT NOT NULL,
+            language_detected VARCHAR(10) DEFAULT 'auto',
+            session_id TEXT,
+            response_time_ms INTEGER,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+        )`);
+
+        // Create AI Analytics Tables (Optimized for Performance)
+        await db.run(`CREATE TABLE IF NOT EXISTS ai_token_usage (
+            id SERIAL PRIMARY KEY,
+            user_id VARCHAR(50),
+            model VARCHAR(20) DEFAULT 'deepseek-chat',
+            input_tokens SMALLINT DEFAULT 0,
+            output_tokens SMALLINT DEFAULT 0,
+            total_tokens SMALLINT DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS conversation_analytics (
             id SERIAL PRIMARY KEY,
             user_id VARCHAR(50),
             message_length SMALLINT,
@@ -782,6 +1435,7 @@ async function alignSchema() {
                         image_url TEXT,
                         created_at TEXT DEFAULT CURRENT_TIMESTAMP,
                         status TEXT DEFAULT 'pending',
+                        timezone TEXT DEFAULT 'Asia/Jerusalem',
                         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
                     )`);
                     console.log('AlignSchema: SQLite salons schema recreated successfully.');
@@ -1333,7 +1987,14 @@ const upload = multer({
 const registerReviewsRoutes = require('./routes/reviews');
 const registerAdminRoutes = require('./routes/admin');
 const registerAppointmentsRoutes = require('./routes/appointments');
+const registerRecurringRoutes = require('./routes/recurring');
+const registerWaitlistRoutes = require('./routes/waitlist');
 const registerSalonRoutes = require('./routes/salon');
+const registerCalendarRoutes = require('./routes/calendar');
+const registerPaymentsRoutes = require('./routes/payments');
+const registerPromotionsRoutes = require('./routes/promotions');
+const registerPackagesRoutes = require('./routes/packages');
+const registerTimesheetsRoutes = require('./routes/timesheets');
 const registerEmployeeRoutes = require('./routes/employee');
 const registerDiscoveryRoutes = require('./routes/discovery');
 const registerPushRoutes = require('./routes/push');
@@ -1343,7 +2004,6 @@ const registerSubscriptionsRoutes = require('./routes/subscriptions');
 registerReviewsRoutes(app, { dbAll, dbGet, dbRun, requireAuth });
 registerAdminRoutes(app, { db, requireAdmin, requireDebugEnabled });
 registerSubscriptionsRoutes(app, { db, requireAdmin });
-registerSalonRoutes(app, { db, dbAll, dbGet, dbRun, requireSalonAdminRole, addSalonClient, removeSalonClient, sendSalonEvent, bcrypt, crypto });
 registerEmployeeRoutes(app, { db, requireRole, sendPushToAdmins });
 registerPushRoutes(app, { dbAll, dbGet, dbRun, webPush, sendPushToTargets, VAPID_PUBLIC_KEY });
 registerAiRoutes(app, { aiAssistant, dbGet });
@@ -1414,6 +2074,12 @@ function requireRole(role) {
     });
 }
 
+// Salon permissions and the guard for salon routes (see salon-access.js)
+const { requireSalonAccess, salonIdFrom } = createSalonAccess({ dbGet, dbRun, requireAuth });
+
+// PIN sign-in limits for staff role sessions (see role-auth-throttle.js)
+const { beginRoleAuthAttempt, finishRoleAuthAttempt, logRoleAuthAttempt } = createRoleAuthThrottle({ db, sendPushToTargets });
+
 // ===== Zod Schemas =====
 const loginSchema = z.object({
     identifier: z.string().trim().min(3).optional(),
@@ -1433,13 +2099,174 @@ const bookingSchema = z.object({
     user_id: z.any().optional(), // ignored; sourced from JWT
     staff_id: z.preprocess(toNumber, z.number().int().nonnegative()).optional(),
     service_id: z.preprocess(toNumber, z.number().int().positive()).optional(),
+    // price, the per-service prices and end_time are what the customer was shown; the server works
+    // them out itself and only uses these to reject a booking made on other terms
+    services: z.array(z.object({
+        id: z.preprocess(toNumber, z.number().int().positive()),
+        price: z.preprocess(toNumber, z.number().nonnegative()).optional()
+    })).optional(),
+    start_time: z.string(),
+    end_time: z.string().optional(),
+    price: z.preprocess(toNumber, z.number()).optional(),
+    hold_token: z.string().trim().min(1).optional(),
+    promo_code: z.string().trim().max(30).optional(),
+    customer_package_id: z.preprocess(toNumber, z.number().int().positive()).optional()
+});
+
+// Most services one visit can chain back to back
+const MAX_CHAIN_SERVICES = 10;
+
+// One visit with services performed back to back, possibly by different staff (staff_id 0 = anyone)
+const chainBookingSchema = z.object({
+    salon_id: z.preprocess(toNumber, z.number().int().positive()),
+    start_time: z.string(),
     services: z.array(z.object({
         id: z.preprocess(toNumber, z.number().int().positive()),
-        price: z.preprocess(toNumber, z.number().nonnegative())
+        staff_id: z.preprocess(toNumber, z.number().int().nonnegative()).optional()
+    })).min(2).max(MAX_CHAIN_SERVICES),
+    promo_code: z.string().trim().max(30).optional(),
+    customer_package_id: z.preprocess(toNumber, z.number().int().positive()).optional()
+});
+
+const slotHoldSchema = z.object({
+    salon_id: z.preprocess(toNumber, z.number().int().positive()),
+    staff_id: z.preprocess(toNumber, z.number().int().nonnegative()).optional(),
+    service_id: z.preprocess(toNumber, z.number().int().positive()).optional(),
+    services: z.array(z.object({
+        id: z.preprocess(toNumber, z.number().int().positive())
     })).optional(),
     start_time: z.string(),
-    end_time: z.string(),
-    price: z.preprocess(toNumber, z.number())
+    end_time: z.string()
+});
+
+const recurringBookingSchema = bookingSchema.omit({ hold_token: true }).extend({
+    recurrence: z.object({
+        frequency: z.enum(['weekly', 'biweekly']),
+        count: z.preprocess(toNumber, z.number().int().min(2).max(52)).optional(),
+        until: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional()
+    }).refine(r => r.count !== undefined || r.until !== undefined, { message: 'يجب تحديد عدد المرات أو تاريخ الانتهاء.' })
+});
+
+const seriesChangeSchema = z.object({
+    appointment_id: z.preprocess(toNumber, z.number().int().positive()),
+    scope: z.enum(['this', 'following']),
+    start_time: z.string().optional(),
+    staff_id: z.preprocess(toNumber, z.number().int().nonnegative()).optional()
+});
+
+// What the customer paid for a completed appointment; amount defaults to what was still due
+const appointmentPaymentSchema = z.object({
+    method: z.enum(CUSTOMER_PAYMENT_METHODS),
+    amount: z.preprocess(toNumber, z.number().min(0).max(100000)).optional(),
+    tip: z.preprocess(toNumber, z.number().min(0).max(10000)).optional(),
+    discount: z.preprocess(toNumber, z.number().min(0).max(100000)).optional(),
+    note: z.string().trim().max(300).optional()
+});
+
+const rescheduleSchema = z.object({
+    start_time: z.string(),
+    staff_id: z.preprocess(toNumber, z.number().int().nonnegative()).optional()
+});
+
+const salonPolicySchema = z.object({
+    reschedule_enabled: z.boolean().optional(),
+    reschedule_min_notice_hours: z.preprocess(toNumber, z.number().int().min(0).max(168)).optional(),
+    max_reschedules: z.preprocess(toNumber, z.number().int().min(0).max(20)).optional(),
+    cancel_min_notice_hours: z.preprocess(toNumber, z.number().int().min(0).max(168)).optional(),
+    late_cancel_strike_weight: z.preprocess(toNumber, z.number().int().min(0).max(10)).optional(),
+    no_show_strike_weight: z.preprocess(toNumber, z.number().int().min(0).max(10)).optional(),
+    strike_decay_days: z.preprocess(toNumber, z.number().int().min(0).max(3650)).optional(),
+    strike_threshold: z.preprocess(toNumber, z.number().int().min(0).max(100)).optional(),
+    strike_action: z.enum(STRIKE_ACTIONS).optional(),
+    deposit_type: z.enum(DEPOSIT_TYPES).optional(),
+    deposit_value: z.preprocess(toNumber, z.number().min(0).max(10000)).optional(),
+    deposit_hold_minutes: z.preprocess(toNumber, z.number().int().min(5).max(1440)).optional()
+});
+
+// A staff member's full weekly template; an empty list returns them to the salon's hours
+const staffShiftsSchema = z.object({
+    shifts: z.array(z.object({
+        day_index: z.preprocess(toNumber, z.number().int().min(0).max(6)),
+        start_time: z.string().regex(/^\d{2}:\d{2}$/),
+        end_time: z.string().regex(/^\d{2}:\d{2}$/)
+    }).refine(shift => shift.start_time < shift.end_time, { message: 'وقت بداية المناوبة يجب أن يكون قبل نهايتها.' })).max(50)
+});
+
+// The services a staff member performs, each with an optional price/duration of their own
+const staffServicesSchema = z.object({
+    services: z.array(z.object({
+        service_id: z.preprocess(toNumber, z.number().int().positive()),
+        price_override: z.preprocess(toNumber, z.number().nonnegative()).nullable().optional(),
+        duration_override: z.preprocess(toNumber, z.number().int().min(5).max(600)).nullable().optional()
+    })).max(100)
+});
+
+// A date-range closure or seasonal opening hours, for a salon or the platform holiday calendar
+const calendarPeriodSchema = z.object({
+    start_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+    end_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+    period_type: z.enum(['closed', 'hours']),
+    opening_time: z.string().regex(/^\d{2}:\d{2}$/).optional(),
+    closing_time: z.string().regex(/^\d{2}:\d{2}$/).optional(),
+    reason: z.string().trim().min(1).max(200)
+}).refine(period => period.start_date <= period.end_date && minutesBetween(`${period.start_date} 00:00:00`, `${period.end_date} 00:00:00`) <= 366 * 24 * 60, { message: 'الفترة يجب أن تبدأ قبل نهايتها ولا تتجاوز سنة.' })
+  .refine(period => period.period_type !== 'hours' || (period.opening_time && period.closing_time && period.opening_time < period.closing_time), { message: 'ساعات العمل الخاصة تتطلب وقت فتح قبل وقت الإغلاق.' });
+
+const promotionSchema = z.object({
+    title: z.string().trim().min(1).max(100),
+    kind: z.enum(PROMOTION_KINDS),
+    code: z.string().trim().regex(/^[A-Za-z0-9_-]{3,30}$/, { message: 'رمز الخصم يتكون من 3 إلى 30 حرفاً أو رقماً.' }).optional(),
+    discount_type: z.enum(['percent', 'fixed']),
+    discount_value: z.preprocess(toNumber, z.number().positive().max(10000)),
+    starts_on: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    ends_on: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    off_peak_start: z.string().regex(/^\d{2}:\d{2}$/).optional(),
+    off_peak_end: z.string().regex(/^\d{2}:\d{2}$/).optional(),
+    off_peak_days: z.array(z.preprocess(toNumber, z.number().int().min(0).max(6))).min(1).max(7).optional(),
+    max_uses_per_user: z.preprocess(toNumber, z.number().int().positive().max(1000)).optional(),
+    max_uses_total: z.preprocess(toNumber, z.number().int().positive().max(100000)).optional()
+}).refine(promotion => promotion.kind !== 'code' || !!promotion.code, { message: 'يجب إدخال رمز الخصم.' })
+  .refine(promotion => promotion.kind !== 'off_peak' || (promotion.off_peak_start && promotion.off_peak_end && promotion.off_peak_start < promotion.off_peak_end), { message: 'يجب تحديد بداية ونهاية فترة الخصم.' })
+  .refine(promotion => promotion.discount_type !== 'percent' || promotion.discount_value <= 100, { message: 'نسبة الخصم يجب ألا تتجاوز 100%.' })
+  .refine(promotion => !promotion.starts_on || !promotion.ends_on || promotion.starts_on <= promotion.ends_on, { message: 'تاريخ بداية العرض يجب أن يسبق نهايته.' });
+
+const packageSchema = z.object({
+    title: z.string().trim().min(1).max(100),
+    service_ids: z.array(z.preprocess(toNumber, z.number().int().positive())).min(1).max(20),
+    sessions: z.preprocess(toNumber, z.number().int().min(1).max(100)),
+    price: z.preprocess(toNumber, z.number().nonnegative().max(100000)),
+    validity_days: z.preprocess(toNumber, z.number().int().min(1).max(1095))
+});
+
+// A package sold at the counter to a customer found by phone
+const packageSaleSchema = z.object({
+    package_id: z.preprocess(toNumber, z.number().int().positive()),
+    customer_phone: z.string().trim().min(6),
+    method: z.enum(CUSTOMER_PAYMENT_METHODS),
+    session_token: z.string().optional()
+});
+
+// A salon-defined role built from SALON_PERMISSIONS
+const customRoleSchema = z.object({
+    name: z.string().trim().min(1).max(40),
+    permissions: z.array(z.enum(SALON_PERMISSIONS)).min(1),
+    session_token: z.string().optional()
+});
+
+const manualBookingSchema = z.object({
+    customer_phone: z.string().trim().min(6),
+    customer_name: z.string().trim().min(1).max(100).optional(),
+    staff_id: z.preprocess(toNumber, z.number().int().nonnegative()).optional(),
+    service_ids: z.array(z.preprocess(toNumber, z.number().int().positive())).min(1),
+    start_time: z.string(),
+    session_token: z.string().optional()
+});
+
+const waitlistJoinSchema = z.object({
+    salon_id: z.preprocess(toNumber, z.number().int().positive()),
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+    service_ids: z.array(z.preprocess(toNumber, z.number().int().positive())).min(1),
+    staff_id: z.preprocess(toNumber, z.number().int().nonnegative()).optional()
 });
 
 const reviewSchema = z.object({
@@ -1448,8 +2275,16 @@ const reviewSchema = z.object({
     comment: z.string().min(1)
 });
 
-// Register appointments routes after schemas are initialized
-registerAppointmentsRoutes(app, { dbAll, dbGet, dbRun, requireAuth, bookingSchema, validateBookingSlot, sendSalonEvent, sendPushToTargets });
+// Register routes that take request schemas after the schemas are initialized
+registerSalonRoutes(app, { db, dbAll, dbGet, dbRun, requireSalonAccess, salonIdFrom, customRoleSchema, rolePermissions, SALON_PERMISSIONS, DEFAULT_STAFF_PERMISSIONS, clockInStaff, clockOutStaff, webauthn, roleAuthDeviceKey, beginRoleAuthAttempt, finishRoleAuthAttempt, logRoleAuthAttempt, addSalonClient, removeSalonClient, sendSalonEvent, bcrypt, crypto, parseReminderOffsets, offerWaitlistSlots, getSalonPolicy, salonPolicySchema, staffShiftsSchema, staffServicesSchema, isValidTimeZone, getSalonTimeZone, syncAppointmentInstants, salonToday, dayOfWeekOf, DEPOSIT_TYPES });
+registerAppointmentsRoutes(app, { db, dbAll, dbGet, dbRun, requireAuth, bookingSchema, chainBookingSchema, MAX_CHAIN_SERVICES, slotHoldSchema, rescheduleSchema, validateBookingSlot, computeAvailableSlots, computeServiceChains, planServiceChainAt, assignAvailableStaff, sumServiceDuration, resolveServicePrices, findPricingMismatch, notifyWaitlistOfFreedSlot, getSalonPolicy, recordStrike, revokeAppointmentStrikes, getActiveStrikes, evaluateBookingEligibility, resolveAppointmentActor, transitionAppointmentStatus, recordAppointmentEvent, APPOINTMENT_STATUSES, requireSalonAccess, salonIdFrom, manualBookingSchema, normalizePhoneNumber, normalizeDateTime, addMinutesToDateTime, minutesBetween, SLOT_HOLD_MINUTES, syncAppointmentInstants, salonToday, computeBookingDeposit, createDepositPayment, openDepositCheckout, priceBooking, recordPromotionRedemption, applyPackageSessions, recordPackageRedemptions, appointmentPaymentSchema, recordAppointmentSettlement, sendSalonEvent, sendPushToTargets });
+registerRecurringRoutes(app, { db, dbAll, dbGet, dbRun, requireAuth, recurringBookingSchema, seriesChangeSchema, validateBookingSlot, assignAvailableStaff, sumServiceDuration, resolveServicePrices, findPricingMismatch, computeBookingDeposit, resolveAppointmentActor, getSalonPolicy, recordStrike, evaluateBookingEligibility, transitionAppointmentStatus, recordAppointmentEvent, normalizeDateTime, addMinutesToDateTime, minutesBetween, syncAppointmentInstants, notifyWaitlistOfFreedSlot, sendSalonEvent, sendPushToTargets });
+registerWaitlistRoutes(app, { db, dbAll, dbGet, dbRun, requireAuth, waitlistJoinSchema, validateBookingSlot, computeAvailableSlots, assignAvailableStaff, sumServiceDuration, resolveServicePrices, addMinutesToDateTime, syncAppointmentInstants, salonToday, closeWaitlistOffer, evaluateBookingEligibility, getSalonPolicy, computeBookingDeposit, createDepositPayment, openDepositCheckout, priceBooking, recordPromotionRedemption, recordAppointmentEvent, sendSalonEvent });
+registerCalendarRoutes(app, { dbAll, dbGet, dbRun, requireAdmin, requireSalonAccess, salonIdFrom, calendarPeriodSchema, offerWaitlistSlots, salonToday, APPOINTMENT_INACTIVE_STATUSES });
+registerPaymentsRoutes(app, { dbGet, requireAuth, getPaymentProvider, settleDepositPayment, settlePackagePurchase });
+registerPromotionsRoutes(app, { dbAll, dbGet, dbRun, requireAuth, requireSalonAccess, salonIdFrom, promotionSchema, resolveServicePrices, priceBooking, normalizeDateTime });
+registerPackagesRoutes(app, { dbAll, dbGet, dbRun, requireAuth, requireSalonAccess, salonIdFrom, packageSchema, packageSaleSchema, loadCustomerPackages, packageExpiryDate, settlePackagePurchase, getPaymentProvider, normalizePhoneNumber, PAYMENT_CURRENCY });
+registerTimesheetsRoutes(app, { requireSalonAccess, clockInStaff, clockOutStaff, buildWeeklyTimesheet });
 // AI Beauty Assistant Endpoints
 // ===============================
 
@@ -1536,7 +2371,13 @@ async function verifyPin(pin, hashedPin) {
 
 async function cleanExpiredSessions() {
     try {
+        // Shifts tied to expiring sessions end at the expiry, which is lost once the session is gone
+        await closeEndedShifts();
         await db.run('DELETE FROM role_sessions WHERE expires_at < CURRENT_TIMESTAMP');
+        await db.run('DELETE FROM webauthn_challenges WHERE expires_at < $1', [new Date().toISOString()]);
+        await db.run('DELETE FROM role_auth_throttle WHERE last_failure_at < $1 AND (locked_until IS NULL OR locked_until < $2)', [
+            new Date(Date.now() - ROLE_AUTH_WINDOW_MINUTES * 60000).toISOString(), new Date().toISOString()
+        ]);
     } catch (error) {
         console.error('Error cleaning expired sessions:', error);
     }
@@ -1545,6 +2386,26 @@ async function cleanExpiredSessions() {
 // Clean expired sessions every hour
 setInterval(cleanExpiredSessions, 60 * 60 * 1000);
 
+async function cleanExpiredSlotHolds() {
+    try {
+        await db.run('DELETE FROM slot_holds WHERE expires_at < $1', [new Date().toISOString()]);
+    } catch (error) {
+        console.error('Error cleaning expired slot holds:', error);
+    }
+}
+
+// Expired holds are already ignored by availability checks; purge them periodically
+setInterval(cleanExpiredSlotHolds, 10 * 60 * 1000);
+
+// Unanswered waitlist offers cascade to the next customer
+setInterval(expireWaitlistOffers, 60 * 1000);
+
+// Unpaid deposit bookings give their slot back
+setInterval(expireDepositPayments, 60 * 1000);
+
+// Shifts end with their role session
+setInterval(() => closeEndedShifts().catch(error => console.error('Error closing ended shifts:', error)), 5 * 60 * 1000);
+
 // Get salon role configuration
 
 // --- End Role Management System ---
@@ -1708,6 +2569,147 @@ async function sendPushToAdmins(payload) {
     } catch (err) { console.error('sendPushToAdmins error:', err.message); }
 }
 
+// ===================================
+// Appointment reminders
+// ===================================
+// Normalize a salon's configured offsets: positive whole minutes, at most a week, largest first
+function parseReminderOffsets(value) {
+    let offsets = value;
+    if (typeof value === 'string') {
+        try { offsets = JSON.parse(value); } catch (_) { offsets = null; }
+    }
+    if (!Array.isArray(offsets)) return [...DEFAULT_REMINDER_OFFSETS];
+    const cleaned = offsets
+        .map(n => parseInt(n, 10))
+        .filter(n => Number.isInteger(n) && n > 0 && n <= MAX_REMINDER_OFFSET_MINUTES);
+    return [...new Set(cleaned)].sort((a, b) => b - a);
+}
+
+// reminders_sent.reminder_type for an offset, e.g. 60 -> 'upcoming_1h', 1440 -> 'upcoming_24h', 30 -> 'upcoming_30m'
+function reminderTypeForOffset(minutes) {
+    return minutes % 60 === 0 ? `upcoming_${minutes / 60}h` : `upcoming_${minutes}m`;
+}
+
+let reminderMailTransporter = null;
+function getReminderMailTransporter() {
+    const gmailUser = process.env.GMAIL_USER;
+    const gmailPass = (process.env.GMAIL_APP_PASSWORD || '').replace(/\s+/g, '');
+    if (!gmailUser || !gmailPass) return null;
+    if (!reminderMailTransporter) {
+        reminderMailTransporter = nodemailer.createTransport({
+            service: 'gmail',
+            auth: { user: gmailUser, pass: gmailPass },
+            pool: true,
+            maxConnections: 2,
+            maxMessages: 50,
+            secure: true,
+            requireTLS: true,
+            connectionTimeout: 15000,
+            greetingTimeout: 10000,
+            socketTimeout: 15000
+        });
+    }
+    return reminderMailTransporter;
+}
+
+async function sendReminderEmail(appt, when) {
+    const transporter = getReminderMailTransporter();
+    if (!transporter || !appt.user_email) return;
+    const fromName = process.env.REMINDER_FROM_NAME || 'Saloony';
+    await transporter.sendMail({
+        from: `${fromName} <${process.env.GMAIL_USER}>`,
+        to: appt.user_email,
+        subject: `تذكير بموعدك في ${appt.salon_name || 'الصالون'}`,
+        text: `مرحباً ${appt.user_name || ''}،\nنذكرك بموعدك في ${appt.salon_name || 'الصالون'} بتاريخ ${when.toLocaleDateString('ar-EG', { timeZone: appt.timezone })} على الساعة ${when.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit', hour12: true, timeZone: appt.timezone })}.`,
+        html: `
+            <div style="font-family: Tajawal, Arial, sans-serif; line-height:1.7; color:#0f172a" dir="rtl">
+              <h2 style="margin:0 0 8px">تذكير بموعدك</h2>
+              <p>مرحباً ${appt.user_name || ''}،</p>
+              <p>نذكرك بموعدك في <strong>${appt.salon_name || 'الصالون'}</strong> بتاريخ ${when.toLocaleDateString('ar-EG', { timeZone: appt.timezone })} على الساعة ${when.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit', hour12: true, timeZone: appt.timezone })}.</p>
+            </div>
+        `
+    });
+}
+
+// Send due reminders for upcoming Scheduled appointments.
+// Each (appointment, offset) pair is claimed in reminders_sent before sending, so a restart
+// or an overlapping run never notifies twice. When several offsets are due at once (e.g. a
+// booking made an hour before start) only the closest one is sent and the rest are marked.
+async function sendDueAppointmentReminders() {
+    try {
+        const now = new Date();
+        const horizon = new Date(now.getTime() + MAX_REMINDER_OFFSET_MINUTES * 60 * 1000);
+        // start_at is the UTC instant of the salon-local start_time, so it compares directly with now
+        const appointments = await dbAll(`
+            SELECT a.id, a.salon_id, a.user_id, a.start_time, a.start_at,
+                   u.name AS user_name, u.email AS user_email,
+                   s.salon_name, s.timezone,
+                   rs.offsets_minutes, rs.email_enabled
+            FROM appointments a
+            JOIN users u ON a.user_id = u.id
+            JOIN salons s ON a.salon_id = s.id
+            LEFT JOIN salon_reminder_settings rs ON rs.salon_id = a.salon_id
+            WHERE a.status = 'Scheduled' AND a.start_at > $1 AND a.start_at <= $2
+        `, [now.toISOString(), horizon.toISOString()]);
+
+        for (const appt of appointments) {
+            const when = new Date(appt.start_at);
+            appt.timezone = isValidTimeZone(appt.timezone) ? appt.timezone : DEFAULT_SALON_TIMEZONE;
+            const minutesUntil = (when.getTime() - now.getTime()) / 60000;
+            if (!Number.isFinite(minutesUntil) || minutesUntil <= 0) continue;
+
+            const dueOffsets = parseReminderOffsets(appt.offsets_minutes).filter(offset => minutesUntil <= offset);
+            if (dueOffsets.length === 0) continue;
+
+            const sentRows = await dbAll('SELECT reminder_type FROM reminders_sent WHERE appointment_id = $1', [appt.id]);
+            const alreadySent = new Set(sentRows.map(r => r.reminder_type));
+            const pending = dueOffsets.filter(offset => !alreadySent.has(reminderTypeForOffset(offset)));
+            if (pending.length === 0) continue;
+
+            let claimedClosest = false;
+            for (const offset of pending) {
+                const claim = await dbRun(
+                    'INSERT INTO reminders_sent (appointment_id, reminder_type) VALUES ($1, $2) ON CONFLICT (appointment_id, reminder_type) DO NOTHING',
+                    [appt.id, reminderTypeForOffset(offset)]
+                );
+                if (offset === pending[pending.length - 1] && claim && claim.changes > 0) claimedClosest = true;
+            }
+            if (!claimedClosest) continue;
+
+            await sendPushToTargets({
+                user_id: appt.user_id,
+                payload: {
+                    title: 'تذكير بموعدك',
+                    body: `موعدك في ${appt.salon_name || 'الصالون'} بتاريخ ${when.toLocaleDateString('ar-EG', { timeZone: appt.timezone })} على الساعة ${when.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit', hour12: true, timeZone: appt.timezone })}`,
+                    url: '/home_user.html#appointments',
+                    tag: `appointment-reminder-${appt.id}`
+                }
+            });
+            if (appt.email_enabled === true || appt.email_enabled === 1) {
+                try {
+                    await sendReminderEmail(appt, when);
+                } catch (err) {
+                    console.warn('Reminder email failed:', err.message);
+                }
+            }
+        }
+    } catch (err) {
+        console.error('Appointment reminder job error:', err.message);
+    }
+}
+
+let reminderJobRunning = false;
+function startAppointmentReminderScheduler() {
+    const run = async () => {
+        // Skip a tick rather than overlap a slow run
+        if (reminderJobRunning) return;
+        reminderJobRunning = true;
+        try { await sendDueAppointmentReminders(); } finally { reminderJobRunning = false; }
+    };
+    run();
+    setInterval(run, REMINDER_INTERVAL_MS);
+}
+
 // ===================================
 // SSE: Real-time salon notifications
 // ===================================
@@ -2372,7 +3374,9 @@ app.post('/api/user/profile', async (req, res) => {
             if (!row) {
                 return res.status(404).json({ success: false, message: 'User not found.' });
             }
-            res.json({ ...row, strikes_count: row.strikes || 0 });
+            // Prepaid package balances at all salons
+            const packages = await loadCustomerPackages({ userId });
+            res.json({ ...row, strikes_count: row.strikes || 0, packages });
         } else if (user_type === 'salon') {
             // Fetch joined data for salon user
             const salonSql = `
@@ -2476,13 +3480,10 @@ async function uploadImageToSupabase(buffer, salonId, originalFilename) {
 }
 
 // API for image upload (multipart/form-data) - OPTIMIZED VERSION
-app.post('/api/upload', upload.single('image'), async (req, res) => {
+// The salon is taken from the query so access is checked before the upload is read
+app.post('/api/upload', requireSalonAccess({ permission: 'edit_profile', resolveSalonId: (req) => req.query.salon_id }), upload.single('image'), async (req, res) => {
     try {
-        const salonIdRaw = req.query.salon_id || req.body.salon_id;
-        const salonId = parseInt(salonIdRaw);
-        if (!salonId || isNaN(salonId)) {
-            return res.status(400).json({ success: false, message: 'Salon ID مطلوب.' });
-        }
+        const salonId = req.salonAccess.salonId;
         if (!req.file) {
             return res.status(400).json({ success: false, message: 'لم يتم تقديم ملف صورة.' });
         }
@@ -2579,35 +3580,6 @@ app.post('/api/upload', upload.single('image'), async (req, res) => {
 // API to get salon details with rating for user view
 
 
-// --- Social Links ---
-
-// Helper: verify salon role session token with admin role_type
-async function requireSalonAdminRole(req, res, next) {
-    try {
-        const salonId = req.params.salon_id;
-        const tokenFromHeader = (req.headers.authorization || '').startsWith('Bearer ')
-            ? (req.headers.authorization || '').slice(7)
-            : null;
-        const session_token = req.body?.session_token || tokenFromHeader;
-        if (!salonId || !session_token) {
-            return res.status(401).json({ success: false, message: 'Salon ID and session token required.' });
-        }
-        const session = await db.get(`
-            SELECT rs.*, sr.role_type
-            FROM role_sessions rs
-            JOIN staff_roles sr ON rs.staff_role_id = sr.id
-            WHERE rs.salon_id = $1 AND rs.session_token = $2 AND rs.expires_at > CURRENT_TIMESTAMP
-        `, [Number(salonId), session_token]);
-        if (!session || session.role_type !== 'admin') {
-            return res.status(403).json({ success: false, message: 'Admin role required.' });
-        }
-        return next();
-    } catch (e) {
-        console.error('Role check error:', e.message);
-        return res.status(500).json({ success: false, message: 'Role verification error.' });
-    }
-}
-
 // Protected: upsert a social link (admin role required)
  
 
@@ -3025,312 +3997,1061 @@ app.delete('/api/admin/services/:service_id', async (req, res) => {
 // API to book a new appointment - UPDATED for Smart Staff Assignment and Multiple Services
 // ===== SERVER-SIDE BOOKING VALIDATION FUNCTIONS =====
 
-function timeToMinutes(timeStr) {
-    if (!timeStr || typeof timeStr !== 'string') return 0;
-    const [h, m] = timeStr.split(':').map(Number);
-    let minutes = (h || 0) * 60 + (m || 0);
-    
-    // Handle overnight hours (e.g., 1am = 25:00 = 1500 minutes)
-    // If hour is between 0-6, assume it's next day (add 24 hours)
-    if (h >= 0 && h <= 6) {
-        minutes += 24 * 60;
+async function getSalonTimeZone(salonId, runner = db) {
+    const row = await runner.get('SELECT timezone FROM salons WHERE id = $1', [salonId]);
+    return row && isValidTimeZone(row.timezone) ? row.timezone : DEFAULT_SALON_TIMEZONE;
+}
+
+// Today's date ('YYYY-MM-DD') in a salon's zone
+async function salonToday(salonId) {
+    return zonedDateTime(Date.now(), await getSalonTimeZone(salonId)).substring(0, 10);
+}
+
+// Granularity of bookable start times offered to clients
+const AVAILABILITY_SLOT_MINUTES = 30;
+
+// Calendar entry covering one date for a salon: its own date-range periods plus the platform holidays
+// it opted into. A closure wins over an hours override, and the salon's own hours win over a holiday's.
+// Returns { closed: true, reason }, { closed: false, openingTime, closingTime, reason } or null.
+async function resolveCalendarDay(salonId, dateString, runner = db) {
+    const periods = await runner.query(`
+        SELECT period_type, opening_time, closing_time, reason, 'salon' AS source
+        FROM salon_calendar_periods
+        WHERE salon_id = $1 AND start_date <= $2 AND end_date >= $2
+        UNION ALL
+        SELECT h.period_type, h.opening_time, h.closing_time, h.reason, 'platform' AS source
+        FROM platform_holidays h
+        JOIN salon_holiday_optins o ON o.holiday_id = h.id
+        WHERE o.salon_id = $1 AND h.start_date <= $2 AND h.end_date >= $2
+    `, [salonId, dateString]);
+    const closure = periods.find(period => period.period_type === 'closed');
+    if (closure) return { closed: true, reason: closure.reason };
+    const hours = periods.find(period => period.period_type === 'hours' && period.source === 'salon')
+        || periods.find(period => period.period_type === 'hours');
+    if (hours) return { closed: false, openingTime: hours.opening_time, closingTime: hours.closing_time, reason: hours.reason };
+    return null;
+}
+
+// Load schedule, closures, breaks, staff, active appointments and live slot holds for one salon day.
+// validateBookingSlot and computeAvailableSlots both evaluate slots against this context.
+// options.ignoreHoldToken excludes the caller's own hold so it does not block itself;
+// options.ignoreAppointmentIds excludes appointments that are being moved;
+// options.serviceIds limits staff to those qualified for the requested services;
+// options.runner is the transaction to read through when the check guards a write (defaults to db).
+async function loadBookingDayContext(salonId, dateString, dayOfWeek, options = {}) {
+    const runner = options.runner || db;
+    const schedule = await runner.get('SELECT * FROM schedules WHERE salon_id = $1', [salonId]);
+    if (!schedule) return null;
+
+    const closedDays = schedule.closed_days ? JSON.parse(schedule.closed_days) : [];
+    const timeZone = await getSalonTimeZone(salonId, runner);
+    // Date-range closures and seasonal hours (see resolveCalendarDay)
+    const calendarDay = await resolveCalendarDay(salonId, dateString, runner);
+
+    const modifications = await runner.query(`
+        SELECT * FROM schedule_modifications 
+        WHERE salon_id = $1 AND (
+            (mod_type = 'once' AND mod_date = $2) OR
+            (mod_type = 'recurring' AND mod_day_index = $3)
+        )
+    `, [salonId, dateString, dayOfWeek]);
+
+    const breaks = await runner.query('SELECT * FROM breaks WHERE salon_id = $1', [salonId]);
+
+    const appointmentRows = await runner.query(`
+        SELECT * FROM appointments 
+        WHERE salon_id = $1 AND DATE(start_time) = $2 
+        AND status NOT IN (${APPOINTMENT_INACTIVE_STATUSES.map(status => `'${status}'`).join(', ')})
+    `, [salonId, dateString]);
+    // Buffers and processing gaps of every service the salon offers
+    const serviceRows = await runner.query('SELECT service_id, duration, buffer_before, buffer_after, processing_offset, processing_minutes FROM salon_services WHERE salon_id = $1', [salonId]);
+    const serviceConfigs = new Map();
+    const serviceDurations = new Map();
+    for (const row of serviceRows) {
+        const serviceId = parseInt(row.service_id);
+        serviceDurations.set(serviceId, Number(row.duration) || 0);
+        serviceConfigs.set(serviceId, {
+            duration: Number(row.duration) || 0,
+            bufferBefore: Number(row.buffer_before) || 0,
+            bufferAfter: Number(row.buffer_after) || 0,
+            processingOffset: Number(row.processing_offset) || 0,
+            processingMinutes: Number(row.processing_minutes) || 0
+        });
     }
-    
-    return minutes;
+
+    // Service lines of the day's appointments, in booking order. Multi-staff bookings carry
+    // per-line times and occupy each specialist only for their own segment.
+    const lineRows = await runner.query(`
+        SELECT aps.appointment_id, aps.service_id, aps.staff_id, aps.start_time, aps.end_time
+        FROM appointment_services aps
+        JOIN appointments a ON a.id = aps.appointment_id
+        WHERE a.salon_id = $1 AND DATE(a.start_time) = $2
+        ORDER BY aps.id
+    `, [salonId, dateString]);
+    const linesByAppointment = new Map();
+    for (const line of lineRows) {
+        const key = String(line.appointment_id);
+        if (!linesByAppointment.has(key)) linesByAppointment.set(key, []);
+        linesByAppointment.get(key).push(line);
+    }
+    // Staff qualifications and duration overrides: the overrides lay out each booking's busy blocks
+    const staffSkills = await loadStaffSkills(salonId, runner);
+    const ignoredAppointmentIds = new Set((options.ignoreAppointmentIds || []).map(id => String(id)));
+    const appointments = [];
+    for (const appt of appointmentRows) {
+        // Appointments being moved must not block their own new time
+        if (ignoredAppointmentIds.has(String(appt.id))) continue;
+        const lines = linesByAppointment.get(String(appt.id)) || [];
+        const segments = lines.filter(line => line.start_time);
+        const parts = segments.length
+            ? segments.map(line => ({ ...line, serviceIds: [line.service_id] }))
+            : [{ ...appt, serviceIds: lines.length ? lines.map(line => line.service_id) : [appt.service_id] }];
+        for (const part of parts) {
+            const startPart = extractClockTime(part.start_time);
+            const endPart = extractClockTime(part.end_time);
+            if (!startPart || !endPart) continue;
+            const startMinutes = timeToMinutes(startPart);
+            const endMinutes = timeToMinutes(endPart);
+            const staffId = part.staff_id === null || part.staff_id === undefined ? 0 : parseInt(part.staff_id);
+            appointments.push({
+                ...appt,
+                staffId,
+                startMinutes,
+                endMinutes,
+                blocks: serviceBusyBlocks(serviceConfigs, part.serviceIds, startMinutes, endMinutes, staffSkills.get(staffId))
+            });
+        }
+    }
+
+    // Unexpired holds from other customers occupy their staff member (or generic capacity) like an appointment
+    const holds = await runner.query(`
+        SELECT * FROM slot_holds
+        WHERE salon_id = $1 AND DATE(start_time) = $2 AND expires_at > $3 AND hold_token <> $4
+    `, [salonId, dateString, new Date().toISOString(), options.ignoreHoldToken || '']);
+    for (const hold of holds) {
+        const startPart = extractClockTime(hold.start_time);
+        const endPart = extractClockTime(hold.end_time);
+        if (!startPart || !endPart) continue;
+        appointments.push({
+            ...hold,
+            status: 'Held',
+            staffId: hold.staff_id === null || hold.staff_id === undefined ? 0 : parseInt(hold.staff_id),
+            startMinutes: timeToMinutes(startPart),
+            endMinutes: timeToMinutes(endPart),
+            blocks: [{ startMinutes: timeToMinutes(startPart), endMinutes: timeToMinutes(endPart) }]
+        });
+    }
+
+    const staff = await runner.query('SELECT id, name FROM staff WHERE salon_id = $1', [salonId]);
+    // Seasonal hours replace the salon's regular hours for the day
+    const seasonalHours = calendarDay && !calendarDay.closed ? calendarDay : null;
+    const openMinutes = timeToMinutes((seasonalHours ? seasonalHours.openingTime : schedule.opening_time) || '09:00');
+    const closeMinutes = timeToMinutes((seasonalHours ? seasonalHours.closingTime : schedule.closing_time) || '18:00');
+
+    // Staff with a shift template work only their shifts for this weekday (none = day off),
+    // cut to the seasonal hours when they apply
+    const shiftRows = await runner.query('SELECT staff_id, day_index, start_time, end_time FROM staff_shifts WHERE salon_id = $1', [salonId]);
+    const staffShifts = new Map();
+    for (const shift of shiftRows) {
+        const staffId = parseInt(shift.staff_id);
+        if (!staffShifts.has(staffId)) staffShifts.set(staffId, []);
+        if (parseInt(shift.day_index) !== dayOfWeek) continue;
+        let startMinutes = timeToMinutes(shift.start_time);
+        let endMinutes = timeToMinutes(shift.end_time);
+        if (seasonalHours) {
+            startMinutes = Math.max(startMinutes, openMinutes);
+            endMinutes = Math.min(endMinutes, closeMinutes);
+            if (endMinutes <= startMinutes) continue;
+        }
+        staffShifts.get(staffId).push({ startMinutes, endMinutes });
+    }
+
+    // Full-day closures tied to a staff member are that person's day off, not a salon closure
+    const staffDaysOff = new Set(modifications
+        .filter(mod => mod.closure_type === 'full_day' && mod.staff_id)
+        .map(mod => parseInt(mod.staff_id)));
+
+    // The requested services, when known, for qualification checks and per-staff durations
+    const serviceIds = options.serviceIds && options.serviceIds.length ? options.serviceIds.map(id => parseInt(id)) : null;
+
+    // Earliest start and latest end anyone works today, for scanning candidate slots
+    let dayStartMinutes = openMinutes;
+    let dayEndMinutes = closeMinutes;
+    for (const windows of staffShifts.values()) {
+        for (const window of windows) {
+            dayStartMinutes = Math.min(dayStartMinutes, window.startMinutes);
+            dayEndMinutes = Math.max(dayEndMinutes, window.endMinutes);
+        }
+    }
+
+    return {
+        salonId,
+        dateString,
+        dayOfWeek,
+        timeZone,
+        schedule,
+        closedDays,
+        calendarDay,
+        openMinutes,
+        closeMinutes,
+        dayStartMinutes,
+        dayEndMinutes,
+        modifications,
+        breaks,
+        appointments,
+        staff,
+        staffShifts,
+        staffDaysOff,
+        serviceIds,
+        staffSkills,
+        serviceDurations,
+        serviceConfigs
+    };
 }
 
-function minutesToTime(minutes) {
-    const h = Math.floor(minutes / 60);
-    const m = minutes % 60;
-    return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
+// Per-staff service offerings for a salon: Map staffId -> Map serviceId -> { price, duration },
+// where price/duration are overrides or null. Staff missing from the map can perform every service.
+async function loadStaffSkills(salonId, runner = db) {
+    const rows = await runner.query('SELECT staff_id, service_id, price_override, duration_override FROM staff_services WHERE salon_id = $1', [salonId]);
+    const skills = new Map();
+    for (const row of rows) {
+        const staffId = parseInt(row.staff_id);
+        if (!skills.has(staffId)) skills.set(staffId, new Map());
+        skills.get(staffId).set(parseInt(row.service_id), {
+            price: row.price_override === null || row.price_override === undefined ? null : Number(row.price_override),
+            duration: row.duration_override === null || row.duration_override === undefined ? null : Number(row.duration_override)
+        });
+    }
+    return skills;
 }
 
-async function validateBookingSlot(salonId, staffId, startTime, endTime, serviceDuration) {
+async function validateBookingSlot(salonId, staffId, startTime, endTime, serviceDuration, options = {}) {
     try {
-        // Parse the booking date and time
-        const bookingDate = new Date(startTime);
-        const dateString = bookingDate.toISOString().split('T')[0];
-        const dayOfWeek = bookingDate.getDay();
-        const now = new Date();
-        const isToday = dateString === now.toISOString().split('T')[0];
+        // The booking's calendar date and weekday, taken from its wall-clock time as given
+        const dateString = normalizeDateTime(startTime).substring(0, 10);
+        const dayOfWeek = dayOfWeekOf(dateString);
         
         // Convert times to minutes for easier comparison
-        // Handle both ISO format (with T) and other formats safely
-        let startTimeStr, endTimeStr;
-        
-        if (startTime.includes('T')) {
-            startTimeStr = startTime.split('T')[1].substring(0, 5);
-        } else if (startTime.includes(' ')) {
-            startTimeStr = startTime.split(' ')[1].substring(0, 5);
-        } else {
-            // Assume it's already in HH:MM format
-            startTimeStr = startTime.substring(0, 5);
-        }
-        
-        if (endTime.includes('T')) {
-            endTimeStr = endTime.split('T')[1].substring(0, 5);
-        } else if (endTime.includes(' ')) {
-            endTimeStr = endTime.split(' ')[1].substring(0, 5);
-        } else {
-            // Assume it's already in HH:MM format
-            endTimeStr = endTime.substring(0, 5);
-        }
-        
-        const startMinutes = timeToMinutes(startTimeStr);
-        const endMinutes = timeToMinutes(endTimeStr);
+        // Handle ISO format (with T), SQL format (with space) or bare HH:MM
+        const startMinutes = timeToMinutes(extractClockTime(startTime) || startTime.substring(0, 5));
+        const endMinutes = timeToMinutes(extractClockTime(endTime) || endTime.substring(0, 5));
         
         // Validate service duration matches
         if (endMinutes - startMinutes !== serviceDuration) {
-            return { valid: false, message: 'مدة الخدمة غير متطابقة مع الوقت المحدد.' };
+            return { valid: false, reason: 'duration_mismatch', message: 'مدة الخدمة غير متطابقة مع الوقت المحدد.' };
         }
         
-        // Get salon schedule data
-        const schedule = await dbGet('SELECT * FROM schedules WHERE salon_id = $1', [salonId]);
-        if (!schedule) {
-            return { valid: false, message: 'جدول الصالون غير متوفر.' };
+        const ctx = await loadBookingDayContext(salonId, dateString, dayOfWeek, options);
+        if (!ctx) {
+            return { valid: false, reason: 'no_schedule', message: 'جدول الصالون غير متوفر.' };
         }
         
-        // Check if salon is closed on this day
-        const closedDays = schedule.closed_days ? JSON.parse(schedule.closed_days) : [];
-        if (closedDays.includes(dayOfWeek)) {
-            return { valid: false, message: 'الصالون مغلق في هذا اليوم.' };
-        }
-        
-        // Get operating hours
-        const openMinutes = timeToMinutes(schedule.opening_time || '09:00');
-        const closeMinutes = timeToMinutes(schedule.closing_time || '18:00');
-        
-        // Get schedule modifications
-        const modifications = await dbAll(`
-            SELECT * FROM schedule_modifications 
-            WHERE salon_id = $1 AND (
-                (mod_type = 'once' AND mod_date = $2) OR
-                (mod_type = 'recurring' AND mod_day_index = $3)
-            )
-        `, [salonId, dateString, dayOfWeek]);
+        return checkSlotInDay(ctx, staffId, startMinutes, endMinutes);
         
-        // Check for complete day closures
-        const fullDayClosures = modifications.filter(mod => mod.closure_type === 'full_day');
-        if (fullDayClosures.length > 0) {
-            return { valid: false, message: 'الصالون مغلق في هذا اليوم بسبب ظروف خاصة.' };
+    } catch (error) {
+        console.error('Error validating booking slot:', error);
+        return { valid: false, reason: 'error', message: 'خطأ في التحقق من صحة الموعد.' };
+    }
+}
+
+// Bookable start times (HH:MM) for a salon day, per staff member and for "Any Staff".
+// Uses the same day context and slot rules as validateBookingSlot. Returns null if the salon has no schedule.
+// With options.serviceIds only qualified staff are listed, each with their own service duration.
+async function computeAvailableSlots(salonId, dateString, serviceDuration, staffId = null, options = {}) {
+    const dayOfWeek = dayOfWeekOf(dateString);
+    const ctx = await loadBookingDayContext(salonId, dateString, dayOfWeek, options);
+    if (!ctx) return null;
+
+    const now = new Date();
+    const startsFor = (candidateStaffId) => {
+        const starts = [];
+        const duration = candidateStaffId ? staffServiceDuration(ctx, candidateStaffId, serviceDuration) : serviceDuration;
+        for (let m = ctx.dayStartMinutes; m + duration <= ctx.dayEndMinutes; m += AVAILABILITY_SLOT_MINUTES) {
+            if (checkSlotInDay(ctx, candidateStaffId, m, m + duration, now).valid) {
+                starts.push(minutesToTime(m % (24 * 60)));
+            }
         }
-        
-        // Check if booking is within operating hours
-        if (startMinutes < openMinutes || endMinutes > closeMinutes) {
-            return { valid: false, message: 'الموعد خارج ساعات العمل.' };
+        return starts;
+    };
+
+    const requestedStaffId = parseInt(staffId) || 0;
+    const staffList = (requestedStaffId
+        ? ctx.staff.filter(member => parseInt(member.id) === requestedStaffId)
+        : ctx.staff).filter(member => !ctx.serviceIds || staffCanPerform(ctx.staffSkills, member.id, ctx.serviceIds));
+
+    return {
+        staff: staffList.map(member => ({ staff_id: member.id, staff_name: member.name, duration: staffServiceDuration(ctx, member.id, serviceDuration), slots: startsFor(member.id) })),
+        any_staff: requestedStaffId ? [] : startsFor(0)
+    };
+}
+
+// Start times (HH:MM) on a salon day at which lines can be chained across staff, each with its plan.
+// Returns null if the salon has no schedule.
+async function computeServiceChains(salonId, dateString, lines) {
+    const dayOfWeek = dayOfWeekOf(dateString);
+    const ctx = await loadBookingDayContext(salonId, dateString, dayOfWeek, { serviceIds: lines.map(line => line.serviceId) });
+    if (!ctx) return null;
+    const now = new Date();
+    const chains = [];
+    for (let m = ctx.dayStartMinutes; m < ctx.dayEndMinutes; m += AVAILABILITY_SLOT_MINUTES) {
+        const plan = planServiceChain(ctx, lines, m, now);
+        if (!plan) continue;
+        chains.push({
+            start_time: minutesToTime(m),
+            end_time: minutesToTime(plan[plan.length - 1].endMinutes),
+            segments: plan.map(segment => ({
+                service_id: segment.serviceId,
+                staff_id: segment.staffId,
+                staff_name: segment.staffName,
+                start_time: minutesToTime(segment.startMinutes),
+                end_time: minutesToTime(segment.endMinutes)
+            }))
+        });
+    }
+    return chains;
+}
+
+// Plan a chain for lines starting exactly at startTime (full datetime). Same options as
+// loadBookingDayContext. Returns segments with full start_time/end_time datetimes, or null.
+async function planServiceChainAt(salonId, startTime, lines, options = {}) {
+    const start = normalizeDateTime(startTime);
+    const dateString = start.substring(0, 10);
+    const dayOfWeek = dayOfWeekOf(dateString);
+    const ctx = await loadBookingDayContext(salonId, dateString, dayOfWeek, { ...options, serviceIds: lines.map(line => line.serviceId) });
+    if (!ctx) return null;
+    const startMinutes = timeToMinutes(extractClockTime(start));
+    const plan = planServiceChain(ctx, lines, startMinutes);
+    if (!plan) return null;
+    return plan.map(segment => ({
+        service_id: segment.serviceId,
+        staff_id: segment.staffId,
+        staff_name: segment.staffName,
+        start_time: addMinutesToDateTime(start, segment.startMinutes - startMinutes),
+        end_time: addMinutesToDateTime(start, segment.endMinutes - startMinutes)
+    }));
+}
+
+// A salon's booking policy with platform defaults filled in for anything it has not set
+async function getSalonPolicy(salonId) {
+    const row = await dbGet('SELECT * FROM salon_policies WHERE salon_id = $1', [salonId]);
+    const policy = { ...DEFAULT_SALON_POLICY };
+    if (!row) return policy;
+    for (const key of Object.keys(DEFAULT_SALON_POLICY)) {
+        if (row[key] === null || row[key] === undefined) continue;
+        const fallback = DEFAULT_SALON_POLICY[key];
+        if (typeof fallback === 'boolean') policy[key] = row[key] === true || row[key] === 1;
+        else if (typeof fallback === 'number') policy[key] = Number(row[key]);
+        else policy[key] = row[key];
+    }
+    return policy;
+}
+
+// Add a weighted strike for a late cancellation or no-show. Returns the user's new lifetime total,
+// or null when the policy weight is 0 and nothing was recorded.
+async function recordStrike({ userId, salonId, appointmentId = null, reason, weight }) {
+    if (!weight || weight <= 0) return null;
+    await dbRun('INSERT INTO user_strikes (user_id, salon_id, appointment_id, reason, weight, created_at) VALUES ($1, $2, $3, $4, $5, $6)', [userId, salonId, appointmentId, reason, weight, new Date().toISOString()]);
+    const strikeResult = await dbGet('UPDATE users SET strikes = COALESCE(strikes, 0) + $1 WHERE id = $2 RETURNING strikes', [weight, userId]);
+    return strikeResult ? strikeResult.strikes : null;
+}
+
+// Undo the strikes recorded for an appointment, e.g. when a disputed absence is corrected
+async function revokeAppointmentStrikes(appointmentId, reason) {
+    const rows = await dbAll('SELECT id, user_id, weight FROM user_strikes WHERE appointment_id = $1 AND reason = $2', [appointmentId, reason]);
+    for (const row of rows) {
+        await dbRun('DELETE FROM user_strikes WHERE id = $1', [row.id]);
+        await dbRun('UPDATE users SET strikes = CASE WHEN COALESCE(strikes, 0) > $1 THEN strikes - $1 ELSE 0 END WHERE id = $2', [row.weight, row.user_id]);
+    }
+    return rows.length;
+}
+
+// Strikes that still count under a policy's decay window. Strikes from before user_strikes
+// existed only show up in users.strikes; they are kept when strikes never decay and treated
+// as expired otherwise.
+async function getActiveStrikes(userId, policy) {
+    const user = await dbGet('SELECT strikes FROM users WHERE id = $1', [userId]);
+    const lifetime = user ? Number(user.strikes || 0) : 0;
+    const recorded = await dbGet('SELECT COALESCE(SUM(weight), 0) AS total FROM user_strikes WHERE user_id = $1', [userId]);
+    const recordedTotal = Number(recorded ? recorded.total : 0);
+    if (!policy.strike_decay_days) {
+        return recordedTotal + Math.max(0, lifetime - recordedTotal);
+    }
+    const since = new Date(Date.now() - policy.strike_decay_days * 24 * 60 * 60 * 1000).toISOString();
+    const recent = await dbGet('SELECT COALESCE(SUM(weight), 0) AS total FROM user_strikes WHERE user_id = $1 AND created_at >= $2', [userId, since]);
+    return Number(recent ? recent.total : 0);
+}
+
+// Whether a customer may book at a salon under its strike policy.
+// Returns { allowed, requires_prepayment, strikes, threshold, code?, message? }.
+async function evaluateBookingEligibility(userId, salonId) {
+    const policy = await getSalonPolicy(salonId);
+    const strikes = await getActiveStrikes(userId, policy);
+    const result = { allowed: true, requires_prepayment: false, strikes, threshold: policy.strike_threshold };
+    if (policy.strike_action === 'none' || !policy.strike_threshold || strikes < policy.strike_threshold) {
+        return result;
+    }
+    if (policy.strike_action === 'prepay') {
+        return { ...result, requires_prepayment: true, code: 'PREPAYMENT_REQUIRED', message: `بسبب تجاوز حد الإنذارات (${strikes}/${policy.strike_threshold}) يتطلب هذا الصالون الدفع المسبق للحجز.` };
+    }
+    return { ...result, allowed: false, code: 'BOOKING_BLOCKED', message: `عفواً، لا يمكنك إجراء حجوزات جديدة حالياً بسبب تجاوز حد الإنذارات (${strikes}/${policy.strike_threshold}).` };
+}
+
+// ===================================
+// Booking deposits
+// ===================================
+// Deposit owed for a booking of server-priced services ([{ id, price }]). A service's own rule
+// replaces the salon's for that service; a salon-wide fixed amount is charged once per booking.
+// Customers past a 'prepay' strike threshold pay the full price up front. payable is the booking's
+// price after any promotion and caps the deposit. Returns 0 when none is due.
+async function computeBookingDeposit(salonId, services, { prepayRequired = false, policy = null, payable = null, runner = db } = {}) {
+    const total = payable === null ? services.reduce((sum, service) => sum + (Number(service.price) || 0), 0) : payable;
+    if (prepayRequired) return Math.round(total * 100) / 100;
+    const salonPolicy = policy || await getSalonPolicy(salonId);
+    let deposit = 0;
+    let salonFixedDue = false;
+    for (const service of services) {
+        const row = await runner.get('SELECT deposit_type, deposit_value FROM salon_services WHERE salon_id = $1 AND service_id = $2', [salonId, service.id]);
+        const ownRule = !!(row && row.deposit_type);
+        const type = ownRule ? row.deposit_type : salonPolicy.deposit_type;
+        const value = Number(ownRule ? row.deposit_value : salonPolicy.deposit_value) || 0;
+        if (type === 'percent') deposit += (Number(service.price) || 0) * value / 100;
+        else if (type === 'fixed' && ownRule) deposit += value;
+        else if (type === 'fixed') salonFixedDue = true;
+    }
+    if (salonFixedDue) deposit += Number(salonPolicy.deposit_value) || 0;
+    return Math.round(Math.min(deposit, total) * 100) / 100;
+}
+
+// ===================================
+// Promotions
+// ===================================
+// Promotions a customer can get for a booking at startTime, with what each one takes off subtotal.
+// Usage limits count redemptions whose appointment was not cancelled or rejected.
+async function eligiblePromotions({ salonId, userId, startTime, subtotal, promoCode = null, runner = db }) {
+    const start = normalizeDateTime(startTime);
+    const date = start.substring(0, 10);
+    const clock = start.substring(11, 16);
+    const promotions = await runner.query(`
+        SELECT * FROM salon_promotions
+        WHERE salon_id = $1 AND is_active = TRUE AND (starts_on IS NULL OR starts_on <= $2) AND (ends_on IS NULL OR ends_on >= $2)
+    `, [salonId, date]);
+    const code = promoCode ? String(promoCode).trim().toUpperCase() : null;
+    const eligible = [];
+    for (const promotion of promotions) {
+        if (promotion.kind === 'code' && promotion.code !== code) continue;
+        if (promotion.kind === 'off_peak') {
+            const days = promotion.off_peak_days ? JSON.parse(promotion.off_peak_days) : null;
+            if (days && !days.includes(dayOfWeekOf(date))) continue;
+            if (clock < promotion.off_peak_start || clock >= promotion.off_peak_end) continue;
         }
-        
-        // Check if booking is in the past (for today)
-        if (isToday) {
-            const nowMinutes = timeToMinutes(now.toTimeString().substring(0, 5));
-            const minStartMinutes = Math.ceil((nowMinutes + 30) / 30) * 30;
-            if (startMinutes < minStartMinutes) {
-                return { valid: false, message: 'لا يمكن حجز موعد في الماضي.' };
-            }
+        if (promotion.kind === 'first_visit') {
+            const earlier = await runner.get(`SELECT id FROM appointments WHERE salon_id = $1 AND user_id = $2 AND status NOT IN ('Cancelled', 'Rejected')`, [salonId, userId]);
+            if (earlier) continue;
         }
-        
-        // Check for blocked time periods (interval closures)
-        for (const mod of modifications) {
-            if (mod.closure_type === 'interval' && mod.start_time && mod.end_time) {
-                const modStart = timeToMinutes(mod.start_time);
-                const modEnd = timeToMinutes(mod.end_time);
-                const modStaffId = mod.staff_id || 0;
-                
-                // Check if modification applies to this staff member
-                const staffMatch = modStaffId === 0 || parseInt(modStaffId) === parseInt(staffId);
-                
-                if (staffMatch && startMinutes < modEnd && endMinutes > modStart) {
-                    return { valid: false, message: 'الوقت المحدد غير متاح بسبب ظروف خاصة.' };
-                }
-            }
+        if (promotion.max_uses_per_user || promotion.max_uses_total) {
+            const usage = await runner.get(`
+                SELECT COUNT(*) AS total, COALESCE(SUM(CASE WHEN r.user_id = $2 THEN 1 ELSE 0 END), 0) AS mine
+                FROM promotion_redemptions r
+                JOIN appointments a ON a.id = r.appointment_id
+                WHERE r.promotion_id = $1 AND a.status NOT IN ('Cancelled', 'Rejected')
+            `, [promotion.id, userId]);
+            if (promotion.max_uses_per_user && Number(usage.mine) >= promotion.max_uses_per_user) continue;
+            if (promotion.max_uses_total && Number(usage.total) >= promotion.max_uses_total) continue;
         }
-        
-        // Get breaks for this salon
-        const breaks = await dbAll('SELECT * FROM breaks WHERE salon_id = $1', [salonId]);
-        
-        // Check for break conflicts
-        for (const breakItem of breaks) {
-            const breakStart = timeToMinutes(breakItem.start_time);
-            const breakEnd = timeToMinutes(breakItem.end_time);
-            const breakStaffId = breakItem.staff_id || 0;
-            
-            // Check if break applies to this staff member
-            const staffMatch = breakStaffId === 0 || parseInt(breakStaffId) === parseInt(staffId);
-            
-            if (staffMatch && startMinutes < breakEnd && endMinutes > breakStart) {
-                return { valid: false, message: 'الوقت المحدد يتعارض مع فترة استراحة.' };
-            }
+        const value = Number(promotion.discount_value) || 0;
+        const discount = promotion.discount_type === 'percent' ? subtotal * value / 100 : value;
+        eligible.push({ promotion, discount: Math.round(Math.min(discount, subtotal) * 100) / 100 });
+    }
+    return eligible;
+}
+
+// Price a booking from the salon's prices: the best single promotion is applied (they do not stack).
+// A promo code that cannot be used is an error so the customer is not charged full price unknowingly.
+// Returns { subtotal, discount, price, promotion } or { error }.
+async function priceBooking({ salonId, userId, startTime, services, promoCode = null, runner = db }) {
+    const subtotal = Math.round(services.reduce((sum, service) => sum + (Number(service.price) || 0), 0) * 100) / 100;
+    const eligible = await eligiblePromotions({ salonId, userId, startTime, subtotal, promoCode, runner });
+    if (promoCode && !eligible.some(option => option.promotion.kind === 'code')) {
+        return { error: 'رمز الخصم غير صالح أو لا ينطبق على هذا الحجز.' };
+    }
+    const best = eligible.reduce((top, option) => (!top || option.discount > top.discount ? option : top), null);
+    const discount = best ? best.discount : 0;
+    return { subtotal, discount, price: Math.round((subtotal - discount) * 100) / 100, promotion: best ? best.promotion : null };
+}
+
+// Store the promotion used by a new appointment; runs in the booking transaction
+async function recordPromotionRedemption(tx, { appointmentId, userId, pricing }) {
+    if (!pricing.promotion) return;
+    await tx.run('INSERT INTO promotion_redemptions (promotion_id, appointment_id, user_id, discount) VALUES ($1, $2, $3, $4)', [pricing.promotion.id, appointmentId, userId, pricing.discount]);
+}
+
+// Record the pending deposit of a new PendingPayment appointment. Runs in the booking transaction;
+// the provider is only contacted by openDepositCheckout once the booking is committed.
+async function createDepositPayment(tx, { appointmentId, salonId, userId, amount, holdMinutes }) {
+    const provider = getPaymentProvider();
+    const expires_at = new Date(Date.now() + holdMinutes * 60 * 1000).toISOString();
+    const row = await tx.get('INSERT INTO customer_payments (appointment_id, salon_id, user_id, kind, amount, currency, provider, expires_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id', [appointmentId, salonId, userId, 'deposit', amount, PAYMENT_CURRENCY, provider.name, expires_at]);
+    return { id: row.id, appointment_id: appointmentId, amount, currency: PAYMENT_CURRENCY, provider: provider.name, expires_at };
+}
+
+// Start the deposit with its provider. Returns what the client needs to pay, or null when the
+// provider could not be reached, in which case the booking is released straight away.
+async function openDepositCheckout(payment) {
+    try {
+        const checkout = await getPaymentProvider(payment.provider).createPayment({ amount: payment.amount, currency: payment.currency, reference: `deposit-${payment.id}`, description: `Booking deposit #${payment.appointment_id}` });
+        await dbRun('UPDATE customer_payments SET provider_ref = $1 WHERE id = $2', [checkout.providerRef, payment.id]);
+        return { payment_id: payment.id, amount: payment.amount, currency: payment.currency, provider: payment.provider, expires_at: payment.expires_at, checkout_url: checkout.checkoutUrl || null };
+    } catch (error) {
+        console.error('Deposit checkout error:', error.message);
+        await dbRun(`UPDATE customer_payments SET status = 'cancelled' WHERE id = $1`, [payment.id]);
+        await transitionAppointmentStatus({ appointmentId: payment.appointment_id, toStatus: 'Cancelled', actorType: 'system', reason: 'تعذر بدء عملية الدفع.' });
+        return null;
+    }
+}
+
+// Apply a provider's verdict on a deposit. Paying confirms the booking; money that arrives after the
+// booking was released is flagged 'refund_due' for the salon. Returns { ok, code?, message? }.
+async function settleDepositPayment(paymentId, status) {
+    if (status !== 'paid') {
+        return { ok: false, code: 'PAYMENT_FAILED', message: 'لم تتم عملية الدفع. يمكنك المحاولة مرة أخرى قبل انتهاء المهلة.' };
+    }
+    const initial = await dbGet('SELECT salon_id FROM customer_payments WHERE id = $1', [paymentId]);
+    if (!initial) {
+        return { ok: false, code: 'NOT_FOUND', message: 'Payment not found.' };
+    }
+    const outcome = await db.transaction(async (tx) => {
+        await tx.lock(initial.salon_id);
+        const payment = await tx.get('SELECT * FROM customer_payments WHERE id = $1', [paymentId]);
+        if (payment.status === 'paid') return { ok: true, alreadyPaid: true };
+        const paidAt = new Date().toISOString();
+        const transition = payment.status === 'pending'
+            ? await transitionAppointmentStatus({ appointmentId: payment.appointment_id, toStatus: 'Scheduled', actorType: 'system', details: { payment_id: payment.id, deposit: Number(payment.amount) }, runner: tx })
+            : { ok: false };
+        if (!transition.ok) {
+            await tx.run(`UPDATE customer_payments SET status = 'refund_due', paid_at = $1 WHERE id = $2`, [paidAt, payment.id]);
+            return { ok: false, code: 'PAYMENT_EXPIRED', message: 'انتهت مهلة الدفع وتم إلغاء الحجز. سيتم إرجاع المبلغ المدفوع.' };
         }
-        
-        // Get existing appointments for this date
-        const appointments = await dbAll(`
-            SELECT * FROM appointments 
-            WHERE salon_id = $1 AND DATE(start_time) = $2 
-            AND status NOT IN ('Cancelled', 'Completed', 'Rejected', 'No_Show', 'Absent')
-        `, [salonId, dateString]);
-        
-        // Check for appointment conflicts
-        for (const appt of appointments) {
-            if (!appt.start_time || !appt.end_time) continue;
-            
-            let apptStartMinutes, apptEndMinutes;
-            try {
-                // Handle both ISO format and SQL format
-                let startTimePart, endTimePart;
-                
-                if (appt.start_time.includes('T')) {
-                    startTimePart = appt.start_time.split('T')[1];
-                } else if (appt.start_time.includes(' ')) {
-                    startTimePart = appt.start_time.split(' ')[1];
-                } else {
-                    continue;
-                }
-                
-                if (appt.end_time.includes('T')) {
-                    endTimePart = appt.end_time.split('T')[1];
-                } else if (appt.end_time.includes(' ')) {
-                    endTimePart = appt.end_time.split(' ')[1];
-                } else {
-                    continue;
-                }
-                
-                if (!startTimePart || !endTimePart) continue;
-                
-                apptStartMinutes = timeToMinutes(startTimePart.substring(0, 5));
-                apptEndMinutes = timeToMinutes(endTimePart.substring(0, 5));
-            } catch (e) {
-                console.error('Error processing appointment times:', e, appt);
+        await tx.run(`UPDATE customer_payments SET status = 'paid', paid_at = $1 WHERE id = $2`, [paidAt, payment.id]);
+        const appointment = await tx.get('SELECT a.*, st.name AS staff_name FROM appointments a LEFT JOIN staff st ON a.staff_id = st.id WHERE a.id = $1', [payment.appointment_id]);
+        return { ok: true, payment, appointment };
+    });
+    if (outcome.ok && outcome.payment) {
+        // The salon hears about deposit bookings once they are confirmed
+        try {
+            const { appointment } = outcome;
+            await sendSalonEvent(appointment.salon_id, 'appointment_booked', { appointmentId: appointment.id, user_id: appointment.user_id, staff_id: appointment.staff_id, staff_name: appointment.staff_name, start_time: appointment.start_time, end_time: appointment.end_time, price: Number(appointment.price), deposit: Number(outcome.payment.amount) });
+        } catch {}
+    }
+    return { ok: outcome.ok, code: outcome.code, message: outcome.message };
+}
+
+// Record (or correct) how a completed appointment was paid for. The receipt number is kept
+// across corrections. Returns { ok: true, settlement } or { ok: false, code, message }.
+async function recordAppointmentSettlement(appointmentId, { method, amount, tip = 0, discount = 0, note = null }) {
+    const found = await dbGet('SELECT salon_id FROM appointments WHERE id = $1', [appointmentId]);
+    if (!found) {
+        return { ok: false, code: 'NOT_FOUND', message: 'Appointment not found.' };
+    }
+    // Under the salon's lock so two settlements of the same appointment cannot both replace the old row
+    return db.transaction(async (tx) => {
+        await tx.lock(found.salon_id);
+        const appointment = await tx.get('SELECT id, salon_id, user_id, status, price FROM appointments WHERE id = $1', [appointmentId]);
+        if (!appointment || appointment.status !== 'Completed') {
+            return { ok: false, code: 'NOT_COMPLETED', message: 'يمكن تسجيل الدفع للمواعيد المكتملة فقط.' };
+        }
+        const price = Number(appointment.price) || 0;
+        if (discount > price) {
+            return { ok: false, code: 'INVALID_DISCOUNT', message: 'الخصم لا يمكن أن يتجاوز سعر الموعد.' };
+        }
+        const depositRow = await tx.get(`SELECT COALESCE(SUM(amount), 0) AS total FROM customer_payments WHERE appointment_id = $1 AND kind = 'deposit' AND status = 'paid'`, [appointmentId]);
+        const depositPaid = Number(depositRow ? depositRow.total : 0);
+        const due = Math.max(0, Math.round((price - discount - depositPaid) * 100) / 100);
+        const paidAmount = amount === undefined ? due : amount;
+        const previous = await tx.get(`SELECT receipt_number FROM customer_payments WHERE appointment_id = $1 AND kind = 'settlement'`, [appointmentId]);
+        const paidAt = new Date().toISOString();
+        const receiptNumber = previous ? previous.receipt_number : `RC-${paidAt.substring(0, 10).replace(/-/g, '')}-${appointmentId}`;
+        await tx.run(`DELETE FROM customer_payments WHERE appointment_id = $1 AND kind = 'settlement'`, [appointmentId]);
+        await tx.run(`
+            INSERT INTO customer_payments (appointment_id, salon_id, user_id, kind, amount, currency, status, provider, paid_at, method, tip, discount, note, receipt_number)
+            VALUES ($1, $2, $3, 'settlement', $4, $5, 'paid', 'salon', $6, $7, $8, $9, $10, $11)
+        `, [appointmentId, appointment.salon_id, appointment.user_id, paidAmount, PAYMENT_CURRENCY, paidAt, method, tip, discount, note, receiptNumber]);
+        await recordAppointmentEvent(tx, { appointmentId, eventType: 'payment_recorded', actorType: 'salon', details: { method, amount: paidAmount, tip, discount, deposit: depositPaid } });
+        return { ok: true, settlement: { receipt_number: receiptNumber, method, amount: paidAmount, tip, discount, deposit: depositPaid, total_paid: Math.round((depositPaid + paidAmount + tip) * 100) / 100 } };
+    });
+}
+
+// Release bookings whose deposit was not paid in time, and close pending deposits of bookings
+// that were cancelled in the meantime
+async function expireDepositPayments() {
+    try {
+        const stale = await dbAll(`
+            SELECT p.id, p.appointment_id, p.salon_id, a.status AS appointment_status, a.start_time
+            FROM customer_payments p
+            JOIN appointments a ON a.id = p.appointment_id
+            WHERE p.status = 'pending' AND (p.expires_at < $1 OR a.status <> 'PendingPayment')
+        `, [new Date().toISOString()]);
+        for (const payment of stale) {
+            if (payment.appointment_status !== 'PendingPayment') {
+                await dbRun(`UPDATE customer_payments SET status = 'cancelled' WHERE id = $1 AND status = 'pending'`, [payment.id]);
                 continue;
             }
-            
-            const apptStaffId = appt.staff_id === null || appt.staff_id === undefined ? 0 : parseInt(appt.staff_id);
-            
-            // Check for direct staff conflict
-            if (parseInt(staffId) !== 0 && apptStaffId === parseInt(staffId)) {
-                if (startMinutes < apptEndMinutes && endMinutes > apptStartMinutes) {
-                    return { valid: false, message: 'الموظف غير متاح في هذا الوقت - يوجد موعد آخر.' };
+            const transition = await transitionAppointmentStatus({ appointmentId: payment.appointment_id, toStatus: 'Cancelled', actorType: 'system', reason: 'لم يتم دفع العربون في الوقت المحدد.', details: { payment_id: payment.id } });
+            if (!transition.ok) continue;
+            await dbRun(`UPDATE customer_payments SET status = 'expired' WHERE id = $1 AND status = 'pending'`, [payment.id]);
+            await notifyWaitlistOfFreedSlot(payment.salon_id, payment.start_time);
+        }
+    } catch (error) {
+        console.error('Error expiring deposit payments:', error);
+    }
+}
+
+// Append to an appointment's audit history. runner is db or a transaction handle.
+async function recordAppointmentEvent(runner, { appointmentId, eventType, fromStatus = null, toStatus = null, actorType, actorId = null, reason = null, details = null }) {
+    await runner.run(
+        'INSERT INTO appointment_events (appointment_id, event_type, from_status, to_status, actor_type, actor_id, reason, details, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)',
+        [appointmentId, eventType, fromStatus, toStatus, actorType, actorId, reason, details ? JSON.stringify(details) : null, new Date().toISOString()]
+    );
+}
+
+// Move an appointment to a new status if the state machine allows it for this actor.
+// The update only applies if the status is still the one that was checked, so concurrent
+// changes cannot both win. Returns { ok: true, from, to } or { ok: false, code, message }.
+async function transitionAppointmentStatus({ appointmentId, toStatus, actorType, actorId = null, reason = null, details = null, runner = db }) {
+    const appointment = await runner.get('SELECT id, status FROM appointments WHERE id = $1', [appointmentId]);
+    if (!appointment) {
+        return { ok: false, code: 'NOT_FOUND', message: 'Appointment not found.' };
+    }
+    const fromStatus = appointment.status;
+    const rule = (APPOINTMENT_TRANSITIONS[fromStatus] || {})[toStatus];
+    if (!rule) {
+        return { ok: false, code: 'INVALID_TRANSITION', message: `لا يمكن تغيير حالة الموعد من "${fromStatus}" إلى "${toStatus}".` };
+    }
+    if (!rule.actors.includes(actorType)) {
+        return { ok: false, code: 'FORBIDDEN_TRANSITION', message: 'غير مصرح لك بتغيير حالة هذا الموعد.' };
+    }
+    const trimmedReason = reason ? String(reason).trim() : '';
+    if (rule.reasonRequired && !trimmedReason) {
+        return { ok: false, code: 'REASON_REQUIRED', message: 'يجب ذكر سبب لهذا التغيير.' };
+    }
+    const result = await runner.run('UPDATE appointments SET status = $1 WHERE id = $2 AND status = $3', [toStatus, appointmentId, fromStatus]);
+    if (!result || !result.changes) {
+        return { ok: false, code: 'CONFLICT', message: 'تم تغيير حالة الموعد للتو. يرجى تحديث الصفحة.' };
+    }
+    await recordAppointmentEvent(runner, { appointmentId, eventType: 'status_changed', fromStatus, toStatus, actorType, actorId, reason: trimmedReason || null, details });
+    return { ok: true, from: fromStatus, to: toStatus };
+}
+
+// Who is acting on a customer's booking: 'customer' for its owner, 'salon' for the salon's
+// owner account, 'admin' for a platform admin, otherwise null. row needs user_id and salon_id.
+async function resolveAppointmentActor(user, row) {
+    const userId = user && user.id;
+    if (!userId) return null;
+    if (String(row.user_id) === String(userId)) return 'customer';
+    if (user.role === 'admin') return 'admin';
+    const owned = await dbGet('SELECT id FROM salons WHERE id = $1 AND user_id = $2', [row.salon_id, userId]);
+    return owned ? 'salon' : null;
+}
+
+// Total length of the services; with a staffId, that staff member's duration overrides apply
+async function sumServiceDuration(salonId, serviceIds, staffId = 0, runner = db) {
+    const skills = staffId ? (await loadStaffSkills(salonId, runner)).get(parseInt(staffId)) : null;
+    let total = 0;
+    for (const serviceId of serviceIds) {
+        const skill = skills ? skills.get(parseInt(serviceId)) : null;
+        if (skill && skill.duration !== null) {
+            total += skill.duration;
+            continue;
+        }
+        const serviceDetails = await runner.get('SELECT duration FROM salon_services WHERE salon_id = $1 AND service_id = $2', [salonId, serviceId]);
+        if (serviceDetails && serviceDetails.duration) {
+            total += serviceDetails.duration;
+        }
+    }
+    return total;
+}
+
+// Salon prices and durations for the services, using the staff member's overrides when staffId is given.
+// Returns [{ id, price, duration }] or null if the salon does not offer one of them.
+// runner is db or the booking transaction.
+async function resolveServicePrices(salonId, serviceIds, staffId = 0, runner = db) {
+    const skills = staffId ? (await loadStaffSkills(salonId, runner)).get(parseInt(staffId)) : null;
+    const priced = [];
+    for (const serviceId of serviceIds) {
+        const row = await runner.get('SELECT price, duration FROM salon_services WHERE salon_id = $1 AND service_id = $2', [salonId, serviceId]);
+        if (!row) return null;
+        const skill = skills ? skills.get(parseInt(serviceId)) : null;
+        priced.push({
+            id: serviceId,
+            price: skill && skill.price !== null ? skill.price : Number(row.price) || 0,
+            duration: skill && skill.duration !== null ? skill.duration : Number(row.duration) || 0
+        });
+    }
+    return priced;
+}
+
+// Compare the terms a client posted with the salon's (quoted by resolveServicePrices). Anything the
+// client left out is not checked. Returns null when they agree, otherwise the salon's terms to send back.
+function findPricingMismatch(quoted, { services = [], price, startTime, endTime }) {
+    const subtotal = Math.round(quoted.reduce((sum, service) => sum + service.price, 0) * 100) / 100;
+    const duration = quoted.reduce((sum, service) => sum + service.duration, 0);
+    const differs = (a, b) => Math.abs(Number(a) - Number(b)) >= 0.01;
+    const tampered = services.some(line => {
+        if (line.price === undefined) return false;
+        const match = quoted.find(service => String(service.id) === String(line.id));
+        return !match || differs(line.price, match.price);
+    })
+        || (price !== undefined && differs(price, subtotal))
+        || (!!endTime && minutesBetween(startTime, endTime) !== duration);
+    return tampered ? { services: quoted, price: subtotal, duration } : null;
+}
+
+// ===================================
+// Packages
+// ===================================
+const PACKAGE_SESSIONS_USED_SQL = `(SELECT COUNT(*) FROM package_redemptions r JOIN appointments a ON a.id = r.appointment_id
+    WHERE r.customer_package_id = cp.id AND a.status NOT IN ('Cancelled', 'Rejected'))`;
+
+// Customers' packages with their balance, filtered by userId and/or salonId. Pending purchases and
+// cancelled packages are left out. state is 'active', 'used' or 'expired'.
+async function loadCustomerPackages({ userId = null, salonId = null } = {}) {
+    const where = ["cp.status = 'active'"];
+    const params = [];
+    if (userId) {
+        params.push(userId);
+        where.push(`cp.user_id = $${params.length}`);
+    }
+    if (salonId) {
+        params.push(salonId);
+        where.push(`cp.salon_id = $${params.length}`);
+    }
+    const rows = await dbAll(`
+        SELECT cp.id, cp.package_id, cp.salon_id, cp.user_id, cp.title, cp.service_ids, cp.sessions_total, cp.price, cp.source,
+               cp.purchased_at, cp.expires_on, s.salon_name, u.name AS user_name, u.phone AS user_phone,
+               ${PACKAGE_SESSIONS_USED_SQL} AS sessions_used
+        FROM customer_packages cp
+        JOIN salons s ON s.id = cp.salon_id
+        JOIN users u ON u.id = cp.user_id
+        WHERE ${where.join(' AND ')}
+        ORDER BY cp.expires_on DESC, cp.id DESC
+    `, params);
+    const todays = new Map();
+    const packages = [];
+    for (const row of rows) {
+        if (!todays.has(row.salon_id)) todays.set(row.salon_id, await salonToday(row.salon_id));
+        const sessionsLeft = Math.max(0, row.sessions_total - Number(row.sessions_used));
+        packages.push({
+            ...row,
+            service_ids: JSON.parse(row.service_ids || '[]'),
+            price: Number(row.price),
+            sessions_used: Number(row.sessions_used),
+            sessions_left: sessionsLeft,
+            state: row.expires_on < todays.get(row.salon_id) ? 'expired' : (sessionsLeft === 0 ? 'used' : 'active')
+        });
+    }
+    return packages;
+}
+
+// Last day a package bought today can be used, in the salon's zone
+async function packageExpiryDate(salonId, validityDays) {
+    return addMinutesToDateTime(`${await salonToday(salonId)} 00:00:00`, validityDays * 24 * 60).substring(0, 10);
+}
+
+// Cover services of a new booking with sessions from the customer's package: each booked package
+// service takes one session and is not charged. Runs in the booking transaction. Returns { error } or
+// { customerPackageId, covered: [serviceId], services } with the covered services priced at 0.
+async function applyPackageSessions(tx, { customerPackageId, userId, salonId, startTime, services }) {
+    const row = await tx.get(`SELECT cp.*, ${PACKAGE_SESSIONS_USED_SQL} AS sessions_used FROM customer_packages cp WHERE cp.id = $1`, [customerPackageId]);
+    if (!row || String(row.user_id) !== String(userId) || String(row.salon_id) !== String(salonId) || row.status !== 'active') {
+        return { error: 'الباقة غير متاحة لهذا الحجز.' };
+    }
+    if (normalizeDateTime(startTime).substring(0, 10) > row.expires_on) {
+        return { error: 'تنتهي صلاحية الباقة قبل موعد هذا الحجز.' };
+    }
+    const included = new Set(JSON.parse(row.service_ids || '[]').map(String));
+    let left = row.sessions_total - Number(row.sessions_used);
+    const covered = [];
+    const repriced = services.map(service => {
+        if (left <= 0 || !included.has(String(service.id))) return service;
+        left -= 1;
+        covered.push(service.id);
+        return { ...service, price: 0 };
+    });
+    if (covered.length === 0) {
+        return { error: 'لا توجد جلسات متبقية في الباقة للخدمات المختارة.' };
+    }
+    return { customerPackageId: row.id, covered, services: repriced };
+}
+
+// Store the sessions a new appointment used; runs in the booking transaction
+async function recordPackageRedemptions(tx, { appointmentId, redemption }) {
+    if (!redemption) return;
+    for (const serviceId of redemption.covered) {
+        await tx.run('INSERT INTO package_redemptions (customer_package_id, appointment_id, service_id) VALUES ($1, $2, $3)', [redemption.customerPackageId, appointmentId, serviceId]);
+    }
+}
+
+// Result of an online package purchase from the provider: 'paid' activates the package from today,
+// anything else cancels it. Returns { ok } or { ok: false, code, message } like settleDepositPayment.
+async function settlePackagePurchase(customerPackageId, status) {
+    const row = await dbGet('SELECT id, salon_id, validity_days, status FROM customer_packages WHERE id = $1', [customerPackageId]);
+    if (!row) return { ok: false, code: 'NOT_FOUND', message: 'Package not found.' };
+    if (row.status === 'active') return { ok: true };
+    if (row.status !== 'pending') return { ok: false, code: 'PACKAGE_CANCELLED', message: 'تم إلغاء عملية شراء هذه الباقة.' };
+    if (status !== 'paid') {
+        await dbRun("UPDATE customer_packages SET status = 'cancelled' WHERE id = $1 AND status = 'pending'", [row.id]);
+        return { ok: false, code: 'PAYMENT_FAILED', message: 'لم تتم عملية الدفع. لم يتم شراء الباقة.' };
+    }
+    const expiresOn = await packageExpiryDate(row.salon_id, row.validity_days);
+    await dbRun("UPDATE customer_packages SET status = 'active', purchased_at = $1, expires_on = $2 WHERE id = $3 AND status = 'pending'", [new Date().toISOString(), expiresOn, row.id]);
+    return { ok: true };
+}
+
+// ===================================
+// Staff time tracking
+// ===================================
+// A shift (staff_time_entries row) starts when a staff member clocks in with their PIN role session and
+// is tied to that session: it ends on logout, or when the session expires or is revoked. Instants are
+// stored as UTC ISO strings; timesheets are reported in the salon's zone.
+
+// Open a shift for the staff member behind a role session; one already open is kept and moved to
+// the new session. Returns { id, clock_in }.
+async function clockInStaff({ salonId, staffId, staffRoleId, roleSessionId }) {
+    await closeEndedShifts();
+    const open = await dbGet('SELECT id, clock_in FROM staff_time_entries WHERE salon_id = $1 AND staff_id = $2 AND clock_out IS NULL', [salonId, staffId]);
+    if (open) {
+        await dbRun('UPDATE staff_time_entries SET role_session_id = $1, staff_role_id = $2 WHERE id = $3', [roleSessionId, staffRoleId, open.id]);
+        return { id: open.id, clock_in: open.clock_in };
+    }
+    const clockIn = new Date().toISOString();
+    const row = await dbGet(`
+        INSERT INTO staff_time_entries (salon_id, staff_id, staff_role_id, role_session_id, clock_in)
+        VALUES ($1, $2, $3, $4, $5) RETURNING id
+    `, [salonId, staffId, staffRoleId, roleSessionId, clockIn]);
+    return { id: row.id, clock_in: clockIn };
+}
+
+// Close open shifts matching the filter ({ roleSessionId } or { salonId, staffId? }). Returns how many closed.
+async function clockOutStaff(filter, reason, at = new Date().toISOString()) {
+    let where;
+    let params;
+    if (filter.roleSessionId) {
+        where = 'role_session_id = $3';
+        params = [filter.roleSessionId];
+    } else if (filter.staffId) {
+        where = 'salon_id = $3 AND staff_id = $4';
+        params = [filter.salonId, filter.staffId];
+    } else {
+        where = 'salon_id = $3';
+        params = [filter.salonId];
+    }
+    const result = await dbRun(`UPDATE staff_time_entries SET clock_out = $1, end_reason = $2 WHERE clock_out IS NULL AND ${where}`, [at, reason, ...params]);
+    return result ? result.changes || 0 : 0;
+}
+
+// Shifts whose session has expired end when it expired; those whose session is gone end now
+async function closeEndedShifts() {
+    const now = new Date().toISOString();
+    const ended = await dbAll(`
+        SELECT e.id, rs.expires_at
+        FROM staff_time_entries e
+        LEFT JOIN role_sessions rs ON rs.id = e.role_session_id
+        WHERE e.clock_out IS NULL AND (rs.id IS NULL OR rs.expires_at < $1)
+    `, [now]);
+    for (const entry of ended) {
+        const at = entry.expires_at ? new Date(entry.expires_at).toISOString() : now;
+        await dbRun('UPDATE staff_time_entries SET clock_out = $1, end_reason = $2 WHERE id = $3 AND clock_out IS NULL', [at, entry.expires_at ? 'expired' : 'session_ended', entry.id]);
+    }
+}
+
+// Working windows a staff member was scheduled for on a loaded day; closed days have none
+function scheduledStaffWindows(ctx, staffId) {
+    if (!ctx) return [];
+    if (ctx.calendarDay && ctx.calendarDay.closed) return [];
+    if (ctx.closedDays.includes(ctx.dayOfWeek) && !ctx.calendarDay) return [];
+    if (ctx.modifications.some(mod => mod.closure_type === 'full_day' && !mod.staff_id)) return [];
+    return staffWorkingWindows(ctx, staffId);
+}
+
+// Week of clocked shifts reconciled against each staff member's schedule. weekOf is any date of
+// the week, which runs Sunday to Saturday like day_index. A shift counts on the day it started.
+// Minutes per day: scheduled, worked, late (first clock-in after the first window starts),
+// early_leave (last clock-out before the last window ends), overtime (worked outside the windows);
+// absent marks a past scheduled day with no shift.
+async function buildWeeklyTimesheet(salonId, weekOf, { staffId = null } = {}) {
+    const timeZone = await getSalonTimeZone(salonId);
+    const today = await salonToday(salonId);
+    const anchor = weekOf || today;
+    const weekStart = addMinutesToDateTime(`${anchor} 00:00:00`, -dayOfWeekOf(anchor) * 24 * 60).substring(0, 10);
+    const dates = Array.from({ length: 7 }, (_, i) => addMinutesToDateTime(`${weekStart} 00:00:00`, i * 24 * 60).substring(0, 10));
+    const weekEnd = dates[6];
+    const localInstant = (date, minutes) => Date.parse(zonedTimeToUtc(addMinutesToDateTime(`${date} 00:00:00`, minutes), timeZone));
+
+    const staff = await dbAll(
+        `SELECT id, name FROM staff WHERE salon_id = $1 ${staffId ? 'AND id = $2' : ''} ORDER BY name`,
+        staffId ? [salonId, staffId] : [salonId]
+    );
+    const entries = await dbAll(`
+        SELECT id, staff_id, clock_in, clock_out, end_reason
+        FROM staff_time_entries
+        WHERE salon_id = $1 AND clock_in >= $2 AND clock_in < $3
+        ORDER BY clock_in
+    `, [salonId, zonedTimeToUtc(`${weekStart} 00:00:00`, timeZone), zonedTimeToUtc(addMinutesToDateTime(`${weekEnd} 00:00:00`, 24 * 60), timeZone)]);
+    const contexts = [];
+    for (const date of dates) {
+        contexts.push(await loadBookingDayContext(salonId, date, dayOfWeekOf(date)));
+    }
+
+    const nowMs = Date.now();
+    const toMinutes = (ms) => Math.round(ms / 60000);
+    const report = staff.map(member => {
+        const totals = { scheduled_minutes: 0, worked_minutes: 0, late_minutes: 0, early_leave_minutes: 0, overtime_minutes: 0, absent_days: 0 };
+        const days = dates.map((date, i) => {
+            const windows = scheduledStaffWindows(contexts[i], member.id)
+                .map(window => ({ start: localInstant(date, window.startMinutes), end: localInstant(date, window.endMinutes) }));
+            const shifts = entries
+                .filter(entry => String(entry.staff_id) === String(member.id) && zonedDateTime(entry.clock_in, timeZone).substring(0, 10) === date)
+                .map(entry => ({ ...entry, start: Date.parse(entry.clock_in), end: entry.clock_out ? Date.parse(entry.clock_out) : nowMs }));
+            const scheduled = windows.reduce((sum, window) => sum + (window.end - window.start), 0);
+            const worked = shifts.reduce((sum, shift) => sum + Math.max(0, shift.end - shift.start), 0);
+            let inSchedule = 0;
+            for (const shift of shifts) {
+                for (const window of windows) {
+                    inSchedule += Math.max(0, Math.min(shift.end, window.end) - Math.max(shift.start, window.start));
                 }
             }
-            
-            // For "Any Staff" bookings (staffId = 0), check capacity
-            if (parseInt(staffId) === 0) {
-                // Get all staff for capacity calculation
-                const allStaff = await dbAll('SELECT id FROM staff WHERE salon_id = $1', [salonId]);
-                const staffCount = allStaff.length;
-                
-                if (staffCount === 0) {
-                    // No staff defined, check for generic conflicts only
-                    if (apptStaffId === 0 && startMinutes < apptEndMinutes && endMinutes > apptStartMinutes) {
-                        return { valid: false, message: 'الوقت المحدد غير متاح.' };
-                    }
-                } else {
-                    // Calculate available staff at this time slot
-                    let availableStaffCount = 0;
-                    let genericOverlapCount = 0;
-                    
-                    for (const staff of allStaff) {
-                        let staffAvailable = true;
-                        
-                        // Check if this staff member has conflicts
-                        for (const conflictAppt of appointments) {
-                            const conflictStaffId = conflictAppt.staff_id === null || conflictAppt.staff_id === undefined ? 0 : parseInt(conflictAppt.staff_id);
-                            
-                            if (conflictStaffId === staff.id) {
-                                let conflictStartMinutes, conflictEndMinutes;
-                                try {
-                                    let startTimePart, endTimePart;
-                                    
-                                    if (conflictAppt.start_time.includes('T')) {
-                                        startTimePart = conflictAppt.start_time.split('T')[1];
-                                    } else if (conflictAppt.start_time.includes(' ')) {
-                                        startTimePart = conflictAppt.start_time.split(' ')[1];
-                                    } else {
-                                        continue;
-                                    }
-                                    
-                                    if (conflictAppt.end_time.includes('T')) {
-                                        endTimePart = conflictAppt.end_time.split('T')[1];
-                                    } else if (conflictAppt.end_time.includes(' ')) {
-                                        endTimePart = conflictAppt.end_time.split(' ')[1];
-                                    } else {
-                                        continue;
-                                    }
-                                    
-                                    if (!startTimePart || !endTimePart) continue;
-                                    
-                                    conflictStartMinutes = timeToMinutes(startTimePart.substring(0, 5));
-                                    conflictEndMinutes = timeToMinutes(endTimePart.substring(0, 5));
-                                    
-                                    if (startMinutes < conflictEndMinutes && endMinutes > conflictStartMinutes) {
-                                        staffAvailable = false;
-                                        break;
-                                    }
-                                } catch (e) {
-                                    console.error('Error processing conflict appointment times:', e, conflictAppt);
-                                    continue;
-                                }
-                            }
-                        }
-                        
-                        if (staffAvailable) {
-                            availableStaffCount++;
-                        }
-                    }
-                    
-                    // Count generic appointments that overlap
-                    for (const genericAppt of appointments) {
-                        const genericStaffId = genericAppt.staff_id === null || genericAppt.staff_id === undefined ? 0 : parseInt(genericAppt.staff_id);
-                        
-                        if (genericStaffId === 0) {
-                            let genericStartMinutes, genericEndMinutes;
-                            try {
-                                let startTimePart, endTimePart;
-                                
-                                if (genericAppt.start_time.includes('T')) {
-                                    startTimePart = genericAppt.start_time.split('T')[1];
-                                } else if (genericAppt.start_time.includes(' ')) {
-                                    startTimePart = genericAppt.start_time.split(' ')[1];
-                                } else {
-                                    continue;
-                                }
-                                
-                                if (genericAppt.end_time.includes('T')) {
-                                    endTimePart = genericAppt.end_time.split('T')[1];
-                                } else if (genericAppt.end_time.includes(' ')) {
-                                    endTimePart = genericAppt.end_time.split(' ')[1];
-                                } else {
-                                    continue;
-                                }
-                                
-                                if (!startTimePart || !endTimePart) continue;
-                                
-                                genericStartMinutes = timeToMinutes(startTimePart.substring(0, 5));
-                                genericEndMinutes = timeToMinutes(endTimePart.substring(0, 5));
-                                
-                                if (startMinutes < genericEndMinutes && endMinutes > genericStartMinutes) {
-                                    genericOverlapCount++;
-                                }
-                            } catch (e) {
-                                console.error('Error processing generic appointment times:', e, genericAppt);
-                                continue;
-                            }
-                        }
-                    }
-                    
-                    // Check if there's capacity for this booking
-                    if (availableStaffCount <= genericOverlapCount) {
-                        return { valid: false, message: 'لا يوجد موظفين متاحين في هذا الوقت.' };
-                    }
+            const lastShift = shifts[shifts.length - 1];
+            const day = {
+                date,
+                scheduled_minutes: toMinutes(scheduled),
+                worked_minutes: toMinutes(worked),
+                late_minutes: windows.length && shifts.length ? Math.min(toMinutes(scheduled), Math.max(0, toMinutes(shifts[0].start - windows[0].start))) : 0,
+                early_leave_minutes: windows.length && lastShift && lastShift.clock_out
+                    ? Math.min(toMinutes(scheduled), Math.max(0, toMinutes(windows[windows.length - 1].end - lastShift.end)))
+                    : 0,
+                overtime_minutes: toMinutes(worked - inSchedule),
+                absent: scheduled > 0 && shifts.length === 0 && date < today,
+                shifts: shifts.map(shift => ({
+                    id: shift.id,
+                    clock_in: zonedDateTime(shift.clock_in, timeZone),
+                    clock_out: shift.clock_out ? zonedDateTime(shift.clock_out, timeZone) : null,
+                    end_reason: shift.end_reason || null
+                }))
+            };
+            totals.scheduled_minutes += day.scheduled_minutes;
+            totals.worked_minutes += day.worked_minutes;
+            totals.late_minutes += day.late_minutes;
+            totals.early_leave_minutes += day.early_leave_minutes;
+            totals.overtime_minutes += day.overtime_minutes;
+            if (day.absent) totals.absent_days += 1;
+            return day;
+        });
+        return { staff_id: member.id, staff_name: member.name, days, totals };
+    });
+    return { week_start: weekStart, week_end: weekEnd, time_zone: timeZone, staff: report };
+}
+
+// ===================================
+// Waitlist offers
+// ===================================
+// Offer open slots on a salon day to waitlisted customers in join order. Each offer places a
+// slot hold for WAITLIST_OFFER_MINUTES, so the next entry only sees what is still free.
+// preferredClock ('HH:MM') is offered first when it is free, e.g. the time that was just cancelled.
+async function offerWaitlistSlots(salonId, dateString, preferredClock = null) {
+    try {
+        const entries = await dbAll(`
+            SELECT * FROM waitlist_entries
+            WHERE salon_id = $1 AND date = $2 AND status = 'waiting'
+            ORDER BY created_at ASC, id ASC
+        `, [salonId, dateString]);
+        for (const entry of entries) {
+            const offer = await db.transaction(async (tx) => {
+                await tx.lock(salonId);
+                const current = await tx.get('SELECT status FROM waitlist_entries WHERE id = $1', [entry.id]);
+                if (!current || current.status !== 'waiting') return null;
+                const availability = await computeAvailableSlots(salonId, dateString, entry.duration, entry.staff_id || 0, { serviceIds: JSON.parse(entry.service_ids || '[]'), runner: tx });
+                if (!availability) return null;
+                const slots = entry.staff_id ? (availability.staff[0] ? availability.staff[0].slots : []) : availability.any_staff;
+                if (slots.length === 0) return null;
+                const chosen = preferredClock && slots.includes(preferredClock) ? preferredClock : slots[0];
+                const start_time = `${dateString} ${chosen}:00`;
+                const end_time = addMinutesToDateTime(start_time, entry.duration);
+                const hold_token = crypto.randomBytes(24).toString('hex');
+                const expires_at = new Date(Date.now() + WAITLIST_OFFER_MINUTES * 60 * 1000).toISOString();
+                await tx.run('INSERT INTO slot_holds (hold_token, salon_id, user_id, staff_id, start_time, end_time, expires_at) VALUES ($1, $2, $3, $4, $5, $6, $7)', [hold_token, salonId, entry.user_id, entry.staff_id || null, start_time, end_time, expires_at]);
+                const offerRow = await tx.get('INSERT INTO waitlist_offers (entry_id, salon_id, user_id, staff_id, start_time, end_time, hold_token, expires_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id', [entry.id, salonId, entry.user_id, entry.staff_id || null, start_time, end_time, hold_token, expires_at]);
+                await tx.run(`UPDATE waitlist_entries SET status = 'offered' WHERE id = $1`, [entry.id]);
+                return { id: offerRow.id, entry_id: entry.id, salon_id: salonId, start_time, end_time, expires_at };
+            });
+            if (!offer) continue;
+            const salon = await dbGet('SELECT salon_name FROM salons WHERE id = $1', [salonId]);
+            const when = new Date(offer.start_time);
+            await sendPushToTargets({
+                user_id: entry.user_id,
+                payload: {
+                    title: 'أصبح موعد متاحاً!',
+                    body: `موعد متاح في ${salon ? salon.salon_name : 'الصالون'} بتاريخ ${when.toLocaleDateString('ar-EG')} على الساعة ${when.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit', hour12: true })}. العرض صالح لمدة ${WAITLIST_OFFER_MINUTES} دقيقة.`,
+                    url: '/home_user.html#waitlist',
+                    tag: `waitlist-offer-${offer.id}`
                 }
+            });
+            if (global.broadcastToUser) {
+                global.broadcastToUser(entry.user_id, 'waitlist_offer', { offer_id: offer.id, salon_id: salonId, salon_name: salon ? salon.salon_name : null, start_time: offer.start_time, end_time: offer.end_time, expires_at: offer.expires_at });
             }
         }
-        
-        return { valid: true, message: 'الموعد متاح للحجز.' };
-        
+    } catch (err) {
+        console.error('Waitlist offer error:', err.message);
+    }
+}
+
+// Called whenever an appointment at startTime stops occupying its slot (cancellation etc.)
+function notifyWaitlistOfFreedSlot(salonId, startTime) {
+    const normalized = normalizeDateTime(startTime);
+    return offerWaitlistSlots(salonId, normalized.substring(0, 10), normalized.substring(11, 16));
+}
+
+// Close an unanswered or declined offer, release its hold and pass the slot on to the next entry
+async function closeWaitlistOffer(offer, status) {
+    await dbRun('UPDATE waitlist_offers SET status = $1 WHERE id = $2 AND status = $3', [status, offer.id, 'pending']);
+    await dbRun(`UPDATE waitlist_entries SET status = 'expired' WHERE id = $1 AND status = 'offered'`, [offer.entry_id]);
+    await dbRun('DELETE FROM slot_holds WHERE hold_token = $1', [offer.hold_token]);
+    await notifyWaitlistOfFreedSlot(offer.salon_id, offer.start_time);
+}
+
+async function expireWaitlistOffers() {
+    try {
+        const expired = await dbAll(`SELECT * FROM waitlist_offers WHERE status = 'pending' AND expires_at < $1`, [new Date().toISOString()]);
+        for (const offer of expired) {
+            await closeWaitlistOffer(offer, 'expired');
+        }
     } catch (error) {
-        console.error('Error validating booking slot:', error);
-        return { valid: false, message: 'خطأ في التحقق من صحة الموعد.' };
+        console.error('Error expiring waitlist offers:', error);
+    }
+}
+
+// Pick a staff member for an "Any Staff" booking starting at startTime. Applies the same per-staff
+// rules as validateBookingSlot; with options.serviceIds only qualified staff are considered, each
+// checked for their own service duration. Among those free, the one with the fewest booked minutes
+// that day is chosen. Returns { id, name, duration } or null; callers end the booking at start + duration.
+async function assignAvailableStaff(salonId, startTime, endTime, options = {}) {
+    const dateString = normalizeDateTime(startTime).substring(0, 10);
+    const ctx = await loadBookingDayContext(salonId, dateString, dayOfWeekOf(dateString), options);
+    if (!ctx) return null;
+    const startMinutes = timeToMinutes(extractClockTime(startTime) || startTime.substring(0, 5));
+    const endMinutes = timeToMinutes(extractClockTime(endTime) || endTime.substring(0, 5));
+    const candidates = [];
+    for (const member of ctx.staff) {
+        if (ctx.serviceIds && !staffCanPerform(ctx.staffSkills, member.id, ctx.serviceIds)) continue;
+        const duration = staffServiceDuration(ctx, member.id, endMinutes - startMinutes);
+        if (!checkSlotInDay(ctx, member.id, startMinutes, startMinutes + duration).valid) continue;
+        const bookedMinutes = blocksMinutes(ctx.appointments
+            .filter(appt => appt.staffId === parseInt(member.id))
+            .flatMap(appt => appt.blocks));
+        candidates.push({ id: member.id, name: member.name, duration, bookedMinutes });
     }
+    if (candidates.length === 0) return null;
+    candidates.sort((a, b) => a.bookedMinutes - b.bookedMinutes);
+    const { id, name, duration } = candidates[0];
+    return { id, name, duration };
 }
 
 
@@ -3361,15 +5082,27 @@ const fetchSalonsWithAvailability = async (city, gender) => {
         console.log(`🔍 DEBUG: Found ${result.length} salons matching gender ${gender} and status accepted`);
         console.log(`🔍 DEBUG: Raw database result structure:`, result.length > 0 ? Object.keys(result[0]) : 'No results');
         
+        // Running promotions are shown on the cards; codes themselves stay private to the salon
+        const promotionRows = await db.query(`
+            SELECT salon_id, title, kind, discount_type, discount_value, starts_on, ends_on
+            FROM salon_promotions WHERE is_active = TRUE
+        `);
+
         // Add availability status for each salon
         const salonsWithAvailability = await Promise.all(result.map(async (salon) => {
             console.log(`🔍 DEBUG: Checking availability for salon: ${salon.salon_name} (ID: ${salon.id})`);
             const availabilityInfo = await checkSalonAvailabilityToday(salon.id);
             console.log(`🔍 DEBUG: Salon ${salon.salon_name} availability result:`, availabilityInfo);
+            const today = await salonToday(salon.id);
+            const promotions = promotionRows
+                .filter(promotion => String(promotion.salon_id) === String(salon.id) && (!promotion.starts_on || promotion.starts_on <= today) && (!promotion.ends_on || promotion.ends_on >= today))
+                .map(promotion => ({ title: promotion.title, kind: promotion.kind, discount_type: promotion.discount_type, discount_value: Number(promotion.discount_value) }));
             return {
                 ...salon,
                 is_available_today: availabilityInfo.is_available_today,
-                status: availabilityInfo.status
+                status: availabilityInfo.status,
+                closure_reason: availabilityInfo.closure_reason || null,
+                promotions
             };
         }));
         
@@ -3394,11 +5127,11 @@ registerDiscoveryRoutes(app, { db, dbAll, dbGet, dbRun, requireAuth, fetchSalons
 // Simple helper function to check salon status based on current time
 const checkSalonAvailabilityToday = async (salonId) => {
     try {
-        // Use Palestine timezone (Asia/Jerusalem) for accurate local time
-        const today = new Date();
-        const palestineTime = new Date(today.toLocaleString("en-US", {timeZone: "Asia/Jerusalem"}));
-        const dayOfWeek = palestineTime.getDay(); // 0 = Sunday, 1 = Monday, etc.
-        const currentTime = palestineTime.getHours() * 60 + palestineTime.getMinutes(); // Current time in minutes
+        // Evaluate "today" and the current time in the salon's own zone
+        const salonNow = zonedDateTime(Date.now(), await getSalonTimeZone(salonId));
+        const localDateStr = salonNow.substring(0, 10);
+        const dayOfWeek = dayOfWeekOf(localDateStr); // 0 = Sunday, 1 = Monday, etc.
+        const currentTime = Number(salonNow.substring(11, 13)) * 60 + Number(salonNow.substring(14, 16)); // Current time in minutes
         
         // Get salon schedule
         const schedule = await dbGet('SELECT opening_time, closing_time, closed_days FROM schedules WHERE salon_id = $1', [salonId]);
@@ -3415,8 +5148,14 @@ const checkSalonAvailabilityToday = async (salonId) => {
             closedDays = [];
         }
         
-        // Check if today is a closed day
-        if (closedDays.includes(dayOfWeek)) {
+        // Holiday closures and seasonal hours for today's local date
+        const calendarDay = await resolveCalendarDay(salonId, localDateStr);
+        if (calendarDay && calendarDay.closed) {
+            return { is_available_today: false, status: 'closed', closure_reason: calendarDay.reason };
+        }
+        
+        // Check if today is a closed day (seasonal hours can open it)
+        if (closedDays.includes(dayOfWeek) && !calendarDay) {
             return { is_available_today: false, status: 'closed' };
         }
         
@@ -3427,8 +5166,8 @@ const checkSalonAvailabilityToday = async (salonId) => {
             return hours * 60 + minutes;
         };
         
-        const openMinutes = timeToMinutes(schedule.opening_time || '09:00');
-        const closeMinutes = timeToMinutes(schedule.closing_time || '18:00');
+        const openMinutes = timeToMinutes((calendarDay ? calendarDay.openingTime : schedule.opening_time) || '09:00');
+        const closeMinutes = timeToMinutes((calendarDay ? calendarDay.closingTime : schedule.closing_time) || '18:00');
         
         // Simple logic: compare current time with opening hours
         let status = 'closed';
@@ -3481,15 +5220,14 @@ const checkSalonAvailabilityToday = async (salonId) => {
             }
         }
         
-        // Check for any full-day closures today
-        const todayStr = today.toISOString().split('T')[0];
+        // Check for any salon-wide full-day closures today (staff-specific ones are days off)
         const modifications = await dbAll(`
             SELECT * FROM schedule_modifications 
-            WHERE salon_id = $1 AND closure_type = 'full_day' AND (
-                (mod_type = 'date' AND mod_date = $2) OR
-                (mod_type = 'day' AND mod_day_index = $3)
+            WHERE salon_id = $1 AND closure_type = 'full_day' AND staff_id IS NULL AND (
+                (mod_type = 'once' AND mod_date = $2) OR
+                (mod_type = 'recurring' AND mod_day_index = $3)
             )
-        `, [salonId, todayStr, dayOfWeek]);
+        `, [salonId, localDateStr, dayOfWeek]);
         
         if (modifications.length > 0) {
             return { is_available_today: false, status: 'closed' };
@@ -3683,10 +5421,10 @@ app.get('/api/debug/salon-status/:salon_id', requireAdmin, requireDebugEnabled,
         // Get schedule
         const schedule = await dbGet('SELECT opening_time, closing_time, closed_days FROM schedules WHERE salon_id = $1', [salon_id]);
         
-        // Get current time info
-        const today = new Date();
-        const dayOfWeek = today.getDay();
-        const currentTime = today.getHours() * 60 + today.getMinutes();
+        // Get current time info in the salon's zone
+        const salonNow = zonedDateTime(Date.now(), await getSalonTimeZone(salon_id));
+        const dayOfWeek = dayOfWeekOf(salonNow);
+        const currentTime = Number(salonNow.substring(11, 13)) * 60 + Number(salonNow.substring(14, 16));
         
         // Calculate availability
         const availabilityInfo = await checkSalonAvailabilityToday(salon_id);
@@ -3865,9 +5603,11 @@ server.listen(PORT, async () => {
         }
         await initializeDb();
         await alignSchema();
+        await syncAppointmentInstants(db);
         await ensurePerfIndexes();
         await backfillSubscriptionsFromSalons();
         await updateSubscriptionStatusesDaily();
+        startAppointmentReminderScheduler();
         // insertMasterServices is called inside initializeDb now.
         console.log("Database schema created successfully and master data inserted.");
     } catch (error) {
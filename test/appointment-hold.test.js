@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { z } = require('zod');
+
+// Run against a throwaway SQLite file, never a DATABASE_URL from .env
+const dbPath = path.join(os.tmpdir(), `saloony-hold-${process.pid}.db`);
+process.env.DATABASE_URL = '';
+process.env.SQLITE_PATH = dbPath;
+const db = require('../database');
+const { normalizeDateTime, minutesBetween } = require('../scheduling');
+const registerAppointmentsRoutes = require('../routes/appointments');
+
+// Service 1 takes 60 minutes at the salon; staff member 2 takes 90
+const durations = { salon: { 1: 60 }, 2: { 1: 90 } };
+const slotChecks = [];
+
+const toNumber = (value) => (value === '' || value === null || value === undefined ? value : Number(value));
+const slotHoldSchema = z.object({
+    salon_id: z.preprocess(toNumber, z.number().int().positive()),
+    staff_id: z.preprocess(toNumber, z.number().int().nonnegative()).optional(),
+    service_id: z.preprocess(toNumber, z.number().int().positive()).optional(),
+    services: z.array(z.object({ id: z.preprocess(toNumber, z.number().int().positive()) })).optional(),
+    start_time: z.string(),
+    end_time: z.string()
+});
+
+let server;
+let baseUrl;
+
+const hold = (body) => fetch(`${baseUrl}/api/appointment/hold`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer 7' },
+    body: JSON.stringify(body)
+});
+
+before(async () => {
+    await db.run(`CREATE TABLE slot_holds (id INTEGER PRIMARY KEY AUTOINCREMENT, hold_token TEXT, salon_id INTEGER, user_id INTEGER,
+        staff_id INTEGER, start_time TEXT, end_time TEXT, expires_at TEXT)`);
+
+    const app = express();
+    app.use(express.json());
+    const passThrough = () => (req, res, next) => next();
+    registerAppointmentsRoutes(app, {
+        db,
+        dbGet: (sql, params) => db.get(sql, params),
+        dbRun: (sql, params) => db.run(sql, params),
+        dbAll: (sql, params) => db.query(sql, params),
+        requireAuth: (req, res, next) => { req.user = { id: 7, role: 'user' }; next(); },
+        requireSalonAccess: passThrough,
+        salonIdFrom: () => null,
+        slotHoldSchema,
+        normalizeDateTime,
+        SLOT_HOLD_MINUTES: 5,
+        evaluateBookingEligibility: async () => ({ allowed: true }),
+        sumServiceDuration: async (salonId, serviceIds, staffId = 0) => serviceIds
+            .reduce((sum, id) => sum + ((durations[staffId] || {})[id] || durations.salon[id]), 0),
+        // Stands in for the day's slot rules: records what it was asked and checks the length
+        validateBookingSlot: async (salonId, staffId, startTime, endTime, duration, options) => {
+            slotChecks.push({ staffId, startTime, endTime, duration, serviceIds: options.serviceIds, inTransaction: !!options.runner });
+            return minutesBetween(startTime, endTime) === duration
+                ? { valid: true }
+                : { valid: false, reason: 'duration_mismatch', message: 'مدة الخدمة غير متطابقة مع الوقت المحدد.' };
+        }
+    });
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => db.db.close(resolve));
+    fs.rmSync(dbPath, { force: true });
+});
+
+test('a hold with a staff member\'s longer duration is checked against that duration', async () => {
+    slotChecks.length = 0;
+    const res = await hold({ salon_id: 1, staff_id: 2, services: [{ id: 1 }], start_time: '2099-01-05T10:00', end_time: '2099-01-05T11:30' });
+    assert.strictEqual(res.status, 200);
+    const body = await res.json();
+    assert.ok(body.hold_token);
+
+    assert.deepStrictEqual(slotChecks, [{
+        staffId: 2, startTime: '2099-01-05 10:00:00', endTime: '2099-01-05 11:30:00', duration: 90, serviceIds: [1], inTransaction: true
+    }]);
+    const row = await db.get('SELECT staff_id, start_time, end_time FROM slot_holds WHERE hold_token = $1', [body.hold_token]);
+    assert.deepStrictEqual(row, { staff_id: 2, start_time: '2099-01-05 10:00:00', end_time: '2099-01-05 11:30:00' });
+});
+
+test('a hold for "any staff" uses the salon\'s durations', async () => {
+    const salonLength = await hold({ salon_id: 1, staff_id: 0, services: [{ id: 1 }], start_time: '2099-01-05 12:00:00', end_time: '2099-01-05 13:00:00' });
+    assert.strictEqual(salonLength.status, 200);
+    const staffLength = await hold({ salon_id: 1, staff_id: 0, services: [{ id: 1 }], start_time: '2099-01-05 12:00:00', end_time: '2099-01-05 13:30:00' });
+    assert.strictEqual(staffLength.status, 400);
+});
@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { z } = require('zod');
+
+// Run against a throwaway SQLite file, never a DATABASE_URL from .env
+const dbPath = path.join(os.tmpdir(), `saloony-reschedule-${process.pid}.db`);
+process.env.DATABASE_URL = '';
+process.env.SQLITE_PATH = dbPath;
+const db = require('../database');
+const { normalizeDateTime, addMinutesToDateTime, minutesBetween } = require('../scheduling');
+const registerAppointmentsRoutes = require('../routes/appointments');
+
+const toNumber = (value) => (value === '' || value === null || value === undefined ? value : Number(value));
+const rescheduleSchema = z.object({
+    start_time: z.string(),
+    staff_id: z.preprocess(toNumber, z.number().int().nonnegative()).optional()
+});
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const pushes = [];
+// Appointment ids to cancel right after the route has read them, before it takes the salon lock
+const cancelOnRead = new Set();
+
+let server;
+let baseUrl;
+
+const reschedule = (appointmentId, startTime) => fetch(`${baseUrl}/api/appointments/${appointmentId}/reschedule`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer 7' },
+    body: JSON.stringify({ start_time: startTime })
+});
+
+before(async () => {
+    await db.run(`CREATE TABLE appointments (id INTEGER PRIMARY KEY, salon_id INTEGER, user_id INTEGER, staff_id INTEGER,
+        start_time TEXT, end_time TEXT, start_at TEXT, status TEXT, reschedule_count INTEGER DEFAULT 0)`);
+    await db.run('CREATE TABLE appointment_services (id INTEGER PRIMARY KEY AUTOINCREMENT, appointment_id INTEGER, service_id INTEGER, staff_id INTEGER, start_time TEXT, end_time TEXT)');
+    await db.run('CREATE TABLE reminders_sent (appointment_id INTEGER, offset_minutes INTEGER)');
+    await db.run('CREATE TABLE staff (id INTEGER PRIMARY KEY, name TEXT)');
+    await db.run(`INSERT INTO appointments (id, salon_id, user_id, staff_id, start_time, end_time, start_at, status) VALUES
+        (1, 1, 7, 3, '2099-01-05 10:00:00', '2099-01-05 11:00:00', '2099-01-05T08:00:00.000Z', 'Scheduled'),
+        (2, 1, 7, 3, '2099-01-06 10:00:00', '2099-01-06 11:00:00', '2099-01-06T08:00:00.000Z', 'Scheduled')`);
+    await db.run('INSERT INTO appointment_services (appointment_id, service_id, staff_id) VALUES (1, 1, 3), (2, 1, 3)');
+    await db.run('INSERT INTO reminders_sent (appointment_id, offset_minutes) VALUES (2, 60)');
+
+    const app = express();
+    app.use(express.json());
+    registerAppointmentsRoutes(app, {
+        db,
+        dbGet: (sql, params) => db.get(sql, params),
+        dbRun: (sql, params) => db.run(sql, params),
+        dbAll: (sql, params) => db.query(sql, params),
+        requireAuth: (req, res, next) => { req.user = { id: 7, role: 'user' }; next(); },
+        requireSalonAccess: () => (req, res, next) => next(),
+        salonIdFrom: () => null,
+        rescheduleSchema,
+        normalizeDateTime,
+        addMinutesToDateTime,
+        minutesBetween,
+        resolveAppointmentActor: async (user, appointment) => {
+            if (cancelOnRead.has(appointment.id)) {
+                await db.run("UPDATE appointments SET status = 'Cancelled' WHERE id = $1", [appointment.id]);
+            }
+            return 'customer';
+        },
+        getSalonPolicy: async () => ({ reschedule_enabled: true, reschedule_min_notice_hours: 0, max_reschedules: 1 }),
+        // Slow enough that parallel requests all pass the checks made before the lock
+        validateBookingSlot: async () => { await delay(20); return { valid: true }; },
+        syncAppointmentInstants: async () => {},
+        recordAppointmentEvent: async () => {},
+        sendSalonEvent: async () => {},
+        sendPushToTargets: async (target) => { pushes.push(target); },
+        notifyWaitlistOfFreedSlot: () => {}
+    });
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => db.db.close(resolve));
+    fs.rmSync(dbPath, { force: true });
+});
+
+test('parallel reschedules by the customer cannot pass the salon\'s limit', async () => {
+    const responses = await Promise.all(['2099-01-05 12:00:00', '2099-01-05 13:00:00', '2099-01-05 14:00:00'].map(start => reschedule(1, start)));
+    const bodies = await Promise.all(responses.map(res => res.json()));
+    assert.strictEqual(responses.filter(res => res.status === 200).length, 1);
+    assert.deepStrictEqual(bodies.filter(body => !body.success).map(body => body.code), ['RESCHEDULE_LIMIT', 'RESCHEDULE_LIMIT']);
+    const row = await db.get('SELECT reschedule_count FROM appointments WHERE id = 1');
+    assert.strictEqual(row.reschedule_count, 1);
+});
+
+test('an appointment cancelled before the lock is not moved', async () => {
+    pushes.length = 0;
+    cancelOnRead.add(2);
+    const res = await reschedule(2, '2099-01-06 12:00:00');
+    assert.strictEqual(res.status, 400);
+    const row = await db.get('SELECT start_time, status, reschedule_count FROM appointments WHERE id = 2');
+    assert.deepStrictEqual(row, { start_time: '2099-01-06 10:00:00', status: 'Cancelled', reschedule_count: 0 });
+    assert.strictEqual((await db.query('SELECT * FROM reminders_sent WHERE appointment_id = 2')).length, 1);
+    assert.strictEqual(pushes.length, 0);
+});
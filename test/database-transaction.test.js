@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Run against a throwaway SQLite file, never a DATABASE_URL from .env
+const dbPath = path.join(os.tmpdir(), `saloony-tx-${process.pid}.db`);
+process.env.DATABASE_URL = '';
+process.env.SQLITE_PATH = dbPath;
+const db = require('../database');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Check-then-insert the way the booking routes do: the overlap check reads through tx
+const book = (startTime, endTime, userId) => db.transaction(async (tx) => {
+    await tx.lock(1);
+    const clash = await tx.get('SELECT id FROM appointments WHERE salon_id = 1 AND start_time < $1 AND end_time > $2', [endTime, startTime]);
+    if (clash) return { taken: true };
+    await delay(20);
+    const row = await tx.get('INSERT INTO appointments (salon_id, user_id, start_time, end_time) VALUES (1, $1, $2, $3) RETURNING id', [userId, startTime, endTime]);
+    return { appointmentId: row.id };
+});
+
+before(async () => {
+    await db.run('CREATE TABLE appointments (id INTEGER PRIMARY KEY AUTOINCREMENT, salon_id INTEGER, user_id INTEGER, start_time TEXT, end_time TEXT)');
+    await db.run('CREATE TABLE audit (id INTEGER PRIMARY KEY AUTOINCREMENT, note TEXT)');
+});
+
+after(async () => {
+    await new Promise(resolve => db.db.close(resolve));
+    fs.rmSync(dbPath, { force: true });
+});
+
+test('concurrent bookings of the same slot: only one is stored', async () => {
+    const results = await Promise.all([1, 2, 3].map(userId => book('2026-03-01 10:00:00', '2026-03-01 10:30:00', userId)));
+    assert.strictEqual(results.filter(result => result.appointmentId).length, 1);
+    assert.strictEqual(results.filter(result => result.taken).length, 2);
+    const rows = await db.query("SELECT * FROM appointments WHERE start_time = '2026-03-01 10:00:00'");
+    assert.strictEqual(rows.length, 1);
+});
+
+test('concurrent bookings of different slots are all stored', async () => {
+    const results = await Promise.all([
+        book('2026-03-02 10:00:00', '2026-03-02 10:30:00', 1),
+        book('2026-03-02 10:30:00', '2026-03-02 11:00:00', 2)
+    ]);
+    assert.ok(results.every(result => result.appointmentId));
+});
+
+test('a write from outside an open transaction survives its rollback', async () => {
+    let inside;
+    const entered = new Promise(resolve => { inside = resolve; });
+    const failing = db.transaction(async (tx) => {
+        await tx.run("INSERT INTO audit (note) VALUES ('rolled back')");
+        inside();
+        await delay(30);
+        throw new Error('boom');
+    });
+    await entered;
+    const outside = db.run("INSERT INTO audit (note) VALUES ('kept')");
+    await assert.rejects(failing, /boom/);
+    await outside;
+    const notes = (await db.query('SELECT note FROM audit')).map(row => row.note);
+    assert.deepStrictEqual(notes, ['kept']);
+});
+
+test('reads made with the global helpers inside a transaction do not wait on it', async () => {
+    const count = await db.transaction(async (tx) => {
+        await tx.run('INSERT INTO appointments (salon_id, user_id, start_time, end_time) VALUES (2, 1, $1, $2)', ['2026-03-03 09:00:00', '2026-03-03 09:30:00']);
+        const row = await db.get('SELECT COUNT(*) AS count FROM appointments WHERE salon_id = 2');
+        return row.count;
+    });
+    assert.strictEqual(count, 1);
+});
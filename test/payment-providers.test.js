@@ -0,0 +1,37 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { getPaymentProvider } = require('../payment-providers');
+
+const saved = { PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER, NODE_ENV: process.env.NODE_ENV };
+
+afterEach(() => {
+    for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+});
+
+test('no provider is used when PAYMENT_PROVIDER is not set', () => {
+    delete process.env.PAYMENT_PROVIDER;
+    assert.throws(() => getPaymentProvider(), /PAYMENT_PROVIDER is not set/);
+});
+
+test('the mock provider is refused in production, also for existing mock payments', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.PAYMENT_PROVIDER = 'mock';
+    assert.throws(() => getPaymentProvider(), /cannot be used in production/);
+    assert.throws(() => getPaymentProvider('mock'), /cannot be used in production/);
+});
+
+test('the mock provider is available outside production when chosen', async () => {
+    process.env.NODE_ENV = 'development';
+    process.env.PAYMENT_PROVIDER = 'mock';
+    const provider = getPaymentProvider();
+    assert.strictEqual(provider.name, 'mock');
+    const { providerRef } = await provider.createPayment({ reference: 'deposit-1' });
+    assert.deepStrictEqual(await provider.confirmPayment(providerRef, { simulate: 'decline' }), { status: 'failed', message: 'Mock payment declined.' });
+});
+
+test('an unknown provider is an error', () => {
+    assert.throws(() => getPaymentProvider('nope'), /Unknown payment provider: nope/);
+});
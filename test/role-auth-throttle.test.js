@@ -0,0 +1,129 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Run against a throwaway SQLite file, never a DATABASE_URL from .env
+const dbPath = path.join(os.tmpdir(), `saloony-pin-${process.pid}.db`);
+process.env.DATABASE_URL = '';
+process.env.SQLITE_PATH = dbPath;
+const db = require('../database');
+const { ROLE_AUTH_LOCK_MINUTES, createRoleAuthThrottle } = require('../role-auth-throttle');
+
+let clock = new Date('2026-05-04T09:00:00Z');
+const advance = (seconds) => { clock = new Date(clock.getTime() + seconds * 1000); };
+const notifications = [];
+const throttle = createRoleAuthThrottle({
+    db,
+    sendPushToTargets: async (target) => { notifications.push(target); },
+    now: () => clock
+});
+
+// A wrong PIN from deviceKey, then past the device's growing delay
+const failPin = async (salonId, deviceKey) => {
+    const attempt = await throttle.beginRoleAuthAttempt(salonId, deviceKey);
+    if (!attempt.ok) return { attempt };
+    const settled = await throttle.finishRoleAuthAttempt(salonId, deviceKey, attempt, false);
+    advance(30);
+    return { attempt, settled };
+};
+
+before(async () => {
+    await db.run('CREATE TABLE salons (id INTEGER PRIMARY KEY, salon_name TEXT)');
+    await db.run(`CREATE TABLE role_auth_throttle (id INTEGER PRIMARY KEY AUTOINCREMENT, salon_id INTEGER NOT NULL, device_key TEXT NOT NULL,
+        failures INTEGER DEFAULT 0, last_failure_at TEXT, next_attempt_at TEXT, locked_until TEXT, UNIQUE(salon_id, device_key))`);
+    await db.run(`CREATE TABLE role_auth_attempts (id INTEGER PRIMARY KEY AUTOINCREMENT, salon_id INTEGER NOT NULL, device_key TEXT, ip TEXT,
+        method TEXT NOT NULL, outcome TEXT NOT NULL, staff_role_id INTEGER, staff_id INTEGER, reason TEXT)`);
+    await db.run("INSERT INTO salons (id, salon_name) VALUES (1, 'Noor'), (2, 'Lina'), (3, 'Maya'), (4, 'Reem')");
+});
+
+after(async () => {
+    await new Promise(resolve => db.db.close(resolve));
+    fs.rmSync(dbPath, { force: true });
+});
+
+test('a device is locked after its fifth wrong PIN and the owner is told', async () => {
+    notifications.length = 0;
+    for (let i = 1; i <= 4; i++) {
+        const { attempt, settled } = await failPin(1, 'device:tablet-one');
+        assert.strictEqual(attempt.ok, true);
+        assert.deepStrictEqual(attempt.locks, []);
+        assert.ok(settled.retryAfter < ROLE_AUTH_LOCK_MINUTES * 60);
+    }
+    assert.strictEqual(notifications.length, 0);
+
+    const fifth = await failPin(1, 'device:tablet-one');
+    assert.deepStrictEqual(fifth.attempt.locks, ['device']);
+    assert.strictEqual(fifth.settled.retryAfter, ROLE_AUTH_LOCK_MINUTES * 60);
+    assert.strictEqual(notifications.length, 1);
+    assert.strictEqual(notifications[0].salon_id, 1);
+    assert.match(notifications[0].payload.body, /Noor/);
+
+    const locked = await throttle.beginRoleAuthAttempt(1, 'device:tablet-one');
+    assert.strictEqual(locked.ok, false);
+    assert.strictEqual(locked.code, 'ROLE_AUTH_LOCKED');
+    assert.strictEqual(locked.scope, 'device');
+    // Another device of the same salon can still try
+    assert.strictEqual((await throttle.beginRoleAuthAttempt(1, 'device:tablet-two')).ok, true);
+});
+
+test('a device lock runs out after the lock period', async () => {
+    const locked = await throttle.beginRoleAuthAttempt(1, 'device:tablet-one');
+    assert.strictEqual(locked.ok, false);
+    advance(locked.retryAfter - 5);
+    assert.strictEqual((await throttle.beginRoleAuthAttempt(1, 'device:tablet-one')).ok, false);
+    advance(5);
+    const attempt = await throttle.beginRoleAuthAttempt(1, 'device:tablet-one');
+    assert.strictEqual(attempt.ok, true);
+    // The count starts over
+    assert.strictEqual(attempt.failures.device, 1);
+});
+
+test('the whole salon is locked after fifteen wrong PINs across devices', async () => {
+    notifications.length = 0;
+    // A new device id for every guess gets around the device limit, not the salon's
+    for (let i = 1; i <= 14; i++) {
+        const { attempt } = await failPin(2, `device:guess-${i}`);
+        assert.strictEqual(attempt.ok, true);
+        assert.deepStrictEqual(attempt.locks, []);
+    }
+    const fifteenth = await failPin(2, 'device:guess-15');
+    assert.deepStrictEqual(fifteenth.attempt.locks, ['salon']);
+    assert.strictEqual(notifications.length, 1);
+    assert.match(notifications[0].payload.body, /Lina/);
+
+    const locked = await throttle.beginRoleAuthAttempt(2, 'device:front-desk');
+    assert.strictEqual(locked.code, 'ROLE_AUTH_LOCKED');
+    assert.strictEqual(locked.scope, 'salon');
+    // Other salons are not affected
+    assert.strictEqual((await throttle.beginRoleAuthAttempt(3, 'device:front-desk')).ok, true);
+
+    advance(ROLE_AUTH_LOCK_MINUTES * 60);
+    assert.strictEqual((await throttle.beginRoleAuthAttempt(2, 'device:front-desk')).ok, true);
+});
+
+test('the right PIN clears the device and gives back its claim on the salon count', async () => {
+    for (let i = 0; i < 3; i++) await failPin(4, 'device:reception');
+    const attempt = await throttle.beginRoleAuthAttempt(4, 'device:reception');
+    assert.deepStrictEqual(attempt.failures, { salon: 4, device: 4 });
+    const settled = await throttle.finishRoleAuthAttempt(4, 'device:reception', attempt, true);
+    assert.strictEqual(settled.retryAfter, 0);
+    const rows = await db.query('SELECT device_key, failures FROM role_auth_throttle WHERE salon_id = 4');
+    assert.deepStrictEqual(rows, [{ device_key: '', failures: 3 }]);
+});
+
+test('guesses sent at once still wait their turn', async () => {
+    const attempts = await Promise.all(Array.from({ length: 8 }, () => throttle.beginRoleAuthAttempt(3, 'device:burst')));
+    // The first failure carries no wait and the second one two seconds, so only two get through
+    assert.strictEqual(attempts.filter(attempt => attempt.ok).length, 2);
+    assert.ok(attempts.filter(attempt => !attempt.ok).every(attempt => attempt.code === 'ROLE_AUTH_DELAYED'));
+});
+
+test('sign-in attempts are logged for the salon admin', async () => {
+    await throttle.logRoleAuthAttempt({ ip: '10.0.0.5' }, { salonId: 1, deviceKey: 'device:tablet-one', method: 'pin', outcome: 'locked', reason: 'device' });
+    const row = await db.get('SELECT * FROM role_auth_attempts WHERE salon_id = 1');
+    assert.strictEqual(row.outcome, 'locked');
+    assert.strictEqual(row.ip, '10.0.0.5');
+    assert.strictEqual(row.reason, 'device');
+});
@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// Run against a throwaway SQLite file, never a DATABASE_URL from .env
+const dbPath = path.join(os.tmpdir(), `saloony-access-${process.pid}.db`);
+process.env.DATABASE_URL = '';
+process.env.SQLITE_PATH = dbPath;
+const db = require('../database');
+const { createSalonAccess } = require('../salon-access');
+
+// Stands in for the JWT check: "Bearer <user id>" signs in as that user
+const requireAuth = (req, res, next) => {
+    const auth = req.headers.authorization || '';
+    if (!auth.startsWith('Bearer ')) return res.status(401).json({ error: 'Authorization header missing' });
+    req.user = { id: Number(auth.slice(7)), role: 'salon' };
+    return next();
+};
+
+const { requireSalonAccess } = createSalonAccess({
+    dbGet: (sql, params) => db.get(sql, params),
+    dbRun: (sql, params) => db.run(sql, params),
+    requireAuth
+});
+
+let server;
+let baseUrl;
+
+const call = (method, url, { user = null, session = null } = {}) => fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+        ...(user ? { Authorization: `Bearer ${user}` } : {}),
+        ...(session ? { 'X-Salon-Session': session } : {})
+    }
+});
+
+before(async () => {
+    await db.run('CREATE TABLE salons (id INTEGER PRIMARY KEY, user_id INTEGER)');
+    await db.run('CREATE TABLE salon_roles (salon_id INTEGER, roles_enabled BOOLEAN)');
+    await db.run('CREATE TABLE staff_roles (id INTEGER PRIMARY KEY, salon_id INTEGER, staff_id INTEGER, role_type TEXT, custom_role_id INTEGER, is_active BOOLEAN)');
+    await db.run('CREATE TABLE salon_custom_roles (id INTEGER PRIMARY KEY, salon_id INTEGER, permissions TEXT)');
+    await db.run('CREATE TABLE role_sessions (id INTEGER PRIMARY KEY, salon_id INTEGER, staff_role_id INTEGER, session_token TEXT, expires_at TEXT)');
+    await db.run(`CREATE TABLE salon_audit_log (id INTEGER PRIMARY KEY AUTOINCREMENT, salon_id INTEGER, user_id INTEGER, staff_role_id INTEGER,
+        staff_id INTEGER, action TEXT, path TEXT, outcome TEXT, reason TEXT, ip TEXT)`);
+    // Salon 1 (owner 10) has no staff roles; salon 2 (owner 20) has an admin and a plain staff member signed in
+    await db.run('INSERT INTO salons (id, user_id) VALUES (1, 10), (2, 20)');
+    await db.run('INSERT INTO salon_roles (salon_id, roles_enabled) VALUES (2, TRUE)');
+    await db.run("INSERT INTO staff_roles (id, salon_id, staff_id, role_type, is_active) VALUES (1, 2, 5, 'admin', TRUE), (2, 2, 6, 'staff', TRUE)");
+    await db.run(`INSERT INTO role_sessions (id, salon_id, staff_role_id, session_token, expires_at) VALUES
+        (1, 2, 1, 'admin-token', '2999-01-01 00:00:00'), (2, 2, 2, 'staff-token', '2999-01-01 00:00:00'),
+        (3, 2, 1, 'expired-token', '2000-01-01 00:00:00')`);
+
+    const app = express();
+    app.get('/salon/:salon_id/revenue', requireSalonAccess({ permission: 'view_revenue' }), (req, res) => {
+        res.json({ success: true, salonId: req.salonAccess.salonId, role: req.salonRole ? req.salonRole.role_type : null });
+    });
+    app.post('/salon/:salon_id/schedule', requireSalonAccess({ permission: 'manage_schedule' }), (req, res) => res.json({ success: true }));
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => db.db.close(resolve));
+    fs.rmSync(dbPath, { force: true });
+});
+
+test('requests without a signed-in account are turned away by requireAuth', async () => {
+    const res = await call('GET', '/salon/1/revenue');
+    assert.strictEqual(res.status, 401);
+});
+
+test('another account cannot reach a salon it does not own', async () => {
+    const res = await call('GET', '/salon/1/revenue', { user: 20 });
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual((await res.json()).code, 'SALON_FORBIDDEN');
+    const audit = await db.get("SELECT * FROM salon_audit_log WHERE reason = 'not_owner'");
+    assert.strictEqual(audit.salon_id, 1);
+    assert.strictEqual(audit.user_id, 20);
+});
+
+test('unknown salons are not found', async () => {
+    const res = await call('GET', '/salon/99/revenue', { user: 10 });
+    assert.strictEqual(res.status, 404);
+});
+
+test('the owner of a salon without staff roles needs no role session', async () => {
+    const res = await call('GET', '/salon/1/revenue', { user: 10 });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await res.json(), { success: true, salonId: 1, role: null });
+});
+
+test('once staff roles are on, the owner account alone is not enough', async () => {
+    const missing = await call('GET', '/salon/2/revenue', { user: 20 });
+    assert.strictEqual(missing.status, 403);
+    assert.strictEqual((await missing.json()).code, 'ROLE_SESSION_REQUIRED');
+    const expired = await call('GET', '/salon/2/revenue', { user: 20, session: 'expired-token' });
+    assert.strictEqual(expired.status, 403);
+    assert.strictEqual((await expired.json()).code, 'ROLE_SESSION_REQUIRED');
+});
+
+test('a role session needs the route\'s permission', async () => {
+    const staff = await call('GET', '/salon/2/revenue', { user: 20, session: 'staff-token' });
+    assert.strictEqual(staff.status, 403);
+    assert.strictEqual((await staff.json()).code, 'PERMISSION_DENIED');
+
+    const admin = await call('GET', '/salon/2/revenue', { user: 20, session: 'admin-token' });
+    assert.strictEqual(admin.status, 200);
+    assert.strictEqual((await admin.json()).role, 'admin');
+
+    // Plain staff keep the default schedule permission
+    const schedule = await call('POST', '/salon/2/schedule', { user: 20, session: 'staff-token' });
+    assert.strictEqual(schedule.status, 200);
+});
+
+test('a session from one salon does not open another', async () => {
+    const res = await call('GET', '/salon/1/revenue', { user: 20, session: 'admin-token' });
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual((await res.json()).code, 'SALON_FORBIDDEN');
+});
+
+test('successful writes are audited with the staff member who made them', async () => {
+    const res = await call('POST', '/salon/2/schedule', { user: 20, session: 'admin-token' });
+    assert.strictEqual(res.status, 200);
+    // The audit row is written once the response has finished
+    let audit = null;
+    for (let i = 0; i < 20 && !audit; i++) {
+        audit = await db.get("SELECT * FROM salon_audit_log WHERE outcome = 'allowed' AND staff_id = 5");
+        if (!audit) await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.ok(audit);
+    assert.strictEqual(audit.action, 'POST /salon/:salon_id/schedule');
+    assert.strictEqual(audit.path, '/salon/2/schedule');
+});
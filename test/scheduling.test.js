@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { checkSlotInDay, planServiceChain, serviceBusyBlocks, timeToMinutes } = require('../scheduling');
+
+// A day context shaped like loadBookingDayContext's: open 09:00-18:00 on a future date
+const dayContext = (overrides = {}) => ({
+    dateString: '2099-01-05',
+    dayOfWeek: 1,
+    timeZone: 'Asia/Jerusalem',
+    closedDays: [],
+    calendarDay: null,
+    modifications: [],
+    breaks: [],
+    appointments: [],
+    staff: [],
+    staffShifts: new Map(),
+    staffDaysOff: new Set(),
+    openMinutes: timeToMinutes('09:00'),
+    closeMinutes: timeToMinutes('18:00'),
+    serviceIds: null,
+    staffSkills: new Map(),
+    serviceDurations: new Map(),
+    serviceConfigs: new Map(),
+    ...overrides
+});
+
+const serviceConfig = (duration) => ({ duration, bufferBefore: 0, bufferAfter: 0, processingOffset: 0, processingMinutes: 0 });
+
+test('"Any staff" does not fit a slot that only fits the salon duration, not the free member\'s own', () => {
+    // Service 1 takes 60 minutes; Rana (id 2) takes 90. Sami (id 1) is busy, so only Rana could take it.
+    const ctx = dayContext({
+        serviceIds: [1],
+        staff: [{ id: 1, name: 'Sami' }, { id: 2, name: 'Rana' }],
+        staffSkills: new Map([[2, new Map([[1, { price: null, duration: 90 }]])]]),
+        serviceDurations: new Map([[1, 60]]),
+        serviceConfigs: new Map([[1, serviceConfig(60)]]),
+        appointments: [{ staffId: 1, blocks: [{ startMinutes: timeToMinutes('16:00'), endMinutes: timeToMinutes('18:00') }] }]
+    });
+    // 17:00-18:00 fits Rana's shift only for the salon's 60 minutes; her 90 run past closing
+    const late = checkSlotInDay(ctx, 0, timeToMinutes('17:00'), timeToMinutes('18:00'));
+    assert.strictEqual(late.valid, false);
+    // 16:00 leaves her the full 90 minutes
+    const earlier = checkSlotInDay(ctx, 0, timeToMinutes('16:00'), timeToMinutes('17:00'));
+    assert.strictEqual(earlier.valid, true);
+});
+
+test('"Any staff" checks a member\'s longer duration against their next booking', () => {
+    const ctx = dayContext({
+        serviceIds: [1],
+        staff: [{ id: 2, name: 'Rana' }],
+        staffSkills: new Map([[2, new Map([[1, { price: null, duration: 90 }]])]]),
+        serviceDurations: new Map([[1, 60]]),
+        serviceConfigs: new Map([[1, serviceConfig(60)]]),
+        appointments: [{ staffId: 2, blocks: [{ startMinutes: timeToMinutes('11:00'), endMinutes: timeToMinutes('12:00') }] }]
+    });
+    assert.strictEqual(checkSlotInDay(ctx, 0, timeToMinutes('10:00'), timeToMinutes('11:00')).valid, false);
+    assert.strictEqual(checkSlotInDay(ctx, 0, timeToMinutes('12:00'), timeToMinutes('13:00')).valid, true);
+});
+
+test('a chain that cannot be finished is rejected without trying every staff combination', { timeout: 2000 }, () => {
+    // Ten 30-minute services and eight staff who can do all of them but the last, which nobody offers
+    const serviceIds = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    const staff = [1, 2, 3, 4, 5, 6, 7, 8].map(id => ({ id, name: `Staff ${id}` }));
+    const ctx = dayContext({
+        serviceIds,
+        staff,
+        staffSkills: new Map(staff.map(member => [member.id, new Map(serviceIds.slice(0, 9).map(id => [id, { price: null, duration: null }]))])),
+        serviceDurations: new Map(serviceIds.map(id => [id, 30])),
+        serviceConfigs: new Map(serviceIds.map(id => [id, serviceConfig(30)]))
+    });
+    const lines = serviceIds.map(serviceId => ({ serviceId, staffId: 0 }));
+    assert.strictEqual(planServiceChain(ctx, lines, timeToMinutes('09:00')), null);
+    // Without the last service the same chain fits
+    const plan = planServiceChain(ctx, lines.slice(0, 9), timeToMinutes('09:00'));
+    assert.strictEqual(plan.length, 9);
+    assert.strictEqual(plan[8].endMinutes, timeToMinutes('13:30'));
+});
+
+test('a prep buffer that starts before opening time does not fit', () => {
+    const ctx = dayContext({
+        serviceIds: [1],
+        serviceDurations: new Map([[1, 60]]),
+        serviceConfigs: new Map([[1, { ...serviceConfig(60), bufferBefore: 15 }]])
+    });
+    assert.strictEqual(checkSlotInDay(ctx, 0, timeToMinutes('09:00'), timeToMinutes('10:00')).reason, 'outside_hours');
+    assert.strictEqual(checkSlotInDay(ctx, 0, timeToMinutes('09:30'), timeToMinutes('10:30')).valid, true);
+
+    const staffed = dayContext({ ...ctx, staff: [{ id: 1, name: 'Sami' }] });
+    assert.strictEqual(checkSlotInDay(staffed, 1, timeToMinutes('09:00'), timeToMinutes('10:00')).reason, 'outside_hours');
+    assert.strictEqual(checkSlotInDay(staffed, 0, timeToMinutes('09:00'), timeToMinutes('10:00')).valid, false);
+});
+
+test('busy blocks follow the staff member\'s own durations', () => {
+    // Cut (1) then colour (2), which leaves the client processing for 30 minutes after 15 minutes.
+    // Rana cuts in 60 minutes instead of 30, so her processing gap starts at 10:15, not 09:45.
+    const serviceConfigs = new Map([[1, serviceConfig(30)], [2, { ...serviceConfig(90), processingOffset: 15, processingMinutes: 30 }]]);
+    const ranaSkills = new Map([[1, { price: null, duration: 60 }]]);
+    const blocks = serviceBusyBlocks(serviceConfigs, [1, 2], timeToMinutes('09:00'), timeToMinutes('11:30'), ranaSkills);
+    assert.deepStrictEqual(blocks, [
+        { startMinutes: timeToMinutes('09:00'), endMinutes: timeToMinutes('10:15') },
+        { startMinutes: timeToMinutes('10:45'), endMinutes: timeToMinutes('11:30') }
+    ]);
+
+    // A 30-minute job for her fits that gap, and not the one the salon's durations would give
+    const ctx = dayContext({
+        serviceIds: [3],
+        staff: [{ id: 2, name: 'Rana' }],
+        staffSkills: new Map([[2, new Map([...ranaSkills, [3, { price: null, duration: null }]])]]),
+        serviceDurations: new Map([[1, 30], [2, 90], [3, 30]]),
+        serviceConfigs: new Map([...serviceConfigs, [3, serviceConfig(30)]]),
+        appointments: [{ staffId: 2, blocks }]
+    });
+    assert.strictEqual(checkSlotInDay(ctx, 2, timeToMinutes('10:15'), timeToMinutes('10:45')).valid, true);
+    assert.strictEqual(checkSlotInDay(ctx, 2, timeToMinutes('09:45'), timeToMinutes('10:15')).valid, false);
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { checkSlotInDay, syncAppointmentInstants, timeToMinutes, zonedDateTime, zonedTimeToUtc } = require('../scheduling');
+
+// 2026 transitions: Jerusalem springs forward Fri 27 Mar 02:00 -> 03:00 and falls back Sun 25 Oct
+// 02:00 -> 01:00; New York springs forward Sun 8 Mar 02:00 -> 03:00 and falls back Sun 1 Nov 02:00 -> 01:00.
+
+test('wall-clock times around Jerusalem\'s transitions map to the right instants', () => {
+    assert.strictEqual(zonedTimeToUtc('2026-03-27 01:30:00', 'Asia/Jerusalem'), '2026-03-26T23:30:00.000Z');
+    // 02:30 does not exist that night and is moved past the gap, to 03:30
+    assert.strictEqual(zonedTimeToUtc('2026-03-27 02:30:00', 'Asia/Jerusalem'), '2026-03-27T00:30:00.000Z');
+    assert.strictEqual(zonedTimeToUtc('2026-03-27 03:30:00', 'Asia/Jerusalem'), '2026-03-27T00:30:00.000Z');
+    // 01:30 happens twice when clocks go back; the first (summer time) is taken
+    assert.strictEqual(zonedTimeToUtc('2026-10-25 01:30:00', 'Asia/Jerusalem'), '2026-10-24T22:30:00.000Z');
+    assert.strictEqual(zonedTimeToUtc('2026-10-25 02:30:00', 'Asia/Jerusalem'), '2026-10-25T00:30:00.000Z');
+});
+
+test('wall-clock times around New York\'s transitions map to the right instants', () => {
+    assert.strictEqual(zonedTimeToUtc('2026-03-08 01:30:00', 'America/New_York'), '2026-03-08T06:30:00.000Z');
+    assert.strictEqual(zonedTimeToUtc('2026-03-08 02:30:00', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+    assert.strictEqual(zonedTimeToUtc('2026-03-08 12:00:00', 'America/New_York'), '2026-03-08T16:00:00.000Z');
+    assert.strictEqual(zonedTimeToUtc('2026-11-01 01:30:00', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+    assert.strictEqual(zonedTimeToUtc('2026-11-01 12:00:00', 'America/New_York'), '2026-11-01T17:00:00.000Z');
+});
+
+test('instants read back as the same wall-clock time on transition days', () => {
+    for (const [timeZone, value] of [
+        ['Asia/Jerusalem', '2026-03-27 10:00:00'],
+        ['Asia/Jerusalem', '2026-10-25 10:00:00'],
+        ['America/New_York', '2026-03-08 10:00:00'],
+        ['America/New_York', '2026-11-01 10:00:00']
+    ]) {
+        assert.strictEqual(zonedDateTime(zonedTimeToUtc(value, timeZone), timeZone), value);
+    }
+    // The salon's date changes at its own midnight, under the offset in force then
+    assert.strictEqual(zonedDateTime('2026-11-01T04:30:00Z', 'America/New_York'), '2026-11-01 00:30:00');
+});
+
+test('appointment instants are stored in each salon\'s own zone', async () => {
+    const rows = [
+        { id: 1, start_time: '2026-11-01 01:30:00', end_time: '2026-11-01 02:30:00', timezone: 'America/New_York' },
+        { id: 2, start_time: '2026-03-27 10:00:00', end_time: '2026-03-27 11:00:00', timezone: 'Asia/Jerusalem' },
+        // Salons without a valid zone fall back to Jerusalem
+        { id: 3, start_time: '2026-10-25 10:00:00', end_time: '2026-10-25 11:00:00', timezone: null }
+    ];
+    const updates = [];
+    const runner = {
+        query: async () => rows,
+        run: async (sql, params) => { updates.push(params); }
+    };
+    await syncAppointmentInstants(runner);
+    assert.deepStrictEqual(updates, [
+        // The hour from 01:30 to 02:30 spans the repeated hour, so it lasts two real hours
+        ['2026-11-01T05:30:00.000Z', '2026-11-01T07:30:00.000Z', 1],
+        ['2026-03-27T07:00:00.000Z', '2026-03-27T08:00:00.000Z', 2],
+        ['2026-10-25T08:00:00.000Z', '2026-10-25T09:00:00.000Z', 3]
+    ]);
+});
+
+// A salon open 09:00-18:00 with no staff, on dateString in timeZone
+const dayContext = (dateString, timeZone) => ({
+    dateString,
+    dayOfWeek: new Date(`${dateString}T00:00:00Z`).getUTCDay(),
+    timeZone,
+    closedDays: [],
+    calendarDay: null,
+    modifications: [],
+    breaks: [],
+    appointments: [],
+    staff: [],
+    staffShifts: new Map(),
+    staffDaysOff: new Set(),
+    openMinutes: timeToMinutes('09:00'),
+    closeMinutes: timeToMinutes('18:00'),
+    serviceIds: null,
+    staffSkills: new Map(),
+    serviceDurations: new Map(),
+    serviceConfigs: new Map()
+});
+
+const slotValid = (ctx, start, now) => checkSlotInDay(ctx, 0, timeToMinutes(start), timeToMinutes(start) + 30, now).valid;
+
+test('today\'s past slots use the salon\'s offset on the day clocks go forward', () => {
+    // 08:00Z is 11:00 in Jerusalem after the change (10:00 before it)
+    const jerusalem = dayContext('2026-03-27', 'Asia/Jerusalem');
+    assert.strictEqual(slotValid(jerusalem, '11:00', new Date('2026-03-27T08:00:00Z')), false);
+    assert.strictEqual(slotValid(jerusalem, '11:30', new Date('2026-03-27T08:00:00Z')), true);
+    // 14:00Z is 10:00 in New York after the change (09:00 before it)
+    const newYork = dayContext('2026-03-08', 'America/New_York');
+    assert.strictEqual(slotValid(newYork, '10:00', new Date('2026-03-08T14:00:00Z')), false);
+    assert.strictEqual(slotValid(newYork, '10:30', new Date('2026-03-08T14:00:00Z')), true);
+});
+
+test('today\'s past slots use the salon\'s offset on the day clocks go back', () => {
+    // 08:00Z is 10:00 in Jerusalem after the change (11:00 before it)
+    const jerusalem = dayContext('2026-10-25', 'Asia/Jerusalem');
+    assert.strictEqual(slotValid(jerusalem, '10:00', new Date('2026-10-25T08:00:00Z')), false);
+    assert.strictEqual(slotValid(jerusalem, '10:30', new Date('2026-10-25T08:00:00Z')), true);
+    // 15:00Z is 10:00 in New York after the change (11:00 before it)
+    const newYork = dayContext('2026-11-01', 'America/New_York');
+    assert.strictEqual(slotValid(newYork, '10:00', new Date('2026-11-01T15:00:00Z')), false);
+    assert.strictEqual(slotValid(newYork, '10:30', new Date('2026-11-01T15:00:00Z')), true);
+});
@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const webauthn = require('../webauthn');
+
+const RP_ID = 'salon.example';
+const ORIGIN = 'https://salon.example';
+
+// Just enough CBOR to build attestation objects and COSE keys: small ints, byte/text strings and maps
+function encodeCbor(value) {
+    const head = (major, length) => {
+        if (length < 24) return Buffer.from([(major << 5) | length]);
+        if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+        const buffer = Buffer.alloc(3);
+        buffer[0] = (major << 5) | 25;
+        buffer.writeUInt16BE(length, 1);
+        return buffer;
+    };
+    if (typeof value === 'number') return value >= 0 ? head(0, value) : head(1, -1 - value);
+    if (Buffer.isBuffer(value)) return Buffer.concat([head(2, value.length), value]);
+    if (typeof value === 'string') return Buffer.concat([head(3, Buffer.byteLength(value)), Buffer.from(value)]);
+    if (value instanceof Map) {
+        return Buffer.concat([head(5, value.size), ...[...value].flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)])]);
+    }
+    throw new Error('Unsupported value');
+}
+
+// A software authenticator holding one ES256 credential, answering like a browser's PublicKeyCredential.toJSON()
+function createAuthenticator() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const credentialId = crypto.randomBytes(16);
+    const id = credentialId.toString('base64url');
+    const rpIdHash = crypto.createHash('sha256').update(RP_ID).digest();
+    let counter = 0;
+
+    const authenticatorData = (signCount, attested = null) => {
+        const header = Buffer.alloc(37);
+        rpIdHash.copy(header, 0);
+        header[32] = 0x01 | 0x04 | (attested ? 0x40 : 0);
+        header.writeUInt32BE(signCount, 33);
+        return attested ? Buffer.concat([header, attested]) : header;
+    };
+    const clientData = (type, challenge, origin) => Buffer.from(JSON.stringify({ type, challenge, origin })).toString('base64url');
+
+    return {
+        id,
+        register(challenge, { origin = ORIGIN } = {}) {
+            const jwk = publicKey.export({ format: 'jwk' });
+            const coseKey = new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.from(jwk.x, 'base64url')], [-3, Buffer.from(jwk.y, 'base64url')]]);
+            const idLength = Buffer.alloc(2);
+            idLength.writeUInt16BE(credentialId.length);
+            const attested = Buffer.concat([Buffer.alloc(16), idLength, credentialId, encodeCbor(coseKey)]);
+            const attestationObject = encodeCbor(new Map([['fmt', 'none'], ['attStmt', new Map()], ['authData', authenticatorData(counter, attested)]]));
+            return {
+                id,
+                type: 'public-key',
+                response: { clientDataJSON: clientData('webauthn.create', challenge, origin), attestationObject: attestationObject.toString('base64url') }
+            };
+        },
+        // Signs an assertion with the next counter value, or with `signCount` to replay an old one
+        assert(challenge, { origin = ORIGIN, signCount = ++counter } = {}) {
+            const authData = authenticatorData(signCount);
+            const clientDataJSON = clientData('webauthn.get', challenge, origin);
+            const signed = Buffer.concat([authData, crypto.createHash('sha256').update(Buffer.from(clientDataJSON, 'base64url')).digest()]);
+            return {
+                id,
+                type: 'public-key',
+                response: {
+                    clientDataJSON,
+                    authenticatorData: authData.toString('base64url'),
+                    signature: crypto.sign('sha256', signed, privateKey).toString('base64url')
+                }
+            };
+        }
+    };
+}
+
+const expected = (challenge) => ({ challenge, rpId: RP_ID, expectedOrigin: ORIGIN });
+
+test('a passkey registers and then signs in', () => {
+    const authenticator = createAuthenticator();
+    const registerChallenge = webauthn.createChallenge();
+    const credential = authenticator.register(registerChallenge);
+    assert.strictEqual(webauthn.clientChallenge(credential), registerChallenge);
+
+    const registered = webauthn.verifyRegistration(credential, expected(registerChallenge));
+    assert.strictEqual(registered.ok, true);
+    assert.strictEqual(registered.credentialId, authenticator.id);
+    assert.strictEqual(registered.signCount, 0);
+
+    const loginChallenge = webauthn.createChallenge();
+    const login = webauthn.verifyAuthentication(authenticator.assert(loginChallenge), expected(loginChallenge), { publicKey: registered.publicKey, signCount: 0 });
+    assert.deepStrictEqual(login, { ok: true, signCount: 1 });
+});
+
+test('ceremonies from another origin or for another challenge are refused', () => {
+    const authenticator = createAuthenticator();
+    const registerChallenge = webauthn.createChallenge();
+    const phished = authenticator.register(registerChallenge, { origin: 'https://evil.example' });
+    assert.deepStrictEqual(webauthn.verifyRegistration(phished, expected(registerChallenge)), { ok: false, reason: 'origin_mismatch' });
+    const registered = webauthn.verifyRegistration(authenticator.register(registerChallenge), expected(registerChallenge));
+
+    const stored = { publicKey: registered.publicKey, signCount: 0 };
+    const challenge = webauthn.createChallenge();
+    const wrongOrigin = authenticator.assert(challenge, { origin: 'https://evil.example' });
+    assert.deepStrictEqual(webauthn.verifyAuthentication(wrongOrigin, expected(challenge), stored), { ok: false, reason: 'origin_mismatch' });
+    const otherChallenge = authenticator.assert(webauthn.createChallenge());
+    assert.deepStrictEqual(webauthn.verifyAuthentication(otherChallenge, expected(challenge), stored), { ok: false, reason: 'challenge_mismatch' });
+});
+
+test('an assertion signed by another key is refused', () => {
+    const owner = createAuthenticator();
+    const challenge = webauthn.createChallenge();
+    const registered = webauthn.verifyRegistration(owner.register(challenge), expected(challenge));
+    const loginChallenge = webauthn.createChallenge();
+    const forged = createAuthenticator().assert(loginChallenge);
+    assert.deepStrictEqual(
+        webauthn.verifyAuthentication(forged, expected(loginChallenge), { publicKey: registered.publicKey, signCount: 0 }),
+        { ok: false, reason: 'bad_signature' }
+    );
+});
+
+test('a replayed or rewound sign counter is refused', () => {
+    const authenticator = createAuthenticator();
+    const registerChallenge = webauthn.createChallenge();
+    const registered = webauthn.verifyRegistration(authenticator.register(registerChallenge), expected(registerChallenge));
+
+    const first = webauthn.createChallenge();
+    const login = webauthn.verifyAuthentication(authenticator.assert(first), expected(first), { publicKey: registered.publicKey, signCount: 0 });
+    assert.strictEqual(login.ok, true);
+
+    const stored = { publicKey: registered.publicKey, signCount: login.signCount };
+    for (const signCount of [login.signCount, 0]) {
+        const challenge = webauthn.createChallenge();
+        const replayed = authenticator.assert(challenge, { signCount });
+        assert.deepStrictEqual(webauthn.verifyAuthentication(replayed, expected(challenge), stored), { ok: false, reason: 'counter_regressed' });
+    }
+    const next = webauthn.createChallenge();
+    assert.deepStrictEqual(webauthn.verifyAuthentication(authenticator.assert(next), expected(next), stored), { ok: true, signCount: 2 });
+});
@@ -0,0 +1,224 @@
+// WebAuthn (passkey) ceremonies for staff role sessions, verified with node's crypto
+// Only what a shared salon tablet needs:
+//   - attestation is not checked ('none' is requested); the credential is trusted because the staff
+//     member registered it from a session they opened with their PIN
+//   - ES256, RS256 and EdDSA credential keys
+//   - user verification (Face ID, fingerprint or the device's screen lock) is required
+// Binary fields travel as base64url strings in both directions, as in PublicKeyCredential.toJSON().
+
+const crypto = require('crypto');
+
+const COSE_ALGORITHMS = { ES256: -7, EdDSA: -8, RS256: -257 };
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_DATA = 0x40;
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (value) => Buffer.from(String(value || ''), 'base64url');
+
+function createChallenge() {
+    return toBase64Url(crypto.randomBytes(32));
+}
+
+// Minimal CBOR decoder for attestation objects and COSE keys (no tags, floats or indefinite lengths)
+function decodeCbor(buffer) {
+    let offset = 0;
+    const readLength = (info) => {
+        if (info < 24) return info;
+        const size = { 24: 1, 25: 2, 26: 4 }[info];
+        if (!size) throw new Error('Unsupported CBOR length');
+        const value = buffer.readUIntBE(offset, size);
+        offset += size;
+        return value;
+    };
+    const readItem = () => {
+        if (offset >= buffer.length) throw new Error('Truncated CBOR');
+        const initial = buffer[offset++];
+        const major = initial >> 5;
+        const info = initial & 0x1f;
+        switch (major) {
+            case 0: return readLength(info);
+            case 1: return -1 - readLength(info);
+            case 2:
+            case 3: {
+                const length = readLength(info);
+                if (offset + length > buffer.length) throw new Error('Truncated CBOR');
+                const bytes = buffer.subarray(offset, offset + length);
+                offset += length;
+                return major === 2 ? Buffer.from(bytes) : bytes.toString('utf8');
+            }
+            case 4: {
+                const length = readLength(info);
+                const items = [];
+                for (let i = 0; i < length; i++) items.push(readItem());
+                return items;
+            }
+            case 5: {
+                const length = readLength(info);
+                const map = new Map();
+                for (let i = 0; i < length; i++) {
+                    const key = readItem();
+                    map.set(key, readItem());
+                }
+                return map;
+            }
+            case 7:
+                if (info === 20) return false;
+                if (info === 21) return true;
+                if (info === 22) return null;
+                throw new Error('Unsupported CBOR value');
+            default:
+                throw new Error('Unsupported CBOR type');
+        }
+    };
+    const value = readItem();
+    return { value, length: offset };
+}
+
+// COSE_Key -> JWK, the form node's crypto imports and the form we store
+function coseKeyToJwk(coseKey) {
+    const kty = coseKey.get(1);
+    const alg = coseKey.get(3);
+    if (kty === 2 && alg === COSE_ALGORITHMS.ES256 && coseKey.get(-1) === 1) {
+        return { kty: 'EC', crv: 'P-256', x: toBase64Url(coseKey.get(-2)), y: toBase64Url(coseKey.get(-3)) };
+    }
+    if (kty === 3 && alg === COSE_ALGORITHMS.RS256) {
+        return { kty: 'RSA', n: toBase64Url(coseKey.get(-1)), e: toBase64Url(coseKey.get(-2)) };
+    }
+    if (kty === 1 && alg === COSE_ALGORITHMS.EdDSA && coseKey.get(-1) === 6) {
+        return { kty: 'OKP', crv: 'Ed25519', x: toBase64Url(coseKey.get(-2)) };
+    }
+    throw new Error('Unsupported credential key');
+}
+
+function parseAuthenticatorData(authData) {
+    if (authData.length < 37) throw new Error('Authenticator data is too short');
+    const parsed = {
+        rpIdHash: authData.subarray(0, 32),
+        flags: authData[32],
+        signCount: authData.readUInt32BE(33)
+    };
+    if (parsed.flags & FLAG_ATTESTED_DATA) {
+        const idLength = authData.readUInt16BE(53);
+        parsed.credentialId = authData.subarray(55, 55 + idLength);
+        const key = decodeCbor(authData.subarray(55 + idLength));
+        parsed.credentialKey = key.value;
+    }
+    return parsed;
+}
+
+// Without a configured origin, the page must be served from the RP ID's host over https
+// (http only on localhost, for development)
+function originAllowed(origin, rpId, expectedOrigin) {
+    if (expectedOrigin) return origin === expectedOrigin;
+    try {
+        const url = new URL(origin);
+        return url.hostname === rpId && (url.protocol === 'https:' || url.hostname === 'localhost');
+    } catch (_) {
+        return false;
+    }
+}
+
+// Checks shared by both ceremonies; returns the parsed client data and authenticator data
+function checkCeremony(response, authData, { type, challenge, rpId, expectedOrigin }) {
+    const clientDataJSON = fromBase64Url(response.clientDataJSON);
+    const clientData = JSON.parse(clientDataJSON.toString('utf8'));
+    if (clientData.type !== type) return { reason: 'wrong_type' };
+    if (clientData.challenge !== challenge) return { reason: 'challenge_mismatch' };
+    if (!originAllowed(clientData.origin, rpId, expectedOrigin)) return { reason: 'origin_mismatch' };
+    const parsed = parseAuthenticatorData(authData);
+    if (!crypto.createHash('sha256').update(rpId).digest().equals(parsed.rpIdHash)) return { reason: 'rp_id_mismatch' };
+    if (!(parsed.flags & FLAG_USER_PRESENT) || !(parsed.flags & FLAG_USER_VERIFIED)) return { reason: 'user_not_verified' };
+    return { clientDataJSON, authenticator: parsed };
+}
+
+// The challenge the client signed, used to look up the stored challenge before verifying anything
+function clientChallenge(credential) {
+    try {
+        const clientData = JSON.parse(fromBase64Url(credential.response.clientDataJSON).toString('utf8'));
+        return typeof clientData.challenge === 'string' ? clientData.challenge : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+// Registration options for navigator.credentials.create(); `exclude` lists the ids already registered
+function registrationOptions({ challenge, rpId, rpName, userHandle, userName, displayName, exclude = [] }) {
+    return {
+        challenge,
+        rp: { id: rpId, name: rpName },
+        user: { id: userHandle, name: userName, displayName },
+        pubKeyCredParams: Object.values(COSE_ALGORITHMS).map(alg => ({ type: 'public-key', alg })),
+        timeout: 60000,
+        attestation: 'none',
+        authenticatorSelection: { residentKey: 'preferred', userVerification: 'required' },
+        excludeCredentials: exclude.map(id => ({ type: 'public-key', id }))
+    };
+}
+
+// Options for navigator.credentials.get(), limited to the given credential ids
+function authenticationOptions({ challenge, rpId, allow }) {
+    return {
+        challenge,
+        rpId,
+        timeout: 60000,
+        userVerification: 'required',
+        allowCredentials: allow.map(({ id, transports }) => ({ type: 'public-key', id, ...(transports ? { transports } : {}) }))
+    };
+}
+
+// -> { ok: true, credentialId, publicKey (JWK JSON), signCount } or { ok: false, reason }
+function verifyRegistration(credential, expected) {
+    try {
+        const response = credential && credential.response;
+        if (!response || !response.attestationObject) return { ok: false, reason: 'malformed' };
+        const attestation = decodeCbor(fromBase64Url(response.attestationObject)).value;
+        const authData = attestation instanceof Map ? attestation.get('authData') : null;
+        if (!Buffer.isBuffer(authData)) return { ok: false, reason: 'malformed' };
+        const checked = checkCeremony(response, authData, { ...expected, type: 'webauthn.create' });
+        if (checked.reason) return { ok: false, reason: checked.reason };
+        const { authenticator } = checked;
+        if (!authenticator.credentialId || !authenticator.credentialKey) return { ok: false, reason: 'malformed' };
+        const credentialId = toBase64Url(authenticator.credentialId);
+        if (credential.id !== credentialId) return { ok: false, reason: 'malformed' };
+        const jwk = coseKeyToJwk(authenticator.credentialKey);
+        crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        return { ok: true, credentialId, publicKey: JSON.stringify(jwk), signCount: authenticator.signCount };
+    } catch (_) {
+        return { ok: false, reason: 'malformed' };
+    }
+}
+
+// -> { ok: true, signCount } or { ok: false, reason }; `stored` is the saved { publicKey, signCount }
+function verifyAuthentication(credential, expected, stored) {
+    try {
+        const response = credential && credential.response;
+        if (!response || !response.authenticatorData || !response.signature) return { ok: false, reason: 'malformed' };
+        const authData = fromBase64Url(response.authenticatorData);
+        const checked = checkCeremony(response, authData, { ...expected, type: 'webauthn.get' });
+        if (checked.reason) return { ok: false, reason: checked.reason };
+        const jwk = JSON.parse(stored.publicKey);
+        const signed = Buffer.concat([authData, crypto.createHash('sha256').update(checked.clientDataJSON).digest()]);
+        const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        const valid = crypto.verify(jwk.kty === 'OKP' ? null : 'sha256', signed, key, fromBase64Url(response.signature));
+        if (!valid) return { ok: false, reason: 'bad_signature' };
+        // A counter that does not move forward means the credential may have been cloned
+        const signCount = checked.authenticator.signCount;
+        if ((signCount !== 0 || stored.signCount !== 0) && signCount <= stored.signCount) {
+            return { ok: false, reason: 'counter_regressed' };
+        }
+        return { ok: true, signCount };
+    } catch (_) {
+        return { ok: false, reason: 'malformed' };
+    }
+}
+
+module.exports = {
+    createChallenge,
+    clientChallenge,
+    registrationOptions,
+    authenticationOptions,
+    verifyRegistration,
+    verifyAuthentication
+};